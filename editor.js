@@ -0,0 +1,329 @@
+/*
+===========================================================
+MAPPING EDITOR
+Poses × layers grid for the bundles each pose sends to
+Modul8. The grid starts from poses.config.js with the
+bridge's show config applied (src/show-config.js), media
+comes from the bridge's thumbnails of between-verses-vjing,
+and Save writes the bundles and layer map back with
+PUT /api/config, which the installation loads at startup
+and receives live over the WebSocket.
+===========================================================
+*/
+
+const POSE_RULES = sortPoseRules(POSE_CONFIG);
+const LAYER_NAMES = Object.keys(LAYERS).sort((a, b) => LAYERS[a] - LAYERS[b]);
+
+let showConfig = null;   // last saved show config from the bridge
+let layerMap = {};       // edited layer overrides (name -> index)
+let rows = {};           // pose name -> { cells: { layerName: media }, extras }
+let mediaById = {};      // media id -> { id, kind, name, src }
+let mediaLibrary = [];
+let dirty = false;
+let saving = false;      // our own PUT is in flight; its WS echo is not someone else's save
+let picking = null;      // { pose, layer } while the media picker is open
+
+let editorWS = null, wsBackoffMs = 500, wsSeq = 0;
+const testSeqToPose = {};
+
+/*
+===========================================================
+LOADING
+===========================================================
+*/
+
+function fetchJson(url, init) {
+    return fetch(url, init).then(res => res.json().then(body => {
+        if (!res.ok) throw Object.assign(new Error(body.error || `HTTP ${res.status}`), { body });
+        return body;
+    }));
+}
+
+function loadEditor() {
+    Promise.all([fetchJson('/api/config'), fetchJson('/api/media'), fetchJson('/api/runtime')])
+        .then(([config, { media }, runtime]) => {
+            mediaLibrary = media;
+            mediaById = Object.fromEntries(media.map(m => [m.id, m]));
+            buildMediaPicker();
+            resetFromConfig(config);
+            wsConnect(runtime.wsUrl);
+        })
+        .catch(err => {
+            console.error('[Editor] could not load from the bridge:', err);
+            setBridgeStatus('offline', 'Bridge unreachable (open this page from the bridge)');
+        });
+}
+
+/** Rebuild the grid from a saved show config, dropping unsaved edits. */
+function resetFromConfig(config) {
+    showConfig = config;
+    layerMap = { ...(config.layers ?? {}) };
+    const layerIndex = currentLayerIndex();
+    const resolved = resolveShowConfig(POSE_CONFIG, config, LAYERS);
+    rows = Object.fromEntries(POSE_RULES.map(def => [def.name, bundleToRow(resolved.poses[def.name].bundle, layerIndex)]));
+    setDirty(false);
+    renderGrid(resolved);
+}
+
+function currentLayerIndex() {
+    return effectiveLayers(LAYERS, layerMap);
+}
+
+/*
+===========================================================
+GRID
+===========================================================
+*/
+
+function renderGrid(resolved = resolveShowConfig(POSE_CONFIG, showConfig, LAYERS)) {
+    const layerIndex = currentLayerIndex();
+    const table = document.getElementById('mapping-grid');
+
+    const head = document.createElement('tr');
+    head.appendChild(cellEl('th', 'Pose'));
+    for (const name of LAYER_NAMES) {
+        const th = cellEl('th', name);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.className = 'form-control form-control-sm layer-index';
+        input.value = layerIndex[name];
+        input.setAttribute('aria-label', `${name} layer number`);
+        input.addEventListener('change', () => setLayerIndex(name, input.value));
+        th.appendChild(input);
+        head.appendChild(th);
+    }
+    head.appendChild(cellEl('th', ''));
+    table.tHead.replaceChildren(head);
+
+    const body = POSE_RULES.map(def => {
+        const tr = document.createElement('tr');
+        const poseCell = cellEl('th', def.name);
+        const image = resolved.poses[def.name].image;
+        if (image) poseCell.prepend(thumbEl(image, def.name));
+        tr.appendChild(poseCell);
+
+        for (const layer of LAYER_NAMES) {
+            const td = document.createElement('td');
+            td.appendChild(mediaButton(def.name, layer));
+            tr.appendChild(td);
+        }
+
+        const test = document.createElement('td');
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-1 btn-sm';
+        btn.textContent = 'Test';
+        btn.addEventListener('click', () => testRow(def.name));
+        const result = document.createElement('span');
+        result.className = 'small ms-2 test-result';
+        result.id = `test-result-${def.name}`;
+        test.append(btn, result);
+        tr.appendChild(test);
+        return tr;
+    });
+    table.tBodies[0].replaceChildren(...body);
+}
+
+function cellEl(tag, text) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    return el;
+}
+
+function thumbEl(src, alt) {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt;
+    img.className = 'media-thumb';
+    return img;
+}
+
+function mediaButton(pose, layer) {
+    const btn = document.createElement('button');
+    btn.className = 'media-cell';
+    const id = rows[pose].cells[layer];
+    const media = mediaById[id];
+    if (id == null) {
+        btn.textContent = '—';
+    } else {
+        if (media) btn.appendChild(thumbEl(media.src, media.name));
+        btn.appendChild(cellEl('span', media ? `${id} · ${media.name}` : `#${id}`));
+    }
+    btn.title = `${pose} · ${layer}`;
+    btn.addEventListener('click', () => openMediaPicker(pose, layer));
+    return btn;
+}
+
+function setLayerIndex(name, value) {
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 0) {
+        renderGrid(); // put the last valid number back
+        return;
+    }
+    if (index === LAYERS[name]) delete layerMap[name];
+    else layerMap[name] = index;
+    setDirty(true);
+}
+
+function setCell(pose, layer, media) {
+    rows[pose].cells[layer] = media;
+    setDirty(true);
+    renderGrid();
+}
+
+function setDirty(value) {
+    dirty = value;
+    document.getElementById('save-btn').disabled = !dirty;
+    document.getElementById('revert-btn').disabled = !dirty;
+}
+
+/*
+===========================================================
+MEDIA PICKER
+===========================================================
+*/
+
+function buildMediaPicker() {
+    const options = document.getElementById('media-options');
+    const groups = [['bird', 'Birds'], ['flower', 'Flowers']].map(([kind, title]) => {
+        const section = document.createElement('div');
+        section.appendChild(cellEl('h6', title));
+        const grid = document.createElement('div');
+        grid.className = 'media-grid';
+        for (const media of mediaLibrary.filter(m => m.kind === kind)) {
+            const btn = document.createElement('button');
+            btn.className = 'media-cell';
+            btn.append(thumbEl(media.src, media.name), cellEl('span', `${media.id} · ${media.name}`));
+            btn.addEventListener('click', () => pickMedia(media.id));
+            grid.appendChild(btn);
+        }
+        section.appendChild(grid);
+        return section;
+    });
+    options.replaceChildren(...groups);
+}
+
+function openMediaPicker(pose, layer) {
+    picking = { pose, layer };
+    document.getElementById('media-picker-title').textContent = `${pose} · ${layer}`;
+    document.getElementById('media-picker').showModal();
+}
+
+function pickMedia(id) {
+    document.getElementById('media-picker').close();
+    if (picking) setCell(picking.pose, picking.layer, id);
+    picking = null;
+}
+
+/*
+===========================================================
+SAVE & TEST
+===========================================================
+*/
+
+function currentBundle(pose) {
+    return rowToBundle(rows[pose], currentLayerIndex());
+}
+
+function saveMapping() {
+    const bundles = Object.fromEntries(POSE_RULES.map(def => [def.name, currentBundle(def.name)]));
+    const next = withPoseBundles({ ...showConfig, layers: { ...layerMap } }, POSE_CONFIG, LAYERS, bundles);
+    delete next.updatedAt;
+    saving = true;
+    fetchJson('/api/config', {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(next)
+    })
+        .then(saved => {
+            resetFromConfig(saved);
+            setBridgeStatus('ok', 'Mapping saved');
+            console.log('[Editor] saved', saved);
+        })
+        .catch(err => {
+            const detail = err.body && err.body.errors ? err.body.errors.join('; ') : err.message;
+            setBridgeStatus('error', `Save failed: ${detail}`);
+            console.error('[Editor] save failed', err.body ?? err);
+        })
+        .finally(() => { saving = false; });
+}
+
+/** Fire one row's bundle at the bridge's default targets (Modul8). */
+function testRow(pose) {
+    const result = document.getElementById(`test-result-${pose}`);
+    if (!editorWS || editorWS.readyState !== 1) {
+        result.textContent = 'bridge offline';
+        return;
+    }
+    const seq = ++wsSeq;
+    testSeqToPose[seq] = pose;
+    editorWS.send(JSON.stringify({ type: 'osc', actions: currentBundle(pose), seq }));
+    result.textContent = 'sending…';
+}
+
+function onTestReply(reply) {
+    const pose = testSeqToPose[reply.seq];
+    if (!pose) return;
+    delete testSeqToPose[reply.seq];
+    const result = document.getElementById(`test-result-${pose}`);
+    if (!result) return;
+    const errors = reply.errors ?? [];
+    if (reply.type === 'sent' && !errors.length) result.textContent = `sent ${reply.count}`;
+    else result.textContent = `error: ${reply.reason ?? (errors.map(e => e.reason).join(', ') || reply.type)}`;
+}
+
+/*
+===========================================================
+BRIDGE CONNECTION
+===========================================================
+*/
+
+function wsConnect(url) {
+    editorWS = new WebSocket(url);
+    editorWS.onopen = () => {
+        wsBackoffMs = 500;
+        setBridgeStatus('ok', 'Bridge connected');
+    };
+    editorWS.onclose = () => {
+        setBridgeStatus('offline', 'Bridge offline');
+        setTimeout(() => wsConnect(url), wsBackoffMs);
+        wsBackoffMs = Math.min(wsBackoffMs * 2, 4000);
+    };
+    editorWS.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { return; }
+        if (msg.seq != null) onTestReply(msg);
+        else if (msg.type === 'show_config') onShowConfigPushed(msg.config);
+        else if (msg.type === 'osc_error') setBridgeStatus('error', `OSC error: ${msg.reason}`);
+    };
+}
+
+// Someone else saved: follow along unless that would throw away our edits
+function onShowConfigPushed(config) {
+    if (saving || config.updatedAt === (showConfig && showConfig.updatedAt)) return;
+    if (dirty) {
+        // Keep the edits; Save now merges them into the newer config, Revert loads it
+        showConfig = config;
+        setBridgeStatus('error', 'Show config changed elsewhere; Revert to load it');
+        return;
+    }
+    resetFromConfig(config);
+    setBridgeStatus('ok', 'Reloaded: saved from another page');
+}
+
+/** Update the #bridge-status indicator; state is 'connecting' | 'ok' | 'offline' | 'error'. */
+function setBridgeStatus(state, text) {
+    const el = document.getElementById('bridge-status');
+    el.dataset.state = state;
+    el.textContent = text;
+}
+
+document.getElementById('save-btn').addEventListener('click', saveMapping);
+document.getElementById('revert-btn').addEventListener('click', () => resetFromConfig(showConfig));
+document.getElementById('media-none-btn').addEventListener('click', () => pickMedia(null));
+document.getElementById('media-cancel-btn').addEventListener('click', () => {
+    picking = null;
+    document.getElementById('media-picker').close();
+});
+
+loadEditor();
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+
+// Interaction analytics: the events sent by the sketch, appended to NDJSON files
+// that rotate by size, and the stats / CSV behind GET /api/stats.
+
+// Event types and the label fields each must carry (a string or a number): they end up
+// as keys in the stats, so anything else from a client is refused before it reaches the log
+const EVENT_FIELDS = {
+  track_created: ['person'],
+  track_retired: ['person'],
+  pose_candidate: ['person', 'pose'],
+  pose_locked: ['person', 'pose'],
+  pose_released: ['person', 'pose'],
+  bundle_sent: ['key']
+};
+export const EVENT_TYPES = Object.keys(EVENT_FIELDS);
+const CURRENT_FILE = 'events.ndjson';
+const ARCHIVE_PATTERN = /^events-.+\.ndjson$/;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isLabel = (v) => typeof v === 'string' || Number.isFinite(v);
+
+// An event is { type, t (epoch ms), ... } with a known type and that type's label fields.
+export function isValidEvent(event) {
+  return isPlainObject(event) && Object.hasOwn(EVENT_FIELDS, event.type) && Number.isFinite(event.t)
+    && EVENT_FIELDS[event.type].every(field => isLabel(event[field]));
+}
+
+// Append-only event log in `dir`: events.ndjson until it would pass maxBytes, then it is
+// renamed events-<time>.ndjson and a new one starts. Only the newest maxFiles archives are kept.
+export function createEventLog({ dir, maxBytes = 5 * 1024 * 1024, maxFiles = 20, now = Date.now }) {
+  const current = path.join(dir, CURRENT_FILE);
+
+  function rotate() {
+    const stamp = new Date(now()).toISOString().replace(/[:.]/g, '-');
+    let archive = path.join(dir, `events-${stamp}.ndjson`);
+    for (let n = 1; fs.existsSync(archive); n++) archive = path.join(dir, `events-${stamp}-${n}.ndjson`);
+    fs.renameSync(current, archive);
+    const archives = listArchives(dir);
+    for (const old of archives.slice(0, Math.max(0, archives.length - maxFiles))) fs.unlinkSync(path.join(dir, old));
+  }
+
+  // Returns how many events were written.
+  function append(events) {
+    if (events.length === 0) return 0;
+    const text = events.map(e => `${JSON.stringify(e)}\n`).join('');
+    fs.mkdirSync(dir, { recursive: true });
+    const size = fs.existsSync(current) ? fs.statSync(current).size : 0;
+    if (size > 0 && size + Buffer.byteLength(text) > maxBytes) rotate();
+    fs.appendFileSync(current, text);
+    return events.length;
+  }
+
+  return { append, dir };
+}
+
+// Archive file names, oldest first (their names sort by time).
+function listArchives(dir) {
+  return fs.readdirSync(dir).filter(name => ARCHIVE_PATTERN.test(name)).sort();
+}
+
+// Valid events of one file, streamed line by line; unreadable lines are skipped and a
+// file rotated away since it was listed reads as empty.
+async function readEventFile(file) {
+  const events = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        if (isValidEvent(event)) events.push(event);
+      } catch {
+        // a line cut short by a crash
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return events;
+}
+
+// Reads every logged event in `dir`, oldest file first, without blocking the event loop.
+// Each file's events are cached until its size or mtime changes, so only the current
+// file is read again after new events; archives are read once.
+export function createEventReader(dir) {
+  const cache = new Map(); // file -> { key, events: Promise<event[]> }
+
+  async function readFile(name) {
+    const file = path.join(dir, name);
+    let stat;
+    try {
+      stat = await fsp.stat(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const key = `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+    let entry = cache.get(name);
+    if (entry?.key !== key) {
+      const events = readEventFile(file);
+      entry = { key, events };
+      cache.set(name, entry);
+      events.catch(() => { if (cache.get(name) === entry) cache.delete(name); });
+    }
+    return entry.events;
+  }
+
+  async function read() {
+    let names;
+    try {
+      names = (await fsp.readdir(dir)).filter(name => ARCHIVE_PATTERN.test(name)).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    names.push(CURRENT_FILE);
+    for (const name of cache.keys()) if (!names.includes(name)) cache.delete(name);
+    const files = await Promise.all(names.map(readFile));
+    return files.flat();
+  }
+
+  return { read, dir };
+}
+
+// Every logged event in `dir`, read once without a cache.
+export function readEvents(dir) {
+  return createEventReader(dir).read();
+}
+
+// since / until as epoch ms or an ISO date; null when missing or unreadable.
+export function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  const t = Number.isFinite(n) ? n : Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+export function filterEvents(events, { since = null, until = null } = {}) {
+  return events.filter(e => (since === null || e.t >= since) && (until === null || e.t < until));
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const average = (values) => (values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// Post-show numbers:
+//   poses    { name: { candidates, locks, avgHeldMs, avgDwellMs } } (held = lock to release,
+//            dwell = first seen to lock)
+//   visitors { total, avgStayMs, perHour: [{ hour, count }] } (hours in UTC, ISO)
+//   bundles  { sent, byKey: { key: n } }
+// Pose names and bundle keys come from clients: counted in Maps, never as object keys.
+export function computeStats(events) {
+  const poses = new Map();
+  const held = new Map();
+  const dwell = new Map();
+  const stays = [];
+  const hours = new Map();
+  const byKey = new Map();
+  let sent = 0;
+  const pose = (name) => {
+    if (!poses.has(name)) poses.set(name, { candidates: 0, locks: 0, avgHeldMs: null, avgDwellMs: null });
+    return poses.get(name);
+  };
+  const push = (map, name, value) => {
+    if (!map.has(name)) map.set(name, []);
+    map.get(name).push(value);
+  };
+
+  for (const e of events) {
+    switch (e.type) {
+      case 'track_created': {
+        const hour = Math.floor(e.t / HOUR_MS) * HOUR_MS;
+        hours.set(hour, (hours.get(hour) ?? 0) + 1);
+        break;
+      }
+      case 'track_retired':
+        if (Number.isFinite(e.stayMs)) stays.push(e.stayMs);
+        break;
+      case 'pose_candidate':
+        pose(e.pose).candidates += 1;
+        break;
+      case 'pose_locked':
+        pose(e.pose).locks += 1;
+        if (Number.isFinite(e.dwellMs)) push(dwell, e.pose, e.dwellMs);
+        break;
+      case 'pose_released':
+        pose(e.pose);
+        if (Number.isFinite(e.heldMs)) push(held, e.pose, e.heldMs);
+        break;
+      case 'bundle_sent':
+        sent += 1;
+        byKey.set(e.key, (byKey.get(e.key) ?? 0) + 1);
+        break;
+    }
+  }
+  for (const [name, stats] of poses) {
+    stats.avgHeldMs = average(held.get(name) ?? []);
+    stats.avgDwellMs = average(dwell.get(name) ?? []);
+  }
+
+  const perHour = [...hours.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([hour, count]) => ({ hour: new Date(hour).toISOString(), count }));
+  const total = perHour.reduce((sum, h) => sum + h.count, 0);
+
+  return {
+    from: events.length ? new Date(events[0].t).toISOString() : null,
+    to: events.length ? new Date(events[events.length - 1].t).toISOString() : null,
+    events: events.length,
+    poses: Object.fromEntries(poses),
+    visitors: { total, avgStayMs: average(stays), perHour },
+    bundles: { sent, byKey: Object.fromEntries(byKey) }
+  };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(c => row[c]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+// CSV tables for the post-show report: poses, visitors (per hour) or the raw events.
+export const CSV_TABLES = {
+  poses: (events) => toCsv(
+    ['pose', 'candidates', 'locks', 'avgHeldMs', 'avgDwellMs'],
+    Object.entries(computeStats(events).poses).map(([name, s]) => ({ pose: name, ...s }))
+  ),
+  visitors: (events) => toCsv(['hour', 'count'], computeStats(events).visitors.perHour),
+  events: (events) => toCsv(
+    ['time', 'session', 'type', 'person', 'pose', 'dwellMs', 'heldMs', 'stayMs', 'key', 'scene'],
+    events.map(e => ({ ...e, time: new Date(e.t).toISOString() }))
+  )
+};
@@ -5,17 +5,129 @@ import http from 'http';
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import osc from 'osc';
+import { defaultOscConfig, inboundToJson, loadOscConfig, routeAction, routePacket } from './osc-routing.js';
+import { CSV_TABLES, computeStats, createEventLog, createEventReader, filterEvents, isValidEvent, parseTime } from './analytics.js';
+import { emptyShowConfig, listMediaLibrary, listStickerAssets, loadShowConfig, saveShowConfig, validateShowConfig } from './show-config.js';
 
 const HTTP_PORT = Number(process.env.HTTP_PORT) || 5173;
 const WS_PATH = process.env.WS_PATH || '/ws';
 const WS_PORT = HTTP_PORT; // WebSocket shares the HTTP server
 const MODUL8_HOST = process.env.MODUL8_HOST || '127.0.0.1';
 const MODUL8_PORT = Number(process.env.MODUL8_PORT) || 8000;
+// Inbound OSC (VJ software feedback, TouchOSC, clocks) is opt-in: unset or 0 = send only
+const OSC_IN_PORT = Number(process.env.OSC_IN_PORT) || 0;
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const WEB_ROOT = path.resolve(__dirname, '..');
+const OSC_TARGETS_FILE = path.resolve(__dirname, process.env.OSC_TARGETS_FILE || 'osc-targets.json');
+const SHOW_CONFIG_FILE = path.resolve(__dirname, process.env.SHOW_CONFIG_FILE || 'show-config.json');
+const ANALYTICS_DIR = path.resolve(__dirname, process.env.ANALYTICS_DIR || 'analytics');
+const ANALYTICS_MAX_BYTES = Number(process.env.ANALYTICS_MAX_BYTES) || 5 * 1024 * 1024;
+const ANALYTICS_MAX_FILES = Number(process.env.ANALYTICS_MAX_FILES) || 20;
+
+// Named OSC targets and per-action address templates (Modul8 only when no file exists)
+const { config: oscConfig, source: oscConfigSource } = loadOscConfig(
+  OSC_TARGETS_FILE,
+  defaultOscConfig({ host: MODUL8_HOST, port: MODUL8_PORT })
+);
+
+// Show config (pose stickers/bundles, layer map, timings) editable over REST
+let showConfig;
+try {
+  showConfig = loadShowConfig(SHOW_CONFIG_FILE);
+} catch (err) {
+  log(`Show config ${SHOW_CONFIG_FILE} unreadable, starting empty`, err.message);
+  showConfig = emptyShowConfig();
+}
+
+// Interaction events from the sketch, rotated NDJSON files in ANALYTICS_DIR
+const eventLog = createEventLog({ dir: ANALYTICS_DIR, maxBytes: ANALYTICS_MAX_BYTES, maxFiles: ANALYTICS_MAX_FILES });
 
 const app = express();
+app.use(express.json());
+
+app.get('/api/config', (req, res) => {
+  res.json(showConfig);
+});
+
+app.put('/api/config', (req, res) => {
+  const errors = validateShowConfig(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'invalid_config', errors });
+    return;
+  }
+  try {
+    showConfig = saveShowConfig(SHOW_CONFIG_FILE, req.body);
+  } catch (err) {
+    log('Show config save failed', err.message);
+    res.status(500).json({ error: 'save_failed', reason: err.message });
+    return;
+  }
+  log(`Show config saved → ${clients.size} clients`);
+  broadcast({ type: 'show_config', config: showConfig });
+  res.json(showConfig);
+});
+
+app.get('/api/stickers', (req, res) => {
+  res.json({ stickers: listStickerAssets(WEB_ROOT) });
+});
+
+app.get('/api/media', (req, res) => {
+  res.json({ media: listMediaLibrary(WEB_ROOT) });
+});
+
+// Logged events, optionally limited to ?since=&until= (epoch ms or ISO dates)
+const eventReader = createEventReader(ANALYTICS_DIR);
+
+async function requestedEvents(req) {
+  return filterEvents(await eventReader.read(), { since: parseTime(req.query.since), until: parseTime(req.query.until) });
+}
+
+app.get('/api/stats', async (req, res) => {
+  try {
+    res.json(computeStats(await requestedEvents(req)));
+  } catch (err) {
+    log('Stats failed', err.message);
+    res.status(500).json({ error: 'stats_failed', reason: err.message });
+  }
+});
+
+app.get('/api/stats/:table.csv', async (req, res) => {
+  const table = Object.hasOwn(CSV_TABLES, req.params.table) ? CSV_TABLES[req.params.table] : null;
+  if (!table) {
+    res.status(404).json({ error: 'unknown_table', tables: Object.keys(CSV_TABLES) });
+    return;
+  }
+  try {
+    const csv = table(await requestedEvents(req));
+    res.type('text/csv');
+    res.attachment(`between-verses-${req.params.table}.csv`);
+    res.send(csv);
+  } catch (err) {
+    log('Stats failed', err.message);
+    res.status(500).json({ error: 'stats_failed', reason: err.message });
+  }
+});
+
+// WS URL as seen by the requesting machine (works from a second computer on the LAN)
+app.get('/api/runtime', (req, res) => {
+  const scheme = req.secure ? 'wss' : 'ws';
+  res.json({ wsUrl: `${scheme}://${req.get('host')}${WS_PATH}`, wsPath: WS_PATH, oscInPort: OSC_IN_PORT });
+});
+
+// The interaction logs live under WEB_ROOT by default: they are only read through
+// /api/stats, never served as files (compared without case for macOS / Windows disks)
+const ANALYTICS_PREFIX = (ANALYTICS_DIR + path.sep).toLowerCase();
+app.use((req, res, next) => {
+  let file;
+  try {
+    file = path.join(WEB_ROOT, decodeURIComponent(req.path));
+  } catch {
+    return next(); // malformed escapes: express.static answers 400
+  }
+  if ((file + path.sep).toLowerCase().startsWith(ANALYTICS_PREFIX)) return res.sendStatus(404);
+  next();
+});
 app.use(express.static(WEB_ROOT, { extensions: ['html'] }));
 app.get('*', (req, res) => {
   res.sendFile(path.join(WEB_ROOT, 'index.html'));
@@ -24,13 +136,22 @@ app.get('*', (req, res) => {
 const server = http.createServer(app);
 
 const clients = new Set();
+// {type:'scene'} actions an operator can relay to the sketches
+const SCENE_ACTIONS = ['next', 'previous', 'goto'];
+// Pages announce themselves with {type:'join', role}: control pages run the camera and
+// publish render states, output pages (the projector) receive them
+const ROLES = ['control', 'output'];
+const roles = new Map(); // ws -> role
 
+// One shared UDP socket sends to every UDP target and listens on OSC_IN_PORT;
+// TCP targets get their own connection.
+// metadata: every arg is sent with its explicit { type, value } from osc-routing.js
 const udpPort = new osc.UDPPort({
   localAddress: '0.0.0.0',
-  localPort: 0,
-  remoteAddress: MODUL8_HOST,
-  remotePort: MODUL8_PORT
+  localPort: OSC_IN_PORT,
+  metadata: true
 });
+const tcpPorts = new Map();
 
 function log(message, extra) {
   if (extra !== undefined) {
@@ -40,22 +161,103 @@ function log(message, extra) {
   }
 }
 
-function sendOscMessage(layer, media) {
-  const address = `/md8key/ctrl_layer_media/${layer}`;
-  udpPort.send(
-    {
-      address,
-      args: [
-        {
-          type: 'i',
-          value: media
-        }
-      ]
-    },
-    MODUL8_HOST,
-    MODUL8_PORT
-  );
-  log(`OSC sent ${address} ${media}`);
+function tcpPortFor(name, target) {
+  let port = tcpPorts.get(name);
+  if (!port) {
+    port = new osc.TCPSocketPort({ address: target.host, port: target.port, metadata: true });
+    port.on('ready', () => log(`OSC TCP connected → ${name} ${target.host}:${target.port}`));
+    port.on('error', (err) => {
+      log(`OSC TCP error (${name})`, err.message);
+      broadcast({ type: 'osc_error', target: name, reason: err.message });
+    });
+    port.on('message', relayInbound);
+    // Dropped connections are reopened on the next send
+    port.on('close', () => tcpPorts.delete(name));
+    port.open();
+    tcpPorts.set(name, port);
+  }
+  return port;
+}
+
+function sendOscMessage(name, target, packet) {
+  if (target.protocol === 'tcp') {
+    tcpPortFor(name, target).send(packet);
+  } else {
+    udpPort.send(packet, target.host, target.port);
+  }
+  log(`OSC sent → ${name} ${describePacket(packet)}`);
+}
+
+function describeArg(arg) {
+  if (arg.type === 'b') return `<${arg.value.length} bytes>`;
+  return arg.value ?? arg.type;
+}
+
+function describePacket(packet) {
+  if (packet.packets) return `#bundle [${packet.packets.map(describePacket).join(', ')}]`;
+  return [packet.address, ...packet.args.map(describeArg)].join(' ');
+}
+
+/*
+ * Route and send a list of actions or packets.
+ * Every item that was dropped or only partly delivered gets one entry in `errors`:
+ * { index, reason, skipped? } where skipped lists the targets it missed.
+ */
+function dispatch(items, route) {
+  let count = 0;
+  const errors = [];
+  items.forEach((item, index) => {
+    const routed = route(item);
+    if (!routed.ok) {
+      errors.push({ index, reason: routed.reason, ...(routed.skipped?.length ? { skipped: routed.skipped } : {}) });
+      return;
+    }
+    const failed = [];
+    for (const { name, target, packet } of routed.messages) {
+      try {
+        sendOscMessage(name, target, packet);
+      } catch (err) {
+        log(`OSC send to ${name} failed`, err.message);
+        broadcast({ type: 'osc_error', target: name, reason: err.message });
+        failed.push({ target: name, reason: 'send_failed' });
+      }
+    }
+    const missed = [...routed.skipped, ...failed];
+    if (failed.length === routed.messages.length) {
+      errors.push({ index, reason: 'send_failed', skipped: missed });
+      return;
+    }
+    if (missed.length > 0) errors.push({ index, reason: 'partial', skipped: missed });
+    count += 1;
+  });
+  return { count, errors };
+}
+
+// Send to every browser (but `except`, and only those that joined as `role` if given);
+// returns how many got it
+function broadcast(message, except = null, role = null) {
+  const payload = typeof message === 'string' ? message : JSON.stringify(message);
+  let count = 0;
+  for (const ws of clients) {
+    if (ws === except || ws.readyState !== ws.OPEN) continue;
+    if (role && roles.get(ws) !== role) continue;
+    ws.send(payload);
+    count += 1;
+  }
+  return count;
+}
+
+// Tell every page how many control and output pages are connected
+function announcePeers() {
+  const count = (role) => [...roles.values()].filter(r => r === role).length;
+  broadcast({ type: 'peers', outputs: count('output'), controls: count('control') });
+}
+
+// Forward every received OSC message to all browsers
+function relayInbound(message, timeTag, info) {
+  const json = inboundToJson(message, timeTag, info);
+  broadcast(json);
+  log(`OSC received ${json.address} → ${clients.size} clients`);
 }
 
 function safeJsonParse(data) {
@@ -66,6 +268,26 @@ function safeJsonParse(data) {
   }
 }
 
+// Replies echo the request's seq so the browser can correlate them
+function reply(ws, msg, body) {
+  ws.send(JSON.stringify(msg?.seq !== undefined ? { ...body, seq: msg.seq } : body));
+}
+
+// A payload is stale once createdAt (sender's epoch ms) + ttlMs has passed
+function isExpired(msg) {
+  if (!Number.isFinite(msg.createdAt) || !Number.isFinite(msg.ttlMs)) return false;
+  return Date.now() - msg.createdAt > msg.ttlMs;
+}
+
+// Render states arrive at frame rate: relayed to the output pages as they came, not re-serialized
+function relayRenderState(ws, raw) {
+  if (roles.get(ws) !== 'control') {
+    ws.send(JSON.stringify({ type: 'error', reason: 'not_a_control_page' }));
+    return;
+  }
+  broadcast(raw, ws, 'output');
+}
+
 function handleMessage(ws, raw) {
   const parsed = safeJsonParse(raw);
   if (!parsed.ok) {
@@ -80,32 +302,76 @@ function handleMessage(ws, raw) {
     return;
   }
 
+  if (isExpired(msg)) {
+    reply(ws, msg, { type: 'expired' });
+    log(`Stale ${msg.type} #${msg.seq} dropped (${Date.now() - msg.createdAt}ms old, ttl ${msg.ttlMs}ms)`);
+    return;
+  }
+
   switch (msg.type) {
     case 'ping':
-      ws.send(JSON.stringify({ type: 'pong' }));
+      reply(ws, msg, { type: 'pong' });
       log('Ping received -> pong sent');
       return;
     case 'osc': {
       const actions = Array.isArray(msg.actions) ? msg.actions : [];
-      let count = 0;
-      for (const action of actions) {
-        const { layer, media } = action ?? {};
-        if (
-          typeof layer === 'number' &&
-          Number.isInteger(layer) &&
-          typeof media === 'number' &&
-          Number.isInteger(media)
-        ) {
-          sendOscMessage(layer, media);
-          count += 1;
-        }
+      const { count, errors } = dispatch(actions, (action) => routeAction(oscConfig, action, msg.targets));
+      reply(ws, msg, { type: 'sent', count, errors });
+      log('OSC actions processed', { requested: actions.length, sent: count, errors: errors.length });
+      if (errors.length > 0) log('OSC action errors', errors);
+      return;
+    }
+    case 'osc_raw': {
+      const packets = Array.isArray(msg.packets) ? msg.packets : [];
+      const { count, errors } = dispatch(packets, (packet) => routePacket(oscConfig, packet, msg.targets));
+      reply(ws, msg, { type: 'sent', count, errors });
+      log('OSC packets processed', { requested: packets.length, sent: count, errors: errors.length });
+      if (errors.length > 0) log('OSC packet errors', errors);
+      return;
+    }
+    case 'analytics': {
+      // Interaction events from the sketch, stamped with its session
+      const events = Array.isArray(msg.events) ? msg.events : [];
+      const valid = events.filter(isValidEvent).map(e => ({ ...e, session: msg.session ?? null }));
+      let count;
+      try {
+        count = eventLog.append(valid);
+      } catch (err) {
+        reply(ws, msg, { type: 'error', reason: 'log_failed' });
+        log('Analytics log failed', err.message);
+        return;
+      }
+      reply(ws, msg, { type: 'logged', count, skipped: events.length - valid.length });
+      return;
+    }
+    case 'join': {
+      if (!ROLES.includes(msg.role)) {
+        reply(ws, msg, { type: 'error', reason: 'invalid_role' });
+        return;
       }
-      ws.send(JSON.stringify({ type: 'sent', count }));
-      log('OSC actions processed', { requested: actions.length, sent: count });
+      roles.set(ws, msg.role);
+      log(`WS client joined as ${msg.role}`);
+      announcePeers();
+      return;
+    }
+    case 'render_state':
+      relayRenderState(ws, raw);
+      return;
+    case 'scene': {
+      // Operator moving the show on: relayed to the sketches, which run the sequencer
+      const valid = SCENE_ACTIONS.includes(msg.action) && (msg.action !== 'goto' || typeof msg.scene === 'string');
+      if (!valid) {
+        reply(ws, msg, { type: 'error', reason: 'invalid_scene_command' });
+        return;
+      }
+      const command = msg.action === 'goto' ? { type: 'scene', action: 'goto', scene: msg.scene } : { type: 'scene', action: msg.action };
+      const count = broadcast(command, ws);
+      reply(ws, msg, { type: 'relayed', count });
+      log(`Scene ${msg.action}${command.scene ? ` ${command.scene}` : ''} → ${count} clients`);
       return;
     }
     default:
-      ws.send(JSON.stringify({ type: 'error', reason: 'unsupported_message' }));
+      reply(ws, msg, { type: 'error', reason: 'unsupported_message' });
       log('Unsupported message type', msg.type);
   }
 }
@@ -113,7 +379,7 @@ function handleMessage(ws, raw) {
 function onConnection(ws) {
   clients.add(ws);
   log(`WS connected (${clients.size} clients)`);
-  ws.send(JSON.stringify({ type: 'hello', wsPort: WS_PORT, wsPath: WS_PATH }));
+  ws.send(JSON.stringify({ type: 'hello', wsPort: WS_PORT, wsPath: WS_PATH, oscInPort: OSC_IN_PORT }));
 
   ws.on('message', (data) => {
     handleMessage(ws, data.toString());
@@ -122,6 +388,7 @@ function onConnection(ws) {
   ws.on('close', () => {
     clients.delete(ws);
     log(`WS disconnected (${clients.size} clients)`);
+    if (roles.delete(ws)) announcePeers();
   });
 
   ws.on('error', (err) => {
@@ -130,10 +397,17 @@ function onConnection(ws) {
 }
 
 udpPort.on('ready', () => {
-  log(`OSC UDP ready → ${MODUL8_HOST}:${MODUL8_PORT}`);
+  log(`OSC config: ${oscConfigSource}`);
+  for (const [name, target] of Object.entries(oscConfig.targets)) {
+    log(`OSC target ${name} → ${target.protocol ?? 'udp'} ${target.host}:${target.port}`);
+  }
+  log(`OSC UDP ready (default targets: ${oscConfig.defaultTargets.join(', ')})`);
+  if (OSC_IN_PORT > 0) log(`OSC listening on udp 0.0.0.0:${OSC_IN_PORT}`);
 });
+udpPort.on('message', relayInbound);
 udpPort.on('error', (err) => {
   log('OSC error', err.message);
+  broadcast({ type: 'osc_error', reason: err.message });
 });
 udpPort.open();
 
@@ -146,6 +420,10 @@ wss.on('error', (err) => {
 server.listen(HTTP_PORT, () => {
   log(`HTTP server listening on http://0.0.0.0:${HTTP_PORT}`);
   log(`WS endpoint at ws://0.0.0.0:${HTTP_PORT}${WS_PATH}`);
+  log(`Show config API at /api/config (${SHOW_CONFIG_FILE})`);
+  log(`Analytics at /api/stats (${ANALYTICS_DIR})`);
+  log(`Mapping editor at http://0.0.0.0:${HTTP_PORT}/editor`);
+  log('Projector output at /output, operator control at /control');
 });
 
 server.on('error', (err) => {
@@ -164,7 +442,8 @@ process.on('SIGINT', () => {
   wss.close(() => {
     log('WS server closed');
     udpPort.close();
-    log('OSC port closed');
+    for (const port of tcpPorts.values()) port.close();
+    log('OSC ports closed');
     server.close(() => {
       log('HTTP server closed');
       process.exit(0);
@@ -0,0 +1,289 @@
+import fs from 'fs';
+
+// Placeholders in address/argument templates: {layer}, {media}, {layer+1}, {media-8}
+const PLACEHOLDER = /\{(\w+)([+-]\d+)?\}/g;
+const WHOLE_PLACEHOLDER = /^\{(\w+)([+-]\d+)?\}$/;
+
+const PROTOCOLS = ['udp', 'tcp'];
+
+// NTP "immediately" time tag
+const IMMEDIATELY = { raw: [0, 1] };
+const MAX_BUNDLE_DEPTH = 8;
+
+// Built-in config used when no targets file exists: the original single Modul8 target.
+export function defaultOscConfig({ host, port }) {
+  return {
+    targets: {
+      modul8: { host, port, protocol: 'udp' }
+    },
+    defaultTargets: ['modul8'],
+    templates: {
+      media: {
+        modul8: {
+          address: '/md8key/ctrl_layer_media/{layer}',
+          args: [{ type: 'i', value: '{media}' }]
+        }
+      }
+    }
+  };
+}
+
+// Returns a list of human-readable problems (empty when the config is usable).
+export function validateOscConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') return ['config must be an object'];
+
+  const targets = config.targets ?? {};
+  if (typeof targets !== 'object' || Object.keys(targets).length === 0) {
+    errors.push('targets must name at least one target');
+  }
+  for (const [name, target] of Object.entries(targets)) {
+    if (typeof target?.host !== 'string' || target.host === '') {
+      errors.push(`targets.${name}.host must be a non-empty string`);
+    }
+    if (!Number.isInteger(target?.port) || target.port <= 0 || target.port > 65535) {
+      errors.push(`targets.${name}.port must be a port number`);
+    }
+    if (target?.protocol !== undefined && !PROTOCOLS.includes(target.protocol)) {
+      errors.push(`targets.${name}.protocol must be one of ${PROTOCOLS.join(', ')}`);
+    }
+  }
+
+  for (const name of config.defaultTargets ?? []) {
+    if (!targets[name]) errors.push(`defaultTargets references unknown target "${name}"`);
+  }
+
+  for (const [type, perTarget] of Object.entries(config.templates ?? {})) {
+    for (const [name, template] of Object.entries(perTarget ?? {})) {
+      if (!targets[name]) errors.push(`templates.${type}.${name} references an unknown target`);
+      if (typeof template?.address !== 'string' || !template.address.startsWith('/')) {
+        errors.push(`templates.${type}.${name}.address must start with "/"`);
+      }
+      if (template?.args !== undefined && !Array.isArray(template.args)) {
+        errors.push(`templates.${type}.${name}.args must be an array`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Read a targets file, falling back to `fallback` when it does not exist.
+export function loadOscConfig(file, fallback) {
+  if (!file || !fs.existsSync(file)) return { config: fallback, source: 'defaults' };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  config.targets ??= {};
+  config.templates ??= {};
+  config.defaultTargets ??= Object.keys(config.targets).slice(0, 1);
+  const errors = validateOscConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid OSC config ${file}: ${errors.join('; ')}`);
+  }
+  return { config, source: file };
+}
+
+function lookup(params, name, offset) {
+  const value = params[name];
+  if (value === undefined || value === null) {
+    throw new Error(`missing_param:${name}`);
+  }
+  return offset ? Number(value) + Number(offset) : value;
+}
+
+// Fill every placeholder in a string template.
+export function fillTemplate(template, params) {
+  return template.replace(PLACEHOLDER, (_, name, offset) => String(lookup(params, name, offset)));
+}
+
+// A template arg value that is exactly one placeholder keeps the param's own type.
+function resolveArgValue(value, params) {
+  if (typeof value !== 'string') return value;
+  const whole = value.match(WHOLE_PLACEHOLDER);
+  return whole ? lookup(params, whole[1], whole[2]) : fillTemplate(value, params);
+}
+
+function decodeBlob(value) {
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  if (Array.isArray(value) && value.every((b) => Number.isInteger(b) && b >= 0 && b < 256)) {
+    return Buffer.from(value);
+  }
+  throw new Error('invalid_blob');
+}
+
+// Typed OSC args: i (int32), f (float32), s (string), T / F (booleans, no value), b (blob as base64 or bytes).
+export function coerceArg(type, value) {
+  switch (type) {
+    case 'i': {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`invalid_arg:${value}`);
+      return { type, value: Math.trunc(n) };
+    }
+    case 'f': {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`invalid_arg:${value}`);
+      return { type, value: n };
+    }
+    case 's':
+      if (value === undefined || value === null) throw new Error('invalid_arg:missing_value');
+      return { type, value: String(value) };
+    case 'T':
+      return { type, value: true };
+    case 'F':
+      return { type, value: false };
+    case 'b':
+      return { type, value: decodeBlob(value) };
+    default:
+      throw new Error(`unsupported_arg_type:${type}`);
+  }
+}
+
+// Expand one template into an OSC message for the given action params.
+export function buildMessage(template, params) {
+  return {
+    address: fillTemplate(template.address, params),
+    args: (template.args ?? []).map((arg) => coerceArg(arg.type, resolveArgValue(arg.value, params)))
+  };
+}
+
+/*
+ * OSC time tags from JSON: omitted / null / 'now' = immediately,
+ * { delta: seconds } relative to now, { native: epochMs } absolute.
+ */
+export function toTimeTag(timeTag, now = Date.now()) {
+  if (timeTag === undefined || timeTag === null || timeTag === 'now') return IMMEDIATELY;
+  if (Number.isFinite(timeTag?.delta)) return { native: now + timeTag.delta * 1000 };
+  if (Number.isFinite(timeTag?.native)) return { native: timeTag.native };
+  throw new Error('invalid_time_tag');
+}
+
+/*
+ * Validate a generic packet from the browser and convert it to an osc.js packet.
+ * Messages are { address, args: [{ type, value }] }; bundles are { timeTag, packets: [...] }.
+ * Throws an Error whose message is the reason code.
+ */
+export function normalizePacket(packet, now = Date.now(), depth = 0) {
+  if (!packet || typeof packet !== 'object') throw new Error('invalid_packet');
+
+  if (Array.isArray(packet.packets)) {
+    if (depth >= MAX_BUNDLE_DEPTH) throw new Error('bundle_too_deep');
+    if (packet.packets.length === 0) throw new Error('empty_bundle');
+    return {
+      timeTag: toTimeTag(packet.timeTag, now),
+      packets: packet.packets.map((p) => normalizePacket(p, now, depth + 1))
+    };
+  }
+
+  if (typeof packet.address !== 'string' || !packet.address.startsWith('/')) {
+    throw new Error('invalid_address');
+  }
+  const args = packet.args ?? [];
+  if (!Array.isArray(args)) throw new Error('invalid_args');
+  return {
+    address: packet.address,
+    args: args.map((arg) => {
+      if (!arg || typeof arg !== 'object') throw new Error('invalid_args');
+      return coerceArg(arg.type, arg.value);
+    })
+  };
+}
+
+// Normalize a target name or list of names; null when there is nothing to send to.
+function targetNames(names) {
+  if (typeof names === 'string') names = [names];
+  return Array.isArray(names) && names.length > 0 ? names : null;
+}
+
+/*
+ * Route one generic packet (message or bundle) to its targets.
+ * Target precedence: packet.targets, then the message's targets, then config.defaultTargets.
+ * Returns the same shape as routeAction.
+ */
+export function routePacket(config, packet, messageTargets, now = Date.now()) {
+  let normalized;
+  try {
+    normalized = normalizePacket(packet, now);
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+
+  const names = targetNames(packet.targets ?? messageTargets ?? config.defaultTargets);
+  if (!names) return { ok: false, reason: 'no_targets' };
+
+  const messages = [];
+  const skipped = [];
+  for (const name of names) {
+    const target = config.targets[name];
+    if (target) messages.push({ name, target, packet: normalized });
+    else skipped.push({ target: name, reason: 'unknown_target' });
+  }
+
+  if (messages.length === 0) return { ok: false, reason: 'unknown_target', skipped };
+  return { ok: true, messages, skipped };
+}
+
+/*
+ * Route one action to its targets.
+ * Target precedence: action.targets, then the message's targets, then config.defaultTargets.
+ * Either may be a single target name or a list of names.
+ * Returns { ok: true, messages: [{ target, name, packet }], skipped: [...] }
+ *      or { ok: false, reason } when nothing could be sent.
+ */
+export function routeAction(config, action, messageTargets) {
+  if (!action || typeof action !== 'object') return { ok: false, reason: 'invalid_action' };
+
+  const type = action.type ?? 'media';
+  const perTarget = config.templates[type];
+  if (!perTarget) return { ok: false, reason: `unknown_action_type:${type}` };
+
+  if (type === 'media' && !(Number.isInteger(action.layer) && Number.isInteger(action.media))) {
+    return { ok: false, reason: 'invalid_layer_or_media' };
+  }
+
+  const names = targetNames(action.targets ?? messageTargets ?? config.defaultTargets);
+  if (!names) return { ok: false, reason: 'no_targets' };
+
+  const messages = [];
+  const skipped = [];
+  for (const name of names) {
+    const target = config.targets[name];
+    if (!target) {
+      skipped.push({ target: name, reason: 'unknown_target' });
+      continue;
+    }
+    const template = perTarget[name];
+    if (!template) {
+      skipped.push({ target: name, reason: `no_template:${type}` });
+      continue;
+    }
+    try {
+      messages.push({ name, target, packet: buildMessage(template, action) });
+    } catch (err) {
+      skipped.push({ target: name, reason: err.message });
+    }
+  }
+
+  if (messages.length === 0) {
+    return { ok: false, reason: skipped[0]?.reason ?? 'no_targets', skipped };
+  }
+  return { ok: true, messages, skipped };
+}
+
+function argToJson(arg) {
+  if (arg.value instanceof Uint8Array) return { type: arg.type, value: Buffer.from(arg.value).toString('base64') };
+  return { type: arg.type, value: arg.value };
+}
+
+/*
+ * Describe an inbound OSC message (osc.js metadata format) as the JSON relayed to
+ * WebSocket clients: { type: 'osc_in', address, args: [{ type, value }], from, timeTag? }.
+ * Blobs become base64 strings, like the blobs accepted by osc_raw.
+ */
+export function inboundToJson(message, timeTag, info) {
+  const json = {
+    type: 'osc_in',
+    address: message.address,
+    args: (message.args ?? []).map(argToJson),
+    from: info ? { host: info.address, port: info.port } : null
+  };
+  if (timeTag?.native !== undefined) json.timeTag = timeTag.native;
+  return json;
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+
+const STICKER_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+const STICKER_DIR = 'generated';
+// VJ media folders, in the order their clips sit in vj-hub.md8
+const MEDIA_FOLDERS = [
+  { kind: 'bird', dir: 'between-verses-vjing/birds' },
+  { kind: 'flower', dir: 'between-verses-vjing/flowers' }
+];
+
+// Show config: overrides applied by script.js on top of poses.config.js.
+export function emptyShowConfig() {
+  return { version: 1, layers: {}, poses: {}, timings: {} };
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isIndex = (v) => Number.isInteger(v) && v >= 0;
+const isTargetList = (v) => typeof v === 'string' || (Array.isArray(v) && v.length > 0 && v.every(t => typeof t === 'string'));
+
+// Same rules as routeAction in osc-routing.js: media actions (the default type) need
+// { layer, media } integers, other types only a type name; targets are optional.
+function bundleActionError(action) {
+  if (!isPlainObject(action)) return 'must be an object';
+  const type = action.type ?? 'media';
+  if (typeof type !== 'string' || type === '') return 'type must be a string';
+  if (type === 'media' && (!isIndex(action.layer) || !isIndex(action.media))) return 'must be { layer, media } integers';
+  if (action.targets !== undefined && !isTargetList(action.targets)) return 'targets must be a target name or a list of them';
+  return null;
+}
+
+// Returns a list of human-readable problems (empty when the config can be saved).
+export function validateShowConfig(config) {
+  if (!isPlainObject(config)) return ['config must be an object'];
+  const errors = [];
+
+  for (const key of ['layers', 'poses', 'timings']) {
+    if (config[key] !== undefined && !isPlainObject(config[key])) errors.push(`${key} must be an object`);
+  }
+  if (errors.length > 0) return errors;
+
+  for (const [name, layer] of Object.entries(config.layers ?? {})) {
+    if (!isIndex(layer)) errors.push(`layers.${name} must be a layer index`);
+  }
+
+  for (const [name, pose] of Object.entries(config.poses ?? {})) {
+    if (!isPlainObject(pose)) {
+      errors.push(`poses.${name} must be an object`);
+      continue;
+    }
+    if (pose.image !== undefined) {
+      const ok = typeof pose.image === 'string' && pose.image.startsWith(`./${STICKER_DIR}/`) && !pose.image.includes('..');
+      if (!ok) errors.push(`poses.${name}.image must be a path under ./${STICKER_DIR}/`);
+    }
+    if (pose.bundle !== undefined) {
+      if (!Array.isArray(pose.bundle)) {
+        errors.push(`poses.${name}.bundle must be an array`);
+      } else {
+        pose.bundle.forEach((action, i) => {
+          const error = bundleActionError(action);
+          if (error) errors.push(`poses.${name}.bundle[${i}] ${error}`);
+        });
+      }
+    }
+  }
+
+  for (const [name, value] of Object.entries(config.timings ?? {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`timings.${name} must be a number`);
+  }
+  return errors;
+}
+
+// Stored config, or the empty config when nothing has been saved yet.
+export function loadShowConfig(file) {
+  if (!fs.existsSync(file)) return emptyShowConfig();
+  return { ...emptyShowConfig(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// Write via a temp file so a crash never leaves half a config behind.
+export function saveShowConfig(file, config) {
+  const saved = { ...emptyShowConfig(), ...config, updatedAt: new Date().toISOString() };
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(saved, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+  return saved;
+}
+
+// Sticker images under <webRoot>/generated, as the './generated/...' paths the sketch loads.
+export function listStickerAssets(webRoot) {
+  const base = path.join(webRoot, STICKER_DIR);
+  const found = [];
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (STICKER_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        found.push(`./${path.relative(webRoot, full).split(path.sep).join('/')}`);
+      }
+    }
+  };
+  walk(base);
+  return found.sort();
+}
+
+// Thumbnails for the mapping editor. Media IDs follow poses.config.js: birds are 1..n in
+// folder order and flowers continue right after them (BIRDS / FLOWERS).
+export function listMediaLibrary(webRoot) {
+  const media = [];
+  let id = 1;
+  for (const { kind, dir } of MEDIA_FOLDERS) {
+    const full = path.join(webRoot, dir);
+    if (!fs.existsSync(full)) continue;
+    const files = fs.readdirSync(full)
+      .filter((name) => STICKER_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort();
+    for (const file of files) {
+      media.push({ id: id++, kind, name: path.basename(file, path.extname(file)), src: `./${dir}/${file}` });
+    }
+  }
+  return media;
+}
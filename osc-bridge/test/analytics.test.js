@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  CSV_TABLES,
+  computeStats,
+  createEventLog,
+  createEventReader,
+  filterEvents,
+  isValidEvent,
+  parseTime,
+  readEvents,
+  toCsv
+} from '../analytics.js';
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+const T0 = Date.UTC(2026, 9, 19, 14, 30);
+const MIN = 60 * 1000;
+
+// One visitor: arrives, holds star for 3 s, leaves after a minute
+function visit(person, t, pose = 'star') {
+  return [
+    { type: 'track_created', t, person },
+    { type: 'pose_candidate', t: t + 1000, person, pose },
+    { type: 'pose_locked', t: t + 1400, person, pose, dwellMs: 400 },
+    { type: 'bundle_sent', t: t + 1400, key: '1:8|2:9' },
+    { type: 'pose_released', t: t + 4400, person, pose, heldMs: 3000 },
+    { type: 'track_retired', t: t + MIN, person, stayMs: MIN }
+  ];
+}
+
+test('only known event types with a time and their labels are valid', () => {
+  assert.equal(isValidEvent({ type: 'pose_locked', t: T0, person: 1, pose: 'star' }), true);
+  assert.equal(isValidEvent({ type: 'pose_locked' }), false);
+  assert.equal(isValidEvent({ type: 'rm -rf', t: T0 }), false);
+  assert.equal(isValidEvent({ type: 'toString', t: T0 }), false);
+  assert.equal(isValidEvent(['pose_locked', T0]), false);
+  assert.equal(isValidEvent({ type: 'pose_locked', t: T0, person: 1 }), false);
+  assert.equal(isValidEvent({ type: 'pose_locked', t: T0, person: 1, pose: { length: 1 } }), false);
+  assert.equal(isValidEvent({ type: 'bundle_sent', t: T0, key: ['1:8'] }), false);
+  assert.equal(isValidEvent({ type: 'track_created', t: T0, person: NaN }), false);
+});
+
+test('stats keep hostile pose names and keys as plain entries', () => {
+  const stats = computeStats([
+    { type: 'pose_locked', t: T0, person: 1, pose: '__proto__', dwellMs: 5 },
+    { type: 'pose_released', t: T0 + 10, person: 1, pose: 'constructor', heldMs: 10 },
+    { type: 'bundle_sent', t: T0, key: 'hasOwnProperty' }
+  ]);
+  assert.deepEqual(Object.keys(stats.poses), ['__proto__', 'constructor']);
+  assert.deepEqual(Object.getOwnPropertyDescriptor(stats.poses, '__proto__').value,
+    { candidates: 0, locks: 1, avgHeldMs: null, avgDwellMs: 5 });
+  assert.equal(stats.poses.constructor.avgHeldMs, 10);
+  assert.equal(stats.bundles.byKey.hasOwnProperty, 1);
+  assert.match(CSV_TABLES.poses([{ type: 'pose_candidate', t: T0, person: 1, pose: '__proto__' }]), /^__proto__,1,0,,$/m);
+});
+
+test('events are appended as NDJSON and read back in order', async () => {
+  const dir = tmpDir();
+  const eventLog = createEventLog({ dir });
+  assert.equal(eventLog.append(visit(1, T0)), 6);
+  assert.equal(eventLog.append([]), 0);
+  eventLog.append(visit(2, T0 + MIN));
+  fs.appendFileSync(path.join(dir, 'events.ndjson'), '{"type":"pose_lo');
+
+  const events = await readEvents(dir);
+  assert.equal(events.length, 12);
+  assert.deepEqual(events.map(e => e.person ?? null).slice(0, 2), [1, 1]);
+  assert.equal(events[11].person, 2);
+  assert.deepEqual(await readEvents(path.join(dir, 'missing')), []);
+});
+
+test('the reader picks up new events and reads archives once', async () => {
+  const dir = tmpDir();
+  let t = T0;
+  const eventLog = createEventLog({ dir, maxBytes: 700, now: () => t });
+  const reader = createEventReader(dir);
+  assert.deepEqual(await reader.read(), []);
+
+  eventLog.append(visit(1, T0));
+  t += 1000;
+  eventLog.append(visit(2, T0 + MIN));
+  const first = await reader.read();
+  assert.equal(first.length, 12);
+  assert.ok(fs.readdirSync(dir).some(f => f.startsWith('events-')));
+
+  t += 1000;
+  eventLog.append(visit(3, T0 + 2 * MIN));
+  const second = await reader.read();
+  assert.equal(second.length, 18);
+  assert.equal(second[0], first[0]); // the archive came from the cache
+  assert.equal(second[17].person, 3);
+});
+
+test('the log rotates by size and keeps the newest archives', async () => {
+  const dir = tmpDir();
+  let t = T0;
+  const eventLog = createEventLog({ dir, maxBytes: 700, maxFiles: 2, now: () => t });
+  for (let i = 0; i < 6; i++) {
+    eventLog.append(visit(i, T0 + i * MIN));
+    t += 1000;
+  }
+  const files = fs.readdirSync(dir).sort();
+  assert.ok(files.includes('events.ndjson'));
+  assert.equal(files.filter(f => f.startsWith('events-')).length, 2);
+  for (const file of files) assert.ok(fs.statSync(path.join(dir, file)).size <= 700);
+
+  // The oldest archives are gone; what is left is still in order
+  const people = [...new Set((await readEvents(dir)).map(e => e.person).filter(p => p !== undefined))];
+  assert.deepEqual(people, people.slice().sort());
+  assert.equal(people[people.length - 1], 5);
+});
+
+test('stats count poses, dwell, hold times and visitors per hour', () => {
+  const events = [
+    ...visit(1, T0),
+    ...visit(2, T0 + 10 * MIN),
+    ...visit(3, T0 + 40 * MIN, 'zigzag'),
+    { type: 'pose_released', t: T0 + 41 * MIN, person: 3, pose: 'zigzag', heldMs: 5000 }
+  ].sort((a, b) => a.t - b.t);
+  const stats = computeStats(events);
+
+  assert.deepEqual(stats.poses.star, { candidates: 2, locks: 2, avgHeldMs: 3000, avgDwellMs: 400 });
+  assert.deepEqual(stats.poses.zigzag, { candidates: 1, locks: 1, avgHeldMs: 4000, avgDwellMs: 400 });
+  assert.deepEqual(stats.visitors, {
+    total: 3,
+    avgStayMs: MIN,
+    perHour: [{ hour: '2026-10-19T14:00:00.000Z', count: 2 }, { hour: '2026-10-19T15:00:00.000Z', count: 1 }]
+  });
+  assert.deepEqual(stats.bundles, { sent: 3, byKey: { '1:8|2:9': 3 } });
+  assert.equal(stats.from, new Date(T0).toISOString());
+
+  const empty = computeStats([]);
+  assert.deepEqual([empty.from, empty.visitors.total, empty.visitors.avgStayMs], [null, 0, null]);
+});
+
+test('since and until take epoch ms or ISO dates', () => {
+  assert.equal(parseTime(String(T0)), T0);
+  assert.equal(parseTime('2026-10-19T14:30:00Z'), T0);
+  assert.equal(parseTime('soon'), null);
+  assert.equal(parseTime(undefined), null);
+
+  const events = [...visit(1, T0), ...visit(2, T0 + 2 * MIN)];
+  assert.equal(filterEvents(events, { since: T0 + 2 * MIN }).length, 6);
+  assert.equal(filterEvents(events, { until: T0 + MIN }).length, 5);
+  assert.equal(filterEvents(events).length, 12);
+});
+
+test('CSV tables quote their cells and cover poses, visitors and raw events', () => {
+  assert.equal(toCsv(['a', 'b'], [{ a: 'x,y', b: 'say "hi"' }, { a: 1 }]), 'a,b\n"x,y","say ""hi"""\n1,\n');
+
+  const events = visit(1, T0).map(e => ({ ...e, session: 's1' }));
+  assert.equal(CSV_TABLES.poses(events), 'pose,candidates,locks,avgHeldMs,avgDwellMs\nstar,1,1,3000,400\n');
+  assert.equal(CSV_TABLES.visitors(events), 'hour,count\n2026-10-19T14:00:00.000Z,1\n');
+  const rows = CSV_TABLES.events(events).trim().split('\n');
+  assert.equal(rows[0], 'time,session,type,person,pose,dwellMs,heldMs,stayMs,key,scene');
+  assert.equal(rows[3], '2026-10-19T14:30:01.400Z,s1,pose_locked,1,star,400,,,,');
+  assert.equal(rows.length, 7);
+});
@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  buildMessage,
+  coerceArg,
+  defaultOscConfig,
+  fillTemplate,
+  inboundToJson,
+  loadOscConfig,
+  normalizePacket,
+  routeAction,
+  routePacket,
+  toTimeTag,
+  validateOscConfig
+} from '../osc-routing.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_FILE = path.join(__dirname, '..', 'osc-targets.example.json');
+const { config: example } = loadOscConfig(EXAMPLE_FILE, null);
+
+test('the example targets file is valid', () => {
+  assert.deepEqual(validateOscConfig(example), []);
+  assert.deepEqual(Object.keys(example.targets), ['modul8', 'madmapper', 'resolume']);
+});
+
+test('falls back to the built-in Modul8 config when no file exists', () => {
+  const fallback = defaultOscConfig({ host: '10.0.0.5', port: 9000 });
+  const { config, source } = loadOscConfig(path.join(__dirname, 'missing.json'), fallback);
+  assert.equal(source, 'defaults');
+  assert.deepEqual(config.targets.modul8, { host: '10.0.0.5', port: 9000, protocol: 'udp' });
+});
+
+test('fillTemplate substitutes params and applies offsets', () => {
+  assert.equal(fillTemplate('/md8key/ctrl_layer_media/{layer}', { layer: 2 }), '/md8key/ctrl_layer_media/2');
+  assert.equal(fillTemplate('/layers/{layer+1}/clips/{media-7}', { layer: 0, media: 8 }), '/layers/1/clips/1');
+  assert.throws(() => fillTemplate('/x/{layer}', {}), /missing_param:layer/);
+});
+
+test('buildMessage keeps single-placeholder args numeric and coerces to the OSC type', () => {
+  const msg = buildMessage(
+    { address: '/a/{layer}', args: [{ type: 'i', value: '{media}' }, { type: 'f', value: '{value}' }, { type: 's', value: 'Media {media}' }] },
+    { layer: 1, media: 9, value: 0.5 }
+  );
+  assert.deepEqual(msg, {
+    address: '/a/1',
+    args: [{ type: 'i', value: 9 }, { type: 'f', value: 0.5 }, { type: 's', value: 'Media 9' }]
+  });
+});
+
+test('media actions go to the default targets with the original Modul8 address', () => {
+  const routed = routeAction(example, { layer: 0, media: 8 });
+  assert.equal(routed.ok, true);
+  assert.deepEqual(routed.messages.map((m) => m.name), ['modul8']);
+  assert.deepEqual(routed.messages[0].packet, {
+    address: '/md8key/ctrl_layer_media/0',
+    args: [{ type: 'i', value: 8 }]
+  });
+});
+
+test('message targets fan an action out and action targets override them', () => {
+  const fanned = routeAction(example, { layer: 1, media: 9 }, ['modul8', 'resolume']);
+  assert.deepEqual(fanned.messages.map((m) => m.name), ['modul8', 'resolume']);
+  assert.equal(fanned.messages[1].packet.address, '/composition/layers/2/clips/2/connect');
+
+  const single = routeAction(example, { layer: 1, media: 9, targets: 'madmapper' }, ['modul8']);
+  assert.deepEqual(single.messages.map((m) => m.name), ['madmapper']);
+});
+
+test('targets without a template for the action type are skipped', () => {
+  const routed = routeAction(example, { type: 'opacity', layer: 2, value: 0.25 }, ['modul8', 'madmapper', 'nowhere']);
+  assert.equal(routed.ok, true);
+  assert.deepEqual(routed.messages.map((m) => m.name), ['modul8']);
+  assert.deepEqual(routed.skipped, [
+    { target: 'madmapper', reason: 'no_template:opacity' },
+    { target: 'nowhere', reason: 'unknown_target' }
+  ]);
+});
+
+test('invalid actions are rejected with a reason', () => {
+  assert.deepEqual(routeAction(example, { layer: 0.5, media: 8 }), { ok: false, reason: 'invalid_layer_or_media' });
+  assert.deepEqual(routeAction(example, { type: 'strobe' }), { ok: false, reason: 'unknown_action_type:strobe' });
+  assert.equal(routeAction(example, { type: 'opacity', layer: 1 }).reason, 'missing_param:value');
+});
+
+test('validateOscConfig reports broken targets and templates', () => {
+  const errors = validateOscConfig({
+    targets: { a: { host: '', port: 70000, protocol: 'serial' } },
+    defaultTargets: ['b'],
+    templates: { media: { c: { address: 'no-slash' } } }
+  });
+  assert.equal(errors.length, 6);
+});
+
+test('coerceArg supports every typed argument', () => {
+  assert.deepEqual(coerceArg('i', '7.9'), { type: 'i', value: 7 });
+  assert.deepEqual(coerceArg('f', 0.25), { type: 'f', value: 0.25 });
+  assert.deepEqual(coerceArg('s', 42), { type: 's', value: '42' });
+  assert.deepEqual(coerceArg('T'), { type: 'T', value: true });
+  assert.deepEqual(coerceArg('F', 'ignored'), { type: 'F', value: false });
+  assert.deepEqual([...coerceArg('b', 'AQID').value], [1, 2, 3]);
+  assert.deepEqual([...coerceArg('b', [255, 0]).value], [255, 0]);
+  assert.throws(() => coerceArg('b', [256]), /invalid_blob/);
+  assert.throws(() => coerceArg('f', 'fast'), /invalid_arg:fast/);
+  assert.throws(() => coerceArg('d', 1), /unsupported_arg_type:d/);
+});
+
+test('time tags are immediate by default and relative or absolute on request', () => {
+  assert.deepEqual(toTimeTag(undefined), { raw: [0, 1] });
+  assert.deepEqual(toTimeTag('now'), { raw: [0, 1] });
+  assert.deepEqual(toTimeTag({ delta: 0.5 }, 1000), { native: 1500 });
+  assert.deepEqual(toTimeTag({ native: 1234 }, 1000), { native: 1234 });
+  assert.throws(() => toTimeTag({ at: 'soon' }), /invalid_time_tag/);
+});
+
+test('normalizePacket converts nested bundles', () => {
+  const packet = normalizePacket({
+    timeTag: { delta: 1 },
+    packets: [
+      { address: '/md8key/ctrl_layer_alpha/2', args: [{ type: 'f', value: 0.5 }] },
+      { packets: [{ address: '/tempo/tap' }] }
+    ]
+  }, 10000);
+  assert.deepEqual(packet, {
+    timeTag: { native: 11000 },
+    packets: [
+      { address: '/md8key/ctrl_layer_alpha/2', args: [{ type: 'f', value: 0.5 }] },
+      { timeTag: { raw: [0, 1] }, packets: [{ address: '/tempo/tap', args: [] }] }
+    ]
+  });
+});
+
+test('normalizePacket rejects malformed packets with a reason', () => {
+  assert.throws(() => normalizePacket({ address: 'fx/1' }), /invalid_address/);
+  assert.throws(() => normalizePacket({ address: '/fx', args: 1 }), /invalid_args/);
+  assert.throws(() => normalizePacket({ address: '/fx', args: [{ type: 'x', value: 1 }] }), /unsupported_arg_type:x/);
+  assert.throws(() => normalizePacket({ packets: [] }), /empty_bundle/);
+
+  let deep = { address: '/deep' };
+  for (let i = 0; i < 9; i++) deep = { packets: [deep] };
+  assert.throws(() => normalizePacket(deep), /bundle_too_deep/);
+});
+
+test('routePacket sends one packet to every requested target', () => {
+  const routed = routePacket(example, { address: '/composition/tempocontroller/tempo', args: [{ type: 'f', value: 0.4 }] }, ['resolume', 'ghost']);
+  assert.equal(routed.ok, true);
+  assert.deepEqual(routed.messages.map((m) => m.name), ['resolume']);
+  assert.deepEqual(routed.skipped, [{ target: 'ghost', reason: 'unknown_target' }]);
+
+  assert.deepEqual(routePacket(example, { address: 'nope' }), { ok: false, reason: 'invalid_address' });
+  assert.equal(routePacket(example, { address: '/x', targets: 'ghost' }).reason, 'unknown_target');
+});
+
+test('inbound OSC is relayed as JSON with base64 blobs and the sender', () => {
+  const json = inboundToJson(
+    { address: '/bv/theme', args: [{ type: 's', value: 'outline' }, { type: 'b', value: new Uint8Array([1, 2, 3]) }, { type: 'T', value: true }] },
+    { raw: [0, 1], native: 5000 },
+    { address: '192.168.1.20', port: 9001, size: 48 }
+  );
+  assert.deepEqual(json, {
+    type: 'osc_in',
+    address: '/bv/theme',
+    args: [{ type: 's', value: 'outline' }, { type: 'b', value: 'AQID' }, { type: 'T', value: true }],
+    from: { host: '192.168.1.20', port: 9001 },
+    timeTag: 5000
+  });
+  assert.equal(inboundToJson({ address: '/ping' }).from, null);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  emptyShowConfig,
+  listMediaLibrary,
+  listStickerAssets,
+  loadShowConfig,
+  saveShowConfig,
+  validateShowConfig
+} from '../show-config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WEB_ROOT = path.join(__dirname, '..', '..');
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'show-config-')), 'show-config.json');
+
+test('a full show config validates', () => {
+  const config = {
+    layers: { FLOWER_A1: 1, BIRD_B: 3 },
+    poses: {
+      star: { image: './generated/outline/Cathedral.png', bundle: [{ layer: 1, media: 8 }, { layer: 3, media: 0 }] }
+    },
+    timings: { POSE_DWELL_MS: 450 }
+  };
+  assert.deepEqual(validateShowConfig(config), []);
+  assert.deepEqual(validateShowConfig(emptyShowConfig()), []);
+});
+
+test('invalid show configs list every problem', () => {
+  assert.deepEqual(validateShowConfig(null), ['config must be an object']);
+  assert.deepEqual(validateShowConfig({ poses: [] }), ['poses must be an object']);
+  assert.deepEqual(validateShowConfig({
+    layers: { A: -1 },
+    poses: {
+      star: { image: '/etc/passwd', bundle: [{ layer: 1 }] },
+      zigzag: { image: './generated/../index.html', bundle: 'x' },
+      rounded: 3
+    },
+    timings: { IN_MS: '200' }
+  }), [
+    'layers.A must be a layer index',
+    'poses.star.image must be a path under ./generated/',
+    'poses.star.bundle[0] must be { layer, media } integers',
+    'poses.zigzag.image must be a path under ./generated/',
+    'poses.zigzag.bundle must be an array',
+    'poses.rounded must be an object',
+    'timings.IN_MS must be a number'
+  ]);
+});
+
+test('bundle actions follow the routing rules for their type', () => {
+  const bundle = (...actions) => validateShowConfig({ poses: { star: { bundle: actions } } });
+  assert.deepEqual(bundle(
+    { layer: 1, media: 8 },
+    { type: 'media', layer: 2, media: 0, targets: ['resolume'] },
+    { type: 'opacity', layer: 1, value: 0.5 },
+    { type: 'clear', targets: 'madmapper' }
+  ), []);
+  assert.deepEqual(bundle(
+    { type: 'media', layer: 1 },
+    { type: 3 },
+    { type: 'opacity', targets: [1] },
+    'opacity'
+  ), [
+    'poses.star.bundle[0] must be { layer, media } integers',
+    'poses.star.bundle[1] type must be a string',
+    'poses.star.bundle[2] targets must be a target name or a list of them',
+    'poses.star.bundle[3] must be an object'
+  ]);
+});
+
+test('a saved config loads back with an update stamp', () => {
+  const file = tmpFile();
+  assert.deepEqual(loadShowConfig(file), emptyShowConfig());
+
+  const saved = saveShowConfig(file, { poses: { star: { bundle: [{ layer: 1, media: 9 }] } } });
+  assert.equal(typeof saved.updatedAt, 'string');
+  assert.deepEqual(saved.layers, {});
+  assert.deepEqual(loadShowConfig(file), saved);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('sticker assets are listed as sketch-relative paths, subfolders included', () => {
+  const stickers = listStickerAssets(WEB_ROOT);
+  assert.ok(stickers.includes('./generated/Cathedral.png'));
+  assert.ok(stickers.includes('./generated/outline/Jesus.png'));
+  assert.ok(stickers.every((p) => p.startsWith('./generated/')));
+  assert.deepEqual(listStickerAssets(path.join(os.tmpdir(), 'no-such-root')), []);
+});
+
+test('the media library numbers birds from 1 and flowers after them, like poses.config.js', () => {
+  const media = listMediaLibrary(WEB_ROOT);
+  const birds = media.filter((m) => m.kind === 'bird');
+  const flowers = media.filter((m) => m.kind === 'flower');
+  assert.deepEqual(birds.map((m) => m.id), [1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(flowers[0].id, 8);
+  assert.equal(flowers.length, 12);
+  assert.deepEqual(birds[0], { id: 1, kind: 'bird', name: 'arara', src: './between-verses-vjing/birds/arara.png' });
+  assert.deepEqual(listMediaLibrary(path.join(os.tmpdir(), 'no-such-root')), []);
+});
@@ -0,0 +1,480 @@
+/*
+===========================================================
+POSE CONFIGURATION
+Declarative pose definitions for Between Verses. Each pose
+lists the keypoint predicates that must all hold, a priority,
+the sticker image and the OSC bundle sent when it locks.
+Add or retune poses here without touching script.js.
+===========================================================
+
+Condition grammar (see evaluatePoseCondition in src/pose-classifier.js):
+
+  { value: <measure>, lt: n }          measure < n
+  { value: <measure>, gt: n }          measure > n   (lt and gt may be combined)
+  { value: <measure>, unit: 'torso' }  thresholds in torso heights instead of shoulder widths
+  { feature: <name>, lt: n, gt: n }    a scalar feature from extractPoseFeatures
+  { ..., tol: n }                      soft-score tolerance override (see scoring)
+  { all: [cond, ...] }                 every condition holds
+  { any: [cond, ...] }                 at least one condition holds
+  'name'                               a shared condition from POSE_CONFIG.conditions
+
+Measures (a, b = keypoint names, or 'shoulder_mid' / 'hip_mid'):
+
+  ['x', a, b]      signed horizontal offset a.x - b.x   (in units)
+  ['y', a, b]      signed vertical offset a.y - b.y     (in units; negative = a above b)
+  ['absX', a, b]   |a.x - b.x|                          (in units)
+  ['absY', a, b]   |a.y - b.y|                          (in units)
+  ['dist', a, b]   euclidean distance                   (in units)
+  ['ratio', m1, m2] m1 / m2                             (unitless)
+
+Features (degrees unless noted):
+
+  left_elbow_angle / right_elbow_angle                  180 = arm straight
+  left_shoulder_abduction / right_shoulder_abduction    0 = arm down, 90 = horizontal, 180 = up
+  torso_per_sw                                          torso height in shoulder widths
+
+Measures work on keypoints already normalized to shoulder widths
+around the shoulder midpoint, so thresholds hold at any distance
+from the camera and any capture resolution.
+
+Group rules (POSE_CONFIG.groups, see src/group-composer.js):
+
+  { count: 'present',  min: n, max: n }   people in frame
+  { count: 'locked',   min: n, max: n }   people locked into a (non-neutral) pose
+  { count: 'distinct', min: n, max: n }   different poses locked
+  { count: <pose>,     min: n, max: n }   people locked into that pose
+  { everyone: <pose> }                    everyone present is locked into that pose
+
+  sticker: { image, scale, tint }         treatment for the people in the named poses
+
+Gestures (POSE_CONFIG.gestures, see src/gestures.js) are movements over
+time, recognised alongside the poses: wave, jump, clap, turn_around and
+arm_sweep. Only the gestures listed are recognised. Each may have:
+
+  bundle       OSC actions sent when it happens (like a pose bundle)
+  effect       one-shot sticker track { ms, ease, keys }, offsets like `idle`
+  particles    'petals' or 'birds' thrown from the wrists and ankles (one-sided
+               gestures like wave: only that wrist)
+  cooldownMs   least time between two of the same gesture per person
+
+Scenes (POSE_CONFIG.scenes, see src/show-sequencer.js) run the show in
+order, the last one wrapping around to the first. Without scenes every
+pose is open all the time. A scene may have:
+
+  poses          pose names that can lock (default: all)
+  stickerTheme   a name from stickerThemes (default: the pose images)
+  bundles        { pose: bundle } overrides; [] silences that pose
+  cue            bundle sent when the scene starts
+  durationMs     move on after this long
+  until          group conditions (as in groups' `when`) that end it
+  minMs          least time in the scene before `until` is checked
+  next           scene to go to instead of the following one
+
+The operator can also move on by hotkey, OSC or the bridge WebSocket.
+
+Attract mode (POSE_CONFIG.attract, see src/attract-mode.js) starts when
+nobody has been in front of the camera for a while:
+
+  absenceMs    nobody in frame this long starts it
+  arriveMs     someone must stay this long to end it
+  welcomeMs    length of the welcome transition for the first person
+  demoPoseMs   time per pose in the demo (poses with an image, in priority order)
+  bundle       idle bundle sent when it starts
+  welcome      { bundle, particles } when the first person steps in
+  scene        show scene to return to when it starts
+
+Pose `icon` is the instruction drawing the attract demo shows next to
+the pose's sticker.
+
+Pose `color` is the silhouette colour of people locked into that pose
+when silhouettes are coloured by pose (script.js RENDER MODES).
+
+Sticker choreography (optional pose `sticker`, see src/sticker-anim.js):
+
+  enter: { ms, ease, keys }   played when the pose locks (default: pop-in)
+  idle:  { ms, ease, keys }   looped while it stays locked, on top of the rest pose
+  exit:  { ms, ease, keys }   played when it releases, from wherever the sticker is
+  frames: { sheet | sequence, fps, ... }   animated frames (see src/sticker-media.js)
+
+  keys: [{ at, x, y, rotate, scale, opacity, ease }]
+    at       0..1 through the track
+    x, y     offset in shoulder widths (y down); rotate in degrees
+    ease     easing into this key: a name from EASINGS ('easeOutBack',
+             'easeInOutSine', ...) or a cubic-bezier [x1, y1, x2, y2]
+
+  Properties a key leaves out stay at rest (enter, idle) or where the
+  sticker was (exit). Idle offsets add to x / y / rotate and multiply
+  scale / opacity. An animated GIF or WebP `image` plays as it is.
+
+Bundle actions are { layer, media } and go to the bridge's default
+OSC targets (osc-bridge/osc-targets.json). Add `targets: ['resolume']`
+to an action to send it elsewhere, or `type` for a non-media template.
+*/
+
+// Layers (zero-based)
+const LAYERS = { FLOWER_A1: 1, FLOWER_A2: 2, FLOWERS_B1: 3, FLOWERS_B2: 4, BIRD_A: 6, BIRD_B: 7 };
+
+// Birds in order from the folder: 1..7
+const BIRDS   = [1,2,3,4,5,6,7];
+// bird_a is right -> left (1,2,3,4)
+// bird_b is left -> right (5,6,7)
+// Flowers start at 8; continue sequentially
+const FLOWERS = [8,9,10,11,12,13,14,15,16,17,18,19];
+
+const POSE_CONFIG = {
+    // Wrists and shoulders must reach this confidence or the person is neutral
+    minConfidence: 0.3,
+
+    // Alternative sticker folders, selectable at runtime (e.g. via OSC /bv/theme outline).
+    // A theme holds files named like each pose's image; missing files keep the default.
+    stickerThemes: {
+        outline: './generated/outline/',
+        regular: './generated/regular/',
+    },
+
+    // Soft scoring: how far past a threshold (in the condition's own units) a value must be
+    // to score 1 (or 0). Scores feed the FSM quality gate; override per condition with `tol`.
+    scoring: {
+        tolerance: { sw: 0.15, torso: 0.15, ratio: 0.2, feature: 15 },
+    },
+
+    // Shared building blocks referenced by name from the pose rules
+    conditions: {
+        // ~110° at the elbow matches the old "arm longer than 1.6 × forearm" check
+        leftArmExtended:  { feature: 'left_elbow_angle', gt: 110 },
+        rightArmExtended: { feature: 'right_elbow_angle', gt: 110 },
+        leftArmSpread:    { value: ['x', 'left_wrist', 'left_shoulder'], lt: -0.3 },
+        rightArmSpread:   { value: ['x', 'right_wrist', 'right_shoulder'], gt: 0.3 },
+        wristsSymmetric:  { value: ['absY', 'left_wrist', 'right_wrist'], lt: 0.5 },
+    },
+
+    // Checked in ascending priority order; the first pose whose conditions all hold wins
+    poses: [
+        {
+            // Arms and legs spread wide, arms raised
+            name: 'star',
+            priority: 1,
+            requires: ['left_hip', 'right_hip', 'left_ankle', 'right_ankle'],
+            when: [
+                'leftArmExtended', 'rightArmExtended', 'leftArmSpread', 'rightArmSpread', 'wristsSymmetric',
+                { value: ['y', 'left_wrist', 'shoulder_mid'], lt: 0 },
+                { value: ['y', 'right_wrist', 'shoulder_mid'], lt: 0 },
+                { value: ['ratio', ['absX', 'left_ankle', 'right_ankle'], ['absX', 'left_hip', 'right_hip']], gt: 1.3 },
+            ],
+            image: './generated/Cathedral.png',
+            color: '#FFD166',
+            sticker: {
+                enter: { ms: 600, keys: [{ at: 0, scale: 0.4, rotate: -25, opacity: 0 }, { at: 1, scale: 1, ease: 'easeOutBack' }] },
+                idle: { ms: 2400, ease: 'easeInOutSine', keys: [{ at: 0.5, rotate: 4, scale: 1.04 }, { at: 1, rotate: 0, scale: 1 }] },
+            },
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[0] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[1] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[2] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[3] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[0]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
+            ],
+        },
+        {
+            // Both arms raised above head
+            name: 'arms_up',
+            priority: 2,
+            when: [
+                'leftArmExtended', 'rightArmExtended', 'wristsSymmetric',
+                { value: ['y', 'left_wrist', 'nose'], lt: -0.25 },
+                { value: ['y', 'right_wrist', 'nose'], lt: -0.25 },
+            ],
+            image: './generated/Prime.png',
+            icon: './prime.svg',
+            color: '#08F2DB',
+            sticker: {
+                // Rise from below and float while the arms stay up
+                enter: { ms: 500, ease: 'easeOutCubic', keys: [{ at: 0, y: 0.8, scale: 0.7, opacity: 0 }] },
+                idle: { ms: 3000, ease: 'easeInOutSine', keys: [{ at: 0.5, y: -0.12 }, { at: 1, y: 0 }] },
+                exit: { ms: 300, ease: 'easeInQuad', keys: [{ at: 1, y: -0.8, opacity: 0 }] },
+            },
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[3] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[2] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[1] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[0] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[2]    },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[6]    },
+            ],
+        },
+        {
+            // Victory/celebration pose (elbows out, wrists above elbows and shoulders)
+            name: 'side_arms',
+            priority: 3,
+            when: [
+                'wristsSymmetric',
+                { value: ['y', 'left_wrist', 'left_elbow'], lt: -0.15 },
+                { value: ['y', 'right_wrist', 'right_elbow'], lt: -0.15 },
+                { value: ['y', 'left_wrist', 'left_shoulder'], lt: 0 },
+                { value: ['y', 'right_wrist', 'right_shoulder'], lt: 0 },
+                { value: ['absX', 'left_elbow', 'left_shoulder'], gt: 0.3 },
+                { value: ['absX', 'right_elbow', 'right_shoulder'], gt: 0.3 },
+            ],
+            image: './generated/Grossmuenster.png',
+            color: '#7DA8FF',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[11] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[10] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[9] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[8] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[3]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
+            ],
+        },
+        {
+            // One arm up, one arm down (asymmetric)
+            name: 'zigzag',
+            priority: 4,
+            when: [
+                'leftArmExtended', 'rightArmExtended',
+                { value: ['absY', 'left_wrist', 'right_wrist'], gt: 0.8 },
+                { any: [
+                    { value: ['y', 'left_wrist', 'shoulder_mid'], lt: -0.35 },
+                    { value: ['y', 'right_wrist', 'shoulder_mid'], lt: -0.35 },
+                ] },
+                { any: [
+                    { value: ['y', 'left_wrist', 'shoulder_mid'], gt: 0.35 },
+                    { value: ['y', 'right_wrist', 'shoulder_mid'], gt: 0.35 },
+                ] },
+            ],
+            image: './generated/Copan.png',
+            color: '#FF7D7D',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[8] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[9] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[10] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[11] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[2]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[6]   },
+            ],
+        },
+        {
+            // T-pose (arms extended horizontally)
+            name: 'arms_out',
+            priority: 5,
+            when: [
+                'leftArmExtended', 'rightArmExtended', 'leftArmSpread', 'rightArmSpread', 'wristsSymmetric',
+                { feature: 'left_shoulder_abduction', gt: 60, lt: 120 },
+                { feature: 'right_shoulder_abduction', gt: 60, lt: 120 },
+            ],
+            image: './generated/Jesus.png',
+            icon: './jesus.svg',
+            color: '#EA7DFF',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[4] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[5] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[6] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[7] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[1]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[5]   },
+            ],
+        },
+        {
+            // Hands on hips: wrists between mid-torso and upper thighs, near the hips,
+            // elbows outward from wrists, forearms bent
+            name: 'rounded',
+            priority: 6,
+            requires: ['left_hip', 'right_hip'],
+            when: [
+                { value: ['y', 'left_wrist', 'shoulder_mid'], unit: 'torso', gt: -0.2 },
+                { value: ['y', 'right_wrist', 'shoulder_mid'], unit: 'torso', gt: -0.2 },
+                { value: ['y', 'left_wrist', 'hip_mid'], unit: 'torso', lt: 0.6 },
+                { value: ['y', 'right_wrist', 'hip_mid'], unit: 'torso', lt: 0.6 },
+                { value: ['dist', 'left_wrist', 'left_hip'], lt: 1.0 },
+                { value: ['dist', 'right_wrist', 'right_hip'], lt: 1.0 },
+                { value: ['x', 'left_elbow', 'left_wrist'], lt: -0.1 },
+                { value: ['x', 'right_elbow', 'right_wrist'], gt: 0.1 },
+                { value: ['dist', 'left_wrist', 'left_elbow'], lt: 1.4 },
+                { value: ['dist', 'right_wrist', 'right_elbow'], lt: 1.4 },
+            ],
+            image: './generated/Kappell.png',
+            color: '#9BFF7D',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[7]  },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[6]  },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[5]  },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[4]  },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[1]    },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[5]    },
+            ],
+        },
+    ],
+
+    // Motion gestures, recognised over the last few seconds of movement. See "Gestures" above.
+    gestures: [
+        {
+            // A raised hand swinging side to side
+            name: 'wave',
+            effect: { ms: 700, ease: 'easeInOutSine', keys: [{ at: 0.25, rotate: -12 }, { at: 0.75, rotate: 12 }, { at: 1, rotate: 0 }] },
+            particles: 'birds',
+            bundle: [{ layer: LAYERS.BIRD_A, media: BIRDS[3] }],
+        },
+        {
+            name: 'jump',
+            effect: { ms: 600, keys: [{ at: 0.35, y: -0.6, scale: 1.15, ease: 'easeOutQuad' }, { at: 1, y: 0, scale: 1, ease: 'easeOutBounce' }] },
+            particles: 'petals',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[4] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[5] },
+            ],
+        },
+        {
+            name: 'clap',
+            effect: { ms: 300, keys: [{ at: 0.3, scale: 1.25, ease: 'easeOutQuad' }, { at: 1, scale: 1 }] },
+            particles: 'petals',
+            bundle: [{ layer: LAYERS.FLOWERS_B1, media: FLOWERS[6] }],
+        },
+        {
+            // Side-on and back, or facing away
+            name: 'turn_around',
+            effect: { ms: 900, ease: 'easeInOutCubic', keys: [{ at: 1, rotate: 360 }] },
+            bundle: [{ layer: LAYERS.BIRD_B, media: BIRDS[5] }],
+        },
+        {
+            // One arm travelling slowly from hanging to overhead (or back)
+            name: 'arm_sweep',
+            effect: { ms: 1200, ease: 'easeInOutSine', keys: [{ at: 0.5, scale: 1.1, opacity: 0.5 }, { at: 1, scale: 1, opacity: 1 }] },
+            particles: 'birds',
+            bundle: [
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[7] },
+                { layer: LAYERS.BIRD_A, media: BIRDS[0] },
+            ],
+        },
+    ],
+
+    // Group moments: rules over everyone's locked pose, checked in ascending priority.
+    // While one applies its bundle replaces the solo bundles, and its members' stickers
+    // get the rule's treatment (image / scale / tint). See "Group rules" below.
+    groups: [
+        {
+            // Everyone in the frame (at least two people) holds star
+            name: 'everyone_star',
+            priority: 1,
+            when: [{ count: 'present', min: 2 }, { everyone: 'star' }],
+            sticker: { scale: 1.3 },
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[0] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[0] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[1] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[1] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[0]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[6]   },
+            ],
+        },
+        {
+            // Two or more people side by side in a T-pose
+            name: 'pair_arms_out',
+            priority: 2,
+            when: [{ count: 'arms_out', min: 2 }],
+            sticker: { image: './generated/outline/Jesus.png', scale: 1.15 },
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[2] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[2] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[3] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[3] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[3]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
+            ],
+        },
+        {
+            // At least two people locked, in at least two different poses
+            name: 'mixed',
+            priority: 10,
+            when: [{ count: 'locked', min: 2 }, { count: 'distinct', min: 2 }],
+            sticker: { tint: '#EA7DFF' },
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[11] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[0]  },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[11] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[0]  },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[2]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[5]   },
+            ],
+        },
+    ],
+
+    // Nobody in front of the camera (see "Attract mode" above)
+    attract: {
+        absenceMs: 8000,
+        welcomeMs: 2500,
+        scene: 'attract',
+        // Idle: every flower and bird layer back to media 0, the empty slot before the birds
+        bundle: [
+            { layer: LAYERS.FLOWER_A1, media: 0 },
+            { layer: LAYERS.FLOWER_A2, media: 0 },
+            { layer: LAYERS.FLOWERS_B1, media: 0 },
+            { layer: LAYERS.FLOWERS_B2, media: 0 },
+            { layer: LAYERS.BIRD_A,   media: 0 },
+            { layer: LAYERS.BIRD_B,   media: 0 },
+        ],
+        welcome: {
+            particles: 'petals',
+            bundle: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[10] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[11] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[1]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[5]   },
+            ],
+        },
+    },
+
+    // Show scenes, in order (see "Scenes" above)
+    scenes: [
+        {
+            // Waiting for visitors: outline stickers, no poses (attract mode comes back here)
+            name: 'attract',
+            poses: [],
+            stickerTheme: 'outline',
+            until: [{ count: 'present', min: 1 }],
+        },
+        {
+            // Every pose, its own bundle
+            name: 'open_play',
+            durationMs: 180000,
+        },
+        {
+            // Three poses to learn; ends when everyone holds star together
+            name: 'guided',
+            poses: ['star', 'arms_out', 'arms_up'],
+            stickerTheme: 'regular',
+            bundles: {
+                star: [
+                    { layer: LAYERS.FLOWER_A1, media: FLOWERS[0] },
+                    { layer: LAYERS.BIRD_A,   media: BIRDS[0]   },
+                ],
+            },
+            cue: [
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[1] },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
+            ],
+            minMs: 10000,
+            until: [{ everyone: 'star' }],
+            durationMs: 90000,
+        },
+        {
+            // Everything at once, then back to attract
+            name: 'finale',
+            cue: [
+                { layer: LAYERS.FLOWER_A1, media: FLOWERS[0] },
+                { layer: LAYERS.FLOWER_A2, media: FLOWERS[1] },
+                { layer: LAYERS.FLOWERS_B1, media: FLOWERS[2] },
+                { layer: LAYERS.FLOWERS_B2, media: FLOWERS[3] },
+                { layer: LAYERS.BIRD_A,   media: BIRDS[0]   },
+                { layer: LAYERS.BIRD_B,   media: BIRDS[6]   },
+            ],
+            durationMs: 20000,
+            next: 'attract',
+        },
+    ],
+};
+
+// Let the Node test suite require() this file; browsers just see the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LAYERS, BIRDS, FLOWERS, POSE_CONFIG };
+}
@@ -1,20 +1,26 @@
 // Feature flag to control p5 sticker rendering
 const USE_P5_STICKERS = true; // Enable p5 stickers rendering
 
+// The projector page (output.html) only renders what a control page publishes (RENDER SYNC);
+// every other page runs the camera, detection and OSC
+const SKETCH_ROLE = document.body.dataset.role === 'output' ? 'output' : 'control';
+const IS_OUTPUT = SKETCH_ROLE === 'output';
+
 // Declare global variables for video capture, body pose detection, and poses
 let video;
 let bodyPose;
 let poses = [];
-let connections;
+let connections = []; // skeleton pairs from BodyPose (on the output page, from the render state)
 let canvas;
 let showVideo = true;
 let showTracking = false; // Start with tracking OFF
 let showSegmentation = false; // Start with segmentation OFF
 let showLine = true; // Start with line ON
 let showPersonText = true; // Start with person text ON
+let showParticles = true; // Start with particles ON
 let isFullscreen = false;
-let originalWidth = 640;
-let originalHeight = 480;
+let originalWidth = 640;  // size of the image the keypoints are in: the input source
+let originalHeight = 480; // (INPUT SOURCE), or the recording while replaying
 let videoWrapper = null; // Cached reference to video-wrapper element
 let PINK;
 let TURQ;
@@ -23,9 +29,23 @@ let LINE_GLOW;
 let LINE_WIDTH;
 let FILLCOLOR;
 
-const WS_URL = 'ws://127.0.0.1:5173/ws';
+// Asked from the bridge that serves the page (GET /api/runtime); the default covers file:// and other servers
+const DEFAULT_WS_URL = 'ws://127.0.0.1:5173/ws';
+let WS_URL = DEFAULT_WS_URL;
+
+// Delivery to the bridge (src/osc-delivery.js)
+const WS_QUEUE_MAX      = 20;   // payloads held while offline; the oldest is dropped when full
+const WS_TTL_MS         = 2000; // older payloads are stale: never flushed late, dropped by the bridge
+const WS_ACK_TIMEOUT_MS = 1500; // a payload without a reply by then marks the link as unhealthy
 
-let oscWS = null, wsQueue = [], wsBackoffMs = 500;
+let oscWS = null, wsBackoffMs = 500;
+
+const delivery = createDeliveryQueue({
+    now: () => Date.now(), // wall clock: the bridge checks TTLs against its own Date.now()
+    maxQueued: WS_QUEUE_MAX,
+    ttlMs: WS_TTL_MS,
+    ackTimeoutMs: WS_ACK_TIMEOUT_MS
+});
 
 function wsConnect() {
     if (oscWS && (oscWS.readyState === 0 || oscWS.readyState === 1)) return;
@@ -33,168 +53,227 @@ function wsConnect() {
         oscWS = new WebSocket(WS_URL);
         oscWS.onopen = () => {
             wsBackoffMs = 500;
-            while (wsQueue.length) oscWS.send(wsQueue.shift());
+            const { fresh, stale } = delivery.drain();
+            if (stale.length) console.log(`[WS] dropped ${stale.length} stale payload(s) from the offline queue`);
+            for (const envelope of fresh) transmit(envelope);
+            oscWS.send(JSON.stringify({ type: 'join', role: SKETCH_ROLE }));
+            setBridgeStatus('ok', 'Bridge connected');
             console.log('[WS] connected');
         };
         oscWS.onclose = () => {
+            delivery.abandonPending();
+            requeueAnalytics();
             setTimeout(wsConnect, wsBackoffMs);
             wsBackoffMs = Math.min(wsBackoffMs * 2, 4000);
+            setBridgeStatus('offline', 'Bridge offline');
             console.log('[WS] closed, retrying...');
         };
         oscWS.onerror = (e) => console.warn('[WS] error', e);
-        oscWS.onmessage = (e) => { /* optional debug */ };
+        oscWS.onmessage = (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch (err) { return; }
+            if (msg.seq != null) onBridgeReply(msg);
+            else if (msg.type === 'show_config') applyShowConfig(msg.config);
+            else if (msg.type === 'peers') onPeers(msg);
+            else if (msg.type === 'render_state') receiveRenderState(msg);
+            else if (msg.type === 'logged' || msg.reason === 'log_failed') onAnalyticsReply(msg);
+            else if (IS_OUTPUT) return; // remote control drives the control page, which the output follows
+            else if (msg.type === 'osc_in') handleOscIn(msg);
+            else if (msg.type === 'osc_error') setBridgeStatus('error', `OSC error: ${msg.reason}`);
+            else if (msg.type === 'scene') handleSceneCommand(msg);
+        };
     } catch (e) {
         console.warn('[WS] connect error', e);
         setTimeout(wsConnect, wsBackoffMs);
     }
 }
-wsConnect();
 
+function transmit(envelope) {
+    oscWS.send(JSON.stringify(envelope));
+    delivery.track(envelope);
+}
+
+/** Send a message with a sequence ID and TTL; held (bounded) while the bridge is unreachable. */
+function wsSend(message, ttlMs = WS_TTL_MS) {
+    const envelope = delivery.wrap(message, ttlMs);
+    if (oscWS && oscWS.readyState === 1) {
+        transmit(envelope);
+    } else {
+        const dropped = delivery.enqueue(envelope);
+        if (dropped) console.warn(`[WS] offline queue full, dropped #${dropped.seq}`);
+        setBridgeStatus('offline', 'Bridge offline');
+    }
+    return envelope.seq;
+}
+
+/** Correlate a bridge reply with its request and reflect the outcome in the status indicator. */
+function onBridgeReply(reply) {
+    const result = delivery.resolve(reply);
+    if (!result) return;
+    if (result.ok) {
+        setBridgeStatus('ok', `OSC ok · ${result.rttMs} ms`);
+    } else if (reply.type === 'expired') {
+        console.warn(`[WS] #${reply.seq} arrived after its TTL and was dropped by the bridge`);
+    } else {
+        const reason = reply.reason ?? ((reply.errors ?? []).map(e => e.reason).join(', ') || reply.type);
+        console.warn(`[WS] #${reply.seq} ${result.envelope.type} errors`, reply.errors ?? reply.reason);
+        setBridgeStatus('error', `OSC error: ${reason}`);
+    }
+}
+
+function checkBridgeAcks() {
+    const late = delivery.overdue();
+    if (late.length && oscWS && oscWS.readyState === 1) {
+        setBridgeStatus('error', `No reply from bridge (#${late.map(e => e.seq).join(', #')})`);
+    }
+}
+
+/** Update the #bridge-status indicator; state is 'connecting' | 'ok' | 'offline' | 'error'. */
+function setBridgeStatus(state, text) {
+    const { queued } = delivery.status();
+    if (state === 'offline' && queued) text += ` · ${queued} queued`;
+    const el = document.getElementById('bridge-status');
+    if (!el) return;
+    el.dataset.state = state;
+    el.textContent = text;
+}
+
+/** Use the WS URL the bridge reports for this machine (so a second computer connects to the right host). */
+function resolveWsUrl() {
+    return fetch('/api/runtime')
+        .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then(runtime => { if (runtime.wsUrl) WS_URL = runtime.wsUrl; })
+        .catch(err => console.log(`[WS] no runtime info from the bridge (${err.message}), using ${WS_URL}`));
+}
+
+resolveWsUrl().then(wsConnect);
+setInterval(checkBridgeAcks, 500);
+
+/** Send { layer, media } (or templated) actions through the bridge's address templates. */
 function sendOsc(actions) {
-    const payload = JSON.stringify({ type: 'osc', actions });
-    if (oscWS && oscWS.readyState === 1) oscWS.send(payload);
-    else wsQueue.push(payload);
+    wsSend({ type: 'osc', actions });
+}
+
+/**
+ * Send arbitrary OSC: messages { address, args: [{ type: 'i'|'f'|'s'|'T'|'F'|'b', value }] }
+ * or bundles { timeTag: { delta: seconds }, packets: [...] }. targets defaults to the bridge's.
+ */
+function sendOscRaw(packets, targets) {
+    wsSend(targets ? { type: 'osc_raw', targets, packets } : { type: 'osc_raw', packets });
 }
 
 // SelfieSegmentation globals for silhouette
 let selfieSeg = null;
 let segmentation = null; // last result
 let gSilhouette;         // p5.Graphics buffer for compositing
+let gCutout;             // p5.Graphics buffer for the body-masked video (cutout mode)
+let gStickerFill;        // p5.Graphics buffer for one person's silhouette-filling sticker
 let BG_COLOR, SILH_COLOR;
-const MIRROR_MASK = true; // keep in sync with bodyPose flipHorizontal
+const MIRROR_CAMERA = true; // mirror video and mask; keep in sync with bodyPose flipHorizontal
 
-// Per-person state arrays for multi-person support
-let personStates = []; // Current state for each person
-let personLastStates = []; // Previous state for each person
-let personStableStates = []; // Stable state for each person
-let personStableCounters = []; // Counter for state stability
-let personOverlayImages = []; // Overlay image for each person
-const STABLE_FRAMES = 12; // Number of frames to wait before considering a state stable
+// Per-person display state, keyed by track ID (see PERSON TRACKING)
+let personStates = {}; // Last detected pose for each person
+let personResults = {}; // Last classifier result ({ pose, score, margin }) for each person
+let personOverlayImages = {}; // Overlay image for each person
 
 
 // Navel anchor blend factor (0 = shoulders, 1 = hips, 0.60 = near navel)
-window.NAVEL_BLEND = 0.60; // Adjustable at runtime via devtools
+window.NAVEL_BLEND = 0.60; // Adjustable at runtime via the config panel or devtools
 
 // ===== EMA smoothing (positions + scalar) =====
-const SMOOTH_POS   = 0.80;  // 0..1 (higher = smoother, more lag)
+let SMOOTH_POS     = 0.80;  // 0..1 (higher = smoother, more lag); tunable in the config panel
 const SMOOTH_SCALE = 0.85;  // for scalar values such as shoulderWidth
 
 let smoothStore = {}; // per person: { keyName: {x,y}, _scalars: {name:value} }
 
-// ===== Anti-flicker FSM for pose selection =====
+// ===== Anti-flicker FSM for pose selection (src/pose-fsm.js) =====
 const POSE_DWELL_MS        = 400;  // must see same pose for this long to lock
 const STICKER_MIN_SHOW_MS  = 1000; // keep sticker at least this long before releasing
 const STICKER_COOLDOWN_MS  = 400;  // after release, ignore immediate re-triggers
 const GRACE_MS             = 250;  // tolerate brief drops before unlocking
+const LOCK_MIN_SCORE       = 0.60; // classifier score needed to start/finish a lock (0.5 = on the threshold)
+const LOCK_MIN_MARGIN      = 0.05; // lead over the runner-up pose needed to start/finish a lock
+
+// FSM options are read on every update, so remote control can retune them mid-show
+const poseFSMOptions = {
+    now: nowMs,
+    dwellMs: POSE_DWELL_MS,
+    minShowMs: STICKER_MIN_SHOW_MS,
+    cooldownMs: STICKER_COOLDOWN_MS,
+    graceMs: GRACE_MS,
+    minScore: LOCK_MIN_SCORE,
+    minMargin: LOCK_MIN_MARGIN,
+    onTransition: onPoseTransition
+};
 
-// FSM state per personId: {phase, candidatePose, candidateSince, lockedPose, lockedSince, cooldownUntil, lastSeen}
-let poseFSM = {}; // key = stable person id (use your current track/index)
+// FSM state per person, keyed by persistent track ID
+const poseFSM = createPoseFSM(poseFSMOptions);
 
 // Track last locked pose for logging transitions
 let lastLockedPoseByPerson = {};
 
-// Layers (zero-based)
-const LAYERS = { FLOWER_A1: 1, FLOWER_A2: 2, FLOWERS_B1: 3, FLOWERS_B2: 4, BIRD_A: 6, BIRD_B: 7 };
-
-// Birds in order from the folder: 1..7
-const BIRDS   = [1,2,3,4,5,6,7];
-// bird_a is right -> left (1,2,3,4)
-// bird_b is left -> right (5,6,7)
-// Flowers start at 8; continue sequentially
-const FLOWERS = [8,9,10,11,12,13,14,15,16,17,18,19];
-
-const POSE_TO_BUNDLE = {
-    star: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[0] },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[1] },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[2] },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[3] },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[0]   },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
-    ],
-    arms_out: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[4] },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[5] },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[6] },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[7] },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[1]   },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[5]   },
-    ],
-    zigzag: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[8] },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[9] },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[10] },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[11] },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[2]   },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[6]   },
-    ],
-    side_arms: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[11] },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[10] },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[9] },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[8] },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[3]   },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[4]   },
-    ],
-    rounded: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[7]  },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[6]  },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[5]  },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[4]  },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[1]    },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[5]    },
-    ],
-    arms_up: [
-        { layer: LAYERS.FLOWER_A1, media: FLOWERS[3] },
-        { layer: LAYERS.FLOWER_A2, media: FLOWERS[2] },
-        { layer: LAYERS.FLOWERS_B1, media: FLOWERS[1] },
-        { layer: LAYERS.FLOWERS_B2, media: FLOWERS[0] },
-        { layer: LAYERS.BIRD_A,   media: BIRDS[2]    },
-        { layer: LAYERS.BIRD_B,   media: BIRDS[6]    },
-    ],
-};
-
+// Pose rules sorted by priority, plus lookups derived from POSE_CONFIG (poses.config.js);
+// the bundle and image lookups are rewritten when a show config arrives (applyShowConfig)
+// and POSE_TO_BUNDLE again for each scene (SHOW SEQUENCER)
+const POSE_RULES = sortPoseRules(POSE_CONFIG);
+const POSE_TO_BUNDLE = Object.fromEntries(POSE_RULES.filter(p => p.bundle).map(p => [p.name, p.bundle]));
+const GROUP_RULES = sortGroupRules(POSE_CONFIG);
+const GROUP_TO_BUNDLE = Object.fromEntries(GROUP_RULES.filter(r => r.bundle).map(r => [r.name, r.bundle]));
+const GESTURE_RULES = Object.fromEntries((POSE_CONFIG.gestures ?? []).map(g => [g.name, g]));
+const GESTURE_TO_BUNDLE = Object.fromEntries(Object.values(GESTURE_RULES).filter(g => g.bundle).map(g => [g.name, g.bundle]));
+const stickerPaths = Object.fromEntries(POSE_RULES.filter(p => p.image).map(p => [p.name, p.image]));
+let stickerImages = {}; // pose name -> sticker (p5.Image, or { frames, durations, loop } once animated media decodes)
+let groupStickerImages = {}; // group rule name -> p5.Image for rules with sticker.image
+let defaultStickerImages = {}; // the images declared in POSE_CONFIG, fallback for themes
+let stickerFrameSources = {}; // pose name -> frames from the pose's sticker.frames (sprite sheet / sequence)
+
+// ===== OSC bundle dedupe + debounce (src/osc-bundles.js) =====
 const GLOBAL_DEBOUNCE_MS = 600;
-let lastBundleKey = '';
-let lastSentAt = 0;
 
-function keyOfBundle(bundle) {
-    return bundle.slice().sort((a, b) => a.layer - b.layer).map(a => `${a.layer}:${a.media}`).join('|');
-}
+const bundleSender = createBundleSender({
+    now: nowMs,
+    send: sendOsc,
+    debounceMs: GLOBAL_DEBOUNCE_MS,
+    onSent: (key) => {
+        lastSentBundleKey = key;
+        logEvent('bundle_sent', { key });
+        console.log('[OSC] sent bundle', key);
+    }
+});
+let lastSentBundleKey = '';
 
 function maybeSendBundle(bundle) {
-    const now = performance.now();
-    if (now - lastSentAt < GLOBAL_DEBOUNCE_MS) return;
-    const k = keyOfBundle(bundle);
-    if (k === lastBundleKey) return;
-    sendOsc(bundle);
-    lastBundleKey = k;
-    lastSentAt = now;
-    console.log('[OSC] sent bundle', k);
+    return bundleSender.maybeSend(bundle);
 }
 
 function nowMs() {
-    return millis ? millis() : (performance.now ? performance.now() : Date.now());
+    if (replay) return replay.now; // recorded session time while replaying
+    // p5 global mode only defines millis once the page has loaded
+    return typeof millis === 'function' ? millis() : (performance.now ? performance.now() : Date.now());
 }
 
-// === Sticker animation config ===
+// ===== Sticker animation config (src/sticker-anim.js) =====
 const IN_MS = 440;          // enter duration
 const OUT_MS = 220;         // exit duration
 const S_IN_START = 0.58;    // pop-in starts a bit smaller
 const S_IN_END   = 1.00;    // settles at 1.0
 const S_OUT_END  = 0.76;    // shrink slightly on exit
 
-// Per-person sticker animation state
-// stickerAnim[pid] = { phase:'hidden'|'in'|'steady'|'out', t0, dur, from, to, scale, currentPose, currentImage }
-let stickerAnim = {};
+// Animation options are read on every update, so the config panel can retune them;
+// poses with sticker.enter / idle / exit keyframes in POSE_CONFIG use those instead
+const stickerAnimOptions = {
+    now: nowMs,
+    selectImage: selectImageFor,
+    selectChoreography: choreographyFor,
+    inMs: IN_MS,
+    outMs: OUT_MS,
+    inStart: S_IN_START,
+    inEnd: S_IN_END,
+    outEnd: S_OUT_END
+};
 
-function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
-function lerp(a, b, t) { return a + (b - a) * t; }
-function easeOutQuad(u) { return 1 - (1 - u) * (1 - u); }
-function easeInQuad(u) { return u * u; }
-function nowMsAnim() { return nowMs(); }
-// Persistent tracking: store last frame's poses for matching
-let lastFramePoses = [];
+// Per-person sticker animation state, keyed by track ID
+const stickerAnim = createStickerAnimator(stickerAnimOptions);
 
 /** Exponential moving average for a 2D point. */
 function emaPoint(pIdx, keyName, x, y) {
@@ -214,139 +293,6 @@ function emaScalar(pIdx, name, value) {
     return v;
 }
 
-/** FSM update for anti-flicker pose selection */
-function fsmUpdate(personId, detectedPose /* string or null */, /*optional*/ detectedInfo = {}) {
-    // detectedInfo can contain: {conf: number, margin: number}, both optional.
-    const t = nowMs();
-
-    const s = poseFSM[personId] ?? (poseFSM[personId] = {
-        phase: 'idle', candidatePose: null, candidateSince: 0,
-        lockedPose: null,  lockedSince: 0, cooldownUntil: 0, lastSeen: t
-    });
-
-    s.lastSeen = t;
-
-    // Helper checks (use if you have confidences; otherwise they default to true)
-    const confOK   = (detectedInfo.conf   == null) ? true : (detectedInfo.conf   >= 0);
-    const marginOK = (detectedInfo.margin == null) ? true : (detectedInfo.margin >= 0);
-
-    switch (s.phase) {
-        case 'idle': {
-            if (detectedPose && confOK && marginOK && t >= s.cooldownUntil) {
-                s.phase = 'candidate';
-                s.candidatePose = detectedPose;
-                s.candidateSince = t;
-            }
-            break;
-        }
-        case 'candidate': {
-            if (!detectedPose) {
-                // lost signal — grace back to idle
-                if (t - s.candidateSince > GRACE_MS) {
-                    s.phase = 'idle';
-                    s.candidatePose = null;
-                }
-                break;
-            }
-            if (detectedPose !== s.candidatePose) {
-                // switched candidate → restart dwell
-                s.candidatePose = detectedPose;
-                s.candidateSince = t;
-                break;
-            }
-            // same candidate; check dwell time + quality gate
-            if ((t - s.candidateSince) >= POSE_DWELL_MS && confOK && marginOK) {
-                s.phase = 'locked';
-                s.lockedPose = s.candidatePose;
-                s.lockedSince = t;
-            }
-            break;
-        }
-        case 'locked': {
-            // Hold minimum show time
-            const minShowReached = (t - s.lockedSince) >= STICKER_MIN_SHOW_MS;
-
-            // If we still detect same pose OR min show not reached, keep locked
-            if (detectedPose === s.lockedPose || !minShowReached) break;
-
-            // If pose vanished or changed and min show reached, allow unlock with a brief grace
-            const changed = (!detectedPose) || (detectedPose !== s.lockedPose);
-            if (changed && (t - s.lockedSince) >= (STICKER_MIN_SHOW_MS + GRACE_MS)) {
-                s.phase = 'cooldown';
-                s.candidatePose = null;
-                s.candidateSince = 0;
-                s.cooldownUntil = t + STICKER_COOLDOWN_MS;
-                // clear locked; consumer will notice null and hide sticker
-                s.lockedPose = null;
-            }
-            break;
-        }
-        case 'cooldown': {
-            if (t >= s.cooldownUntil) {
-                s.phase = 'idle';
-            }
-            break;
-        }
-    }
-
-    // Return the current "locked" pose the renderer should use (or null)
-    return s.lockedPose;
-}
-
-/** Update sticker animation state based on FSM locked pose */
-function updateStickerAnim(personId, lockedPose) {
-    const t = nowMsAnim();
-
-    let A = stickerAnim[personId];
-
-    if (!A) A = stickerAnim[personId] = { phase: 'hidden', t0: 0, dur: 0, from: 1, to: 1, scale: 1, currentPose: null, currentImage: null };
-
-    // ENTER: got a pose locked
-    if (lockedPose && lockedPose !== 'neutral') {
-        if (A.phase === 'hidden' || A.phase === 'out' || A.currentPose !== lockedPose) {
-            A.currentPose = lockedPose;
-            A.currentImage = selectImageFor(lockedPose);
-            A.phase = 'in';
-            A.t0 = t;
-            A.dur = IN_MS;
-            A.from = S_IN_START;
-            A.to = S_IN_END;
-        }
-    } else {
-        // EXIT: no locked pose -> animate out if currently visible/steady/in
-        if (A.phase === 'in' || A.phase === 'steady') {
-            A.phase = 'out';
-            A.t0 = t;
-            A.dur = OUT_MS;
-            A.from = A.scale || 1.0;
-            A.to = S_OUT_END;
-        }
-    }
-
-    // Advance animation
-    if (A.phase === 'in') {
-        const u = clamp01((t - A.t0) / A.dur);
-        A.scale = lerp(A.from, A.to, easeOutQuad(u));
-        if (u >= 1) {
-            A.phase = 'steady';
-            A.scale = 1.0;
-        }
-    } else if (A.phase === 'out') {
-        const u = clamp01((t - A.t0) / A.dur);
-        A.scale = lerp(A.from, A.to, easeInQuad(u));
-        if (u >= 1) {
-            A.phase = 'hidden';
-            A.scale = 1.0;
-            A.currentImage = null; // hide for real after exit
-            A.currentPose = null;
-        }
-    } else if (A.phase === 'steady') {
-        A.scale = 1.0;
-    }
-
-    return A;
-}
-
 /*
 ===========================================================
 SETUP
@@ -357,19 +303,26 @@ zigzag, side_arms, rounded, arms_up, neutral) with multi-person support.
 */
 
 function preload() {
-    // Preload the bodyPose model using ml5.js with horizontal flip for mirroring
-    bodyPose = ml5.bodyPose({ flipHorizontal: true });
+    // The output page gets poses and masks from the control page: no models to load
+    if (!IS_OUTPUT) {
+        // Preload the bodyPose model using ml5.js with horizontal flip for mirroring
+        bodyPose = ml5.bodyPose({ flipHorizontal: true });
+
+        // Initialize SelfieSegmentation for silhouette
+        selfieSeg = ml5.bodySegmentation('SelfieSegmentation', { maskType: 'person' });
+    }
 
-    // Initialize SelfieSegmentation for silhouette
-    selfieSeg = ml5.bodySegmentation('SelfieSegmentation', { maskType: 'person' });
+    // Background image for the silhouette and cutout render modes
+    bgImage = loadImage(BG_IMAGE_PATH, null, () => console.warn('[Render] background image missing:', BG_IMAGE_PATH));
 
-    // Load local images for poses (mapped to arms_out and arms_up)
-    arms_outImage = loadImage('./generated/Jesus.png');
-    arms_upImage = loadImage('./generated/Prime.png');
-    starImage = loadImage('./generated/Cathedral.png');
-    zigzagImage = loadImage('./generated/Copan.png');
-    side_armsImage = loadImage('./generated/Grossmuenster.png');
-    roundedImage = loadImage('./generated/Kappell.png');
+    // Load the sticker image declared for each pose in POSE_CONFIG
+    for (const def of POSE_RULES) {
+        if (def.image) stickerImages[def.name] = defaultStickerImages[def.name] = loadImage(def.image);
+        if (def.icon) poseIcons[def.name] = loadImage(def.icon);
+    }
+    for (const rule of GROUP_RULES) {
+        if (rule.sticker && rule.sticker.image) groupStickerImages[rule.name] = loadImage(rule.sticker.image);
+    }
 
     console.log("Loading pose images");
 }
@@ -385,11 +338,6 @@ function setup() {
     canvas.elt.style.top = '0';
     canvas.elt.style.left = '0';
 
-    // Initialize video capture and hide the video element (only show the canvas)
-    video = createCapture(VIDEO);
-    video.size(640, 480);
-    video.hide();
-
     // Initialize PINK color from CSS variable
     const root = getComputedStyle(document.documentElement);
     const cssPink = root.getPropertyValue('--bs-pink').trim(); // e.g. "#EA7DFF"
@@ -411,23 +359,38 @@ function setup() {
     BG_COLOR = color(cssBg);
     SILH_COLOR = color(cssSilh);
 
-    // Create graphics buffer for silhouette compositing (same size as canvas)
+    // Create graphics buffers for silhouette and cutout compositing (same size as canvas)
     gSilhouette = createGraphics(width, height);
+    gCutout = createGraphics(width, height);
+    gStickerFill = createGraphics(width, height);
 
-    /// Start detecting body poses using the video feed
-    bodyPose.detectStart(video, gotPoses);
+    // Sprite sheets, image sequences and animated GIF / WebP replace the static stickers as they decode
+    loadAnimatedStickers();
 
-    // Start SelfieSegmentation alongside BodyPose
-    if (selfieSeg && typeof selfieSeg.detectStart === 'function') {
-        selfieSeg.detectStart(video, (res) => { segmentation = res || null; });
+    // Petal and bird sprites for the particles (shapes until they load)
+    loadParticleSprites();
+
+    // The projector fills its window and follows the control page from here on
+    if (IS_OUTPUT) {
+        setupOutputPage();
+        loadShowConfig();
+        console.log("Setup complete - following the control page");
+        return;
     }
 
+    // Open the remembered camera (or the default one); detection starts once it plays
+    setupInputSource();
+
     // Get skeleton connection information for drawing lines between keypoints
     connections = bodyPose.getSkeleton();
 
     // Setup control buttons
     setupControls();
 
+    // Operator config panel, then the bridge's show config, the first scene and ?preset=<name> on top
+    setupConfigPanel();
+    loadShowConfig().then(setupShowSequencer).then(applyPresetFromUrl);
+
     console.log("Setup complete - multi-person pose detection ready");
 }
 
@@ -438,93 +401,430 @@ function resizeAllTo(w, h) {
     if (gSilhouette) {
         gSilhouette.resizeCanvas(w, h);
     }
+    if (gCutout) {
+        gCutout.resizeCanvas(w, h);
+    }
+    if (gStickerFill) {
+        gStickerFill.resizeCanvas(w, h);
+    }
     videoWrapper.style.width = w + 'px';
     videoWrapper.style.height = h + 'px';
 }
 
-// Ensure p5/state arrays are sized to match poses.length
-function resizeStateArrays(numPersons) {
-    // Extend arrays if we have more people
-    while (personStates.length < numPersons) {
-        personStates.push("neutral");
-        personLastStates.push("neutral");
-        personStableStates.push("neutral");
-        personStableCounters.push(0);
-        personOverlayImages.push(null);
+/*
+===========================================================
+INPUT SOURCE
+Detection runs on a camera or, for rehearsals, a local video
+file (looped and muted). The camera and the capture
+resolution are picked under the canvas and remembered
+(src/camera-source.js); a video file cannot be reopened by
+the browser, so a reload goes back to the camera.
+originalWidth / originalHeight follow the size the source
+really delivers (a camera may not honour the one asked for):
+draw() scales keypoints from it, the windowed canvas keeps
+its aspect ratio and the tracker's match distance grows
+with it.
+===========================================================
+*/
+
+const DISPLAY_WIDTH = 640; // windowed canvas width; the height follows the source
+
+const cameraStore = createCameraStore({ storage: window.localStorage });
+let cameraChoice = cameraStore.load();                // { deviceId, resolution }, persisted
+let inputSource = { kind: 'camera', deviceId: null }; // or { kind: 'file', name }
+let liveSourceSize = { width: 640, height: 480 };     // restored when a replay ends
+let cameras = [];                                     // [{ deviceId, label }] from enumerateDevices
+
+/** Wire the input pickers and open the remembered camera (the default one if it is unplugged). */
+function setupInputSource() {
+    const cameraSelect = document.getElementById('camera-select');
+    const resolutionSelect = document.getElementById('capture-resolution');
+    if (cameraSelect) cameraSelect.addEventListener('change', () => chooseCamera(cameraSelect.value || null));
+    if (resolutionSelect) {
+        resolutionSelect.replaceChildren(...CAPTURE_RESOLUTIONS.map(resolution => {
+            const option = document.createElement('option');
+            option.value = resolution;
+            option.textContent = resolution.replace('x', '×');
+            return option;
+        }));
+        resolutionSelect.value = cameraChoice.resolution;
+        resolutionSelect.addEventListener('change', () => chooseResolution(resolutionSelect.value));
+    }
+    const fileBtn = document.getElementById('video-file-btn');
+    if (fileBtn) fileBtn.addEventListener('click', toggleVideoFile);
+    const fileInput = document.getElementById('video-file');
+    if (fileInput) fileInput.addEventListener('change', loadVideoFile);
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', refreshCameraList);
+    }
+    // Device IDs are hidden until camera permission is granted: then the saved camera
+    // may only be found once the default one is running (see useSource)
+    refreshCameraList().then(inputs => startCamera(pickDevice(inputs, cameraChoice.deviceId)));
+}
+
+/** List the cameras in #camera-select; resolves to the list. */
+function refreshCameraList() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return Promise.resolve([]);
+    return navigator.mediaDevices.enumerateDevices().then((devices) => {
+        cameras = videoInputs(devices).filter(c => c.deviceId);
+        updateInputControls();
+        return cameras;
+    }).catch((err) => {
+        console.warn('[Input] could not list cameras:', err);
+        return [];
+    });
+}
+
+/** Open a camera (null = the browser's default) at the chosen resolution, replacing the source in use. */
+function startCamera(deviceId) {
+    const next = createCapture(captureConstraints({ deviceId, resolution: cameraChoice.resolution }), (stream) => {
+        const track = stream && stream.getVideoTracks()[0];
+        const settings = track ? track.getSettings() : {};
+        useSource(next, { kind: 'camera', deviceId: settings.deviceId || deviceId, label: track ? track.label : 'camera' });
+    });
+    next.hide();
+    replaceSource(next);
+}
+
+/** Play a local video file in a loop instead of the camera. */
+function startVideoFile(file) {
+    const url = URL.createObjectURL(file);
+    const next = createVideo(url, () => {
+        next.elt.muted = true;
+        next.loop();
+        useSource(next, { kind: 'file', name: file.name, label: file.name });
+    });
+    next.elt.muted = true;
+    next.elt.setAttribute('playsinline', '');
+    next.hide();
+    replaceSource(next);
+}
+
+/** Stop the current source and forget everyone seen in it; the next one starts fresh. */
+function replaceSource(next) {
+    if (video && video.elt) {
+        const stream = video.elt.srcObject;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        if (video.elt.src && video.elt.src.startsWith('blob:')) URL.revokeObjectURL(video.elt.src);
+        video.remove();
+    }
+    video = next;
+    if (!replay) resetPeopleState();
+}
+
+/** A new source is playing: adopt its real size and run detection on it. */
+function useSource(el, source) {
+    if (el !== video) return; // replaced again before it was ready
+    liveSourceSize = { width: el.elt.videoWidth || 640, height: el.elt.videoHeight || 480 };
+    inputSource = source;
+    if (!replay) setSourceSize(liveSourceSize.width, liveSourceSize.height);
+    startDetection();
+    updateInputControls();
+    console.log(`[Input] ${source.label} at ${liveSourceSize.width}×${liveSourceSize.height}`);
+
+    // Permission granted: the saved camera can be found now if the default one was opened instead
+    refreshCameraList().then((inputs) => {
+        const saved = pickDevice(inputs, cameraChoice.deviceId);
+        if (source.kind === 'camera' && saved && saved !== source.deviceId && el === video) startCamera(saved);
+    });
+}
+
+/** Point BodyPose and SelfieSegmentation at the current source. */
+function startDetection() {
+    // detectStart on a running loop just swaps the media it reads
+    bodyPose.detectStart(video, onLivePoses);
+    if (selfieSeg && typeof selfieSeg.detectStart === 'function') selfieSeg.detectStart(video, onLiveSegmentation);
+}
+
+/** The image keypoints are in changed size (new source, replay start / end, or the control page's on the output). */
+function setSourceSize(width, height) {
+    if (width === originalWidth && height === originalHeight) return;
+    originalWidth = width;
+    originalHeight = height;
+    trackerOptions.maxDist = TRACK_MATCH_MAX_DIST * width / TRACK_MATCH_SOURCE_WIDTH;
+    if (gRenderVideo) {
+        gRenderVideo.remove();
+        gRenderVideo = null;
+    }
+    if (!IS_OUTPUT && !isFullscreen) resizeToSource();
+}
+
+/** Windowed canvas: DISPLAY_WIDTH wide, the source's aspect ratio. */
+function resizeToSource() {
+    const size = displaySize(originalWidth, originalHeight, DISPLAY_WIDTH);
+    resizeAllTo(size.width, size.height);
+}
+
+function chooseCamera(deviceId) {
+    cameraChoice = { ...cameraChoice, deviceId };
+    cameraStore.save(cameraChoice);
+    startCamera(deviceId);
+}
+
+function chooseResolution(resolution) {
+    cameraChoice = { ...cameraChoice, resolution };
+    cameraStore.save(cameraChoice);
+    // A video file plays at its own size; the camera picks the new one up when it comes back
+    if (inputSource.kind === 'camera') startCamera(inputSource.deviceId);
+}
+
+// Video File opens a file picker; while a file plays the button goes back to the camera
+function toggleVideoFile() {
+    if (inputSource.kind === 'file') {
+        startCamera(pickDevice(cameras, cameraChoice.deviceId));
+    } else {
+        document.getElementById('video-file').click();
+    }
+}
+
+function loadVideoFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow picking the same file again
+    if (file) startVideoFile(file);
+}
+
+/** Keep the pickers and the Video File button in step with the source in use. */
+function updateInputControls() {
+    const cameraSelect = document.getElementById('camera-select');
+    if (cameraSelect) {
+        const options = [{ deviceId: '', label: 'Default camera' }, ...cameras];
+        cameraSelect.replaceChildren(...options.map(({ deviceId, label }) => {
+            const option = document.createElement('option');
+            option.value = deviceId;
+            option.textContent = label;
+            return option;
+        }));
+        cameraSelect.value = inputSource.kind === 'camera' && cameras.some(c => c.deviceId === inputSource.deviceId)
+            ? inputSource.deviceId
+            : '';
+        cameraSelect.disabled = inputSource.kind === 'file';
+    }
+    const fileBtn = document.getElementById('video-file-btn');
+    if (fileBtn) fileBtn.textContent = inputSource.kind === 'file' ? 'Use Camera' : 'Video File';
+}
+
+/*
+===========================================================
+RENDER MODES
+How the camera, the segmentation mask and a background image
+are composited under the lines and stickers:
+  video          mirrored camera feed
+  video_tint     camera feed with the silhouette tinted on top
+  silhouette_bg  silhouette over the background image
+  cutout         the body cut out of the camera feed, over the background image
+Hide Video removes the camera layers (and so does replay: the
+recording has no video); Show Segmentation adds the silhouette
+in any mode. Opacities are config panel settings.
+Sticker styles: 'badge' draws the locked-pose image at the
+navel; 'fill' scales it over the whole body from the torso
+and clips it to that person's part of the silhouette, so the
+landmark is worn by the body.
+The single segmentation mask is split into people with the
+keypoint regions from src/body-mask.js (personRegions), so
+silhouettes can be coloured per track ID or per locked pose
+and fill stickers stay on their owner.
+===========================================================
+*/
+
+const RENDER_MODES = ['video', 'video_tint', 'silhouette_bg', 'cutout'];
+const BG_IMAGE_PATH = './between-verses-vjing/BG.png';
+
+const renderOptions = {
+    mode: 'video',
+    videoOpacity: 1,        // camera feed / cutout
+    tintOpacity: 0.5,       // silhouette drawn over the video
+    silhouetteOpacity: 1,   // silhouette without video under it
+    backgroundOpacity: 1,   // background image over BG_COLOR
+};
+let bgImage = null; // loaded in preload()
+
+const STICKER_STYLES = ['badge', 'fill'];
+let stickerStyle = 'badge';
+const REGION_MARGIN_SW = 0.6; // a person's region reaches this many shoulder widths past their keypoints
+
+const SILHOUETTE_COLOR_MODES = ['single', 'track', 'pose'];
+let silhouetteColorMode = 'single';
+const TRACK_COLORS = ['#EA7DFF', '#08F2DB', '#FFD166', '#7DA8FF', '#FF7D7D', '#9BFF7D'];
+
+let personRegions = {}; // track ID -> canvas-space polygon of that person's share of the mask
+
+function setRenderMode(mode) {
+    if (!RENDER_MODES.includes(mode)) {
+        console.warn('[Render] unknown render mode', mode);
+        return;
+    }
+    renderOptions.mode = mode;
+    const select = document.getElementById('render-mode');
+    if (select) select.value = mode;
+    console.log('[Render] mode', mode);
+}
+
+function setStickerStyle(style) {
+    if (!STICKER_STYLES.includes(style)) {
+        console.warn('[Render] unknown sticker style', style);
+        return;
+    }
+    stickerStyle = style;
+    const select = document.getElementById('sticker-style');
+    if (select) select.value = style;
+    console.log('[Render] sticker style', style);
+}
+
+function setSilhouetteColorMode(mode) {
+    if (!SILHOUETTE_COLOR_MODES.includes(mode)) {
+        console.warn('[Render] unknown silhouette colour mode', mode);
+        return;
+    }
+    silhouetteColorMode = mode;
+    const select = document.getElementById('silhouette-colors');
+    if (select) select.value = mode;
+    console.log('[Render] silhouette colours', mode);
+}
+
+/** Split the shared mask into people: one region per tracked pose, in canvas space. */
+function updatePersonRegions(scaleX, scaleY) {
+    const regions = splitPersonRegions(
+        poses.map(p => ({ id: p.trackId, keypoints: p.keypoints })),
+        { minConfidence: 0.3, marginSW: REGION_MARGIN_SW }
+    );
+    personRegions = {};
+    for (const [id, poly] of Object.entries(regions)) {
+        personRegions[id] = poly.map(p => ({ x: p.x * scaleX, y: p.y * scaleY }));
+    }
+}
+
+/** Silhouette colour of one person: by track ID, by locked pose (POSE_CONFIG color), or SILH_COLOR. */
+function silhouetteColorFor(pid) {
+    if (silhouetteColorMode === 'track') return TRACK_COLORS[(pid - 1) % TRACK_COLORS.length];
+    if (silhouetteColorMode === 'pose') {
+        const locked = lockedPoseOf(pid);
+        const def = locked && POSE_RULES.find(r => r.name === locked);
+        if (def && def.color) return def.color;
+    }
+    return SILH_COLOR;
+}
+
+/** Draw a camera-space image (video frame or mask) over the whole target, mirrored like the keypoints. */
+function drawCameraImage(img, target = window) {
+    target.push();
+    if (MIRROR_CAMERA) {
+        target.translate(target.width, 0);
+        target.scale(-1, 1);
+    }
+    target.image(img, 0, 0, target.width, target.height);
+    target.pop();
+}
+
+// Keep only the person region of a buffer (the mask is opaque where the body is)
+function clipToPerson(g) {
+    const ctx = g.drawingContext;
+    const prevOp = ctx.globalCompositeOperation;
+    ctx.globalCompositeOperation = 'destination-in';
+    drawCameraImage(segmentation.mask, g);
+    ctx.globalCompositeOperation = prevOp;
+}
+
+function drawLayer(img, opacity) {
+    push();
+    tint(255, 255 * opacity);
+    image(img, 0, 0, width, height);
+    pop();
+}
+
+/** 1) Background: BG_COLOR, plus the background image in the modes that use one. */
+function drawBackdrop() {
+    background(BG_COLOR);
+    const { mode, backgroundOpacity } = renderOptions;
+    if ((mode === 'silhouette_bg' || mode === 'cutout') && bgImage && bgImage.width > 0) {
+        drawLayer(bgImage, backgroundOpacity);
+    }
+}
+
+/** 2) Camera: the full frame, or only the body in cutout mode. Returns whether anything was drawn. */
+function drawVideoLayer() {
+    const { mode, videoOpacity } = renderOptions;
+    if (!showVideo || replay || !video || mode === 'silhouette_bg') return false;
+
+    if (mode === 'cutout') {
+        if (!segmentation || !segmentation.mask) return false;
+        gCutout.clear();
+        drawCameraImage(video, gCutout);
+        clipToPerson(gCutout);
+        drawLayer(gCutout, videoOpacity);
+        return true;
     }
 
-    // Truncate arrays if we have fewer people
-    if (personStates.length > numPersons) {
-        personStates = personStates.slice(0, numPersons);
-        personLastStates = personLastStates.slice(0, numPersons);
-        personStableStates = personStableStates.slice(0, numPersons);
-        personStableCounters = personStableCounters.slice(0, numPersons);
-        personOverlayImages = personOverlayImages.slice(0, numPersons);
+    push();
+    tint(255, 255 * videoOpacity);
+    drawCameraImage(video);
+    pop();
+    return true;
+}
+
+/** 3) Silhouette in SILH_COLOR: a tint over the video, or a solid shape without it. */
+function drawSilhouetteLayer(overVideo) {
+    const { mode, tintOpacity, silhouetteOpacity } = renderOptions;
+    const wanted = showSegmentation || mode === 'video_tint' || mode === 'silhouette_bg';
+    if (!wanted || !segmentation || !segmentation.mask) return;
+
+    gSilhouette.clear();
+    gSilhouette.noStroke();
+    gSilhouette.fill(SILH_COLOR);
+    gSilhouette.rect(0, 0, gSilhouette.width, gSilhouette.height);
+    // Per-person colours over each region; mask pixels outside every region keep SILH_COLOR
+    if (silhouetteColorMode !== 'single') {
+        for (const [pid, poly] of Object.entries(personRegions)) {
+            gSilhouette.fill(silhouetteColorFor(Number(pid)));
+            fillPolygon(gSilhouette, poly);
+        }
     }
+    clipToPerson(gSilhouette);
+    drawLayer(gSilhouette, overVideo ? tintOpacity : silhouetteOpacity);
 }
 
 /*
 ===========================================================
 DRAWING
 Layer order:
-1) Solid background
-2) Silhouette (always visible, from SelfieSegmentation)
-3) Skeleton/keypoints (toggleable via showTracking)
-4) Stickers (top layer, anchored near navel)
+1) Background colour / image (RENDER MODES)
+2) Camera feed or body cutout (toggleable via showVideo)
+3) Silhouette (render mode or showSegmentation)
+4) Line outline and skeleton/keypoints (showLine, showTracking)
+5) Particles from wrists and ankles (showParticles)
+6) Stickers (anchored near navel)
+7) Attract mode pose demo / welcome (top layer, ATTRACT MODE)
+On the output page, detection, locks, group moments and
+attract mode come from the control page (RENDER SYNC).
 ===========================================================
 */
 
 function draw() {
+    // Feed recorded frames due by now into gotPoses (no-op unless replaying)
+    advanceReplay();
+
     // Clear the canvas
     clear();
 
-    // Calculate scaling factors for fullscreen
+    // Keypoints are in source pixels (INPUT SOURCE): scale them to the canvas, windowed or fullscreen
     let scaleX = width / originalWidth;
     let scaleY = height / originalHeight;
 
-    // 1) Solid background (replaces video background)
-    background(BG_COLOR);
-
-    // 2) Silhouette (toggleable via showSegmentation)
-    if (showSegmentation && segmentation && segmentation.mask) {
-        gSilhouette.clear();
-        // Fill entire buffer with silhouette color
-        gSilhouette.noStroke();
-        gSilhouette.fill(SILH_COLOR);
-        gSilhouette.rect(0, 0, gSilhouette.width, gSilhouette.height);
-
-        // Clip with mask: keep only person region
-        const ctx = gSilhouette.drawingContext;
-        const prevOp = ctx.globalCompositeOperation;
-        ctx.globalCompositeOperation = 'destination-in';
-
-        // Mirror mask to match BodyPose flipHorizontal
-        if (MIRROR_MASK) {
-            gSilhouette.push();
-            gSilhouette.translate(gSilhouette.width, 0);
-            gSilhouette.scale(-1, 1);
-            gSilhouette.image(segmentation.mask, 0, 0, gSilhouette.width, gSilhouette.height);
-            gSilhouette.pop();
-        } else {
-            gSilhouette.image(segmentation.mask, 0, 0, gSilhouette.width, gSilhouette.height);
-        }
-
-        ctx.globalCompositeOperation = prevOp;
-
-        // Paint the colored silhouette onto main canvas
-        image(gSilhouette, 0, 0, width, height);
-    }
-
-    // Resize per-person arrays to match current number of poses
-    resizeStateArrays(poses.length);
+    // 1-3) Background, camera and silhouette as the render mode composes them
+    updatePersonRegions(scaleX, scaleY);
+    drawBackdrop();
+    const videoDrawn = drawVideoLayer();
+    drawSilhouetteLayer(videoDrawn);
 
     // Loop through detected poses to draw skeletons/lines, keypoints, and analyze states
+    const newlyLocked = []; // poses locked this frame, sent after the group check
     for (let i = 0; i < poses.length; i++) {
         let pose = poses[i];
+        const pid = pose.trackId; // Persistent track ID assigned in gotPoses()
 
         // Draw line outline (independent toggle)
         if (showLine) {
-            drawOrganicOutline(pose, i, scaleX, scaleY);
+            drawOrganicOutline(pose, pid, scaleX, scaleY);
         }
 
         // Draw skeleton tracking visualization (only if tracking is enabled)
@@ -538,8 +838,8 @@ function draw() {
 
                 if (pointA.confidence > 0.1 && pointB.confidence > 0.1) {
                     // Apply EMA smoothing to keypoints
-                    const A_s = emaPoint(i, `kp${pointAIndex}`, pointA.x, pointA.y);
-                    const B_s = emaPoint(i, `kp${pointBIndex}`, pointB.x, pointB.y);
+                    const A_s = emaPoint(pid, `kp${pointAIndex}`, pointA.x, pointA.y);
+                    const B_s = emaPoint(pid, `kp${pointBIndex}`, pointB.x, pointB.y);
 
                     stroke(PINK);
                     strokeWeight(2 * min(scaleX, scaleY)); // Scale stroke weight
@@ -548,22 +848,31 @@ function draw() {
             }
         }
 
-        // Analyze the pose state of each person
-        const detectedPose = analyzeState(pose, i + 1);
-        personStates[i] = detectedPose; // Keep for display/logging
-
-        // Route through FSM for anti-flicker stabilization
-        const detectedInfo = {}; // Can add {conf, margin} here if available
-        const pid = i; // Use index as person ID (or use stable identity if available)
-        const lockedPose = fsmUpdate(pid, detectedPose, detectedInfo);
+        // Analyze the pose state of each person (the output page shows the control page's)
+        const detected = IS_OUTPUT ? followedDetection(pid) : analyzeState(pose, activePoseConfig);
+        personStates[pid] = detected.pose; // Keep for display/logging
+        personResults[pid] = detected;
+        displayState(i + 1, pid, detected);
+
+        // Route through FSM for anti-flicker stabilization; score/margin gate the lock
+        const lockedPose = IS_OUTPUT
+            ? lockedPoseOf(pid)
+            : poseFSM.update(pid, detected.pose, { conf: detected.score, margin: detected.margin });
+
+        // Motion gestures over the last few seconds, alongside the static pose
+        if (!IS_OUTPUT) {
+            for (const event of gestureRecognizer.update(pid, pose.keypoints, nowMs())) {
+                handleGesture(event, pose, scaleX, scaleY);
+            }
+        }
 
         // Log transitions for tuning
         if (lockedPose !== lastLockedPoseByPerson[pid]) {
             if (lockedPose) {
-                console.log(`Person ${pid + 1} locked pose:`, lockedPose);
+                console.log(`Person ${pid} locked pose:`, lockedPose);
                 if (lockedPose !== 'neutral') {
-                    const bundle = POSE_TO_BUNDLE[lockedPose];
-                    if (bundle) maybeSendBundle(bundle);
+                    newlyLocked.push(lockedPose);
+                    burstParticles(pose, scaleX, scaleY);
                 }
             }
             lastLockedPoseByPerson[pid] = lockedPose;
@@ -576,7 +885,7 @@ function draw() {
                 if (keypoint.confidence > 0.1) {
                     // Apply EMA smoothing to keypoint
                     const keyName = `kp${j}`;
-                    const P_s = emaPoint(i, keyName, keypoint.x, keypoint.y);
+                    const P_s = emaPoint(pid, keyName, keypoint.x, keypoint.y);
 
                     fill(TURQ);
                     noStroke();
@@ -586,21 +895,43 @@ function draw() {
         }
     }
 
+    if (IS_OUTPUT) {
+        // Group moment, gesture effects and attract mode as the control page has them
+        followShowState(scaleX, scaleY);
+    } else {
+        // Group moments replace solo bundles while a group rule applies
+        updateGroupState(newlyLocked);
+
+        // Attract mode when nobody is here, welcome when someone arrives
+        updatePresence(scaleX, scaleY);
+
+        // Scenes end on time or when their conditions hold
+        updateShow();
+    }
+
+    // Particles thrown off by moving wrists and ankles
+    updateParticles(scaleX, scaleY);
+
     // Update stickers based on FSM locked poses with animation
-    for (let i = 0; i < poses.length; i++) {
-        const pid = i;
-        const s = poseFSM[pid];
-        const lockedPose = s ? s.lockedPose : null;
-        const A = updateStickerAnim(pid, lockedPose);
-        personOverlayImages[i] = A.currentImage; // stays non-null during OUT until hidden
+    for (const pose of poses) {
+        const pid = pose.trackId;
+        const A = stickerAnim.update(pid, stickerKeyFor(pid, lockedPoseOf(pid)));
+        personOverlayImages[pid] = A.currentImage; // stays non-null during OUT until hidden
     }
 
     // Draw per-person stickers anchored near the navel
     if (USE_P5_STICKERS) {
-        for (let i = 0; i < poses.length; i++) {
-            drawPersonSticker(i, poses[i], scaleX, scaleY);
+        for (const pose of poses) {
+            drawPersonSticker(pose.trackId, pose, scaleX, scaleY);
         }
     }
+
+    // Pose demo while nobody is here, welcome over everything
+    drawAttract(scaleX, scaleY);
+
+    // Projector pages and the operator readouts get this frame
+    publishRenderState();
+    updateReadouts();
 }
 
 /*
@@ -719,302 +1050,413 @@ function drawOrganicOutline(pose, personIndex, scaleX, scaleY, useGlow = LINE_GL
     }
 }
 
-/*
-===========================================================
-POSE ANALYSIS
-This section analyzes the body pose data to determine which
-of the 7 poses a participant is performing: star, arms_out,
-zigzag, side_arms, rounded, arms_up, or neutral.
-===========================================================
-*/
-
-// Analyze the player's pose to determine which of the 7 poses they're in
-function analyzeState(pose, personNumber) {
-    // Extract all necessary keypoints
-    let leftWrist = pose.keypoints.find((k) => k.name === "left_wrist");
-    let rightWrist = pose.keypoints.find((k) => k.name === "right_wrist");
-    let leftElbow = pose.keypoints.find((k) => k.name === "left_elbow");
-    let rightElbow = pose.keypoints.find((k) => k.name === "right_elbow");
-    let leftShoulder = pose.keypoints.find((k) => k.name === "left_shoulder");
-    let rightShoulder = pose.keypoints.find((k) => k.name === "right_shoulder");
-    let leftHip = pose.keypoints.find((k) => k.name === "left_hip");
-    let rightHip = pose.keypoints.find((k) => k.name === "right_hip");
-    let leftKnee = pose.keypoints.find((k) => k.name === "left_knee");
-    let rightKnee = pose.keypoints.find((k) => k.name === "right_knee");
-    let leftAnkle = pose.keypoints.find((k) => k.name === "left_ankle");
-    let rightAnkle = pose.keypoints.find((k) => k.name === "right_ankle");
-    let nose = pose.keypoints.find((k) => k.name === "nose");
-
-    // Handle missing critical keypoints
-    if (!leftWrist || !rightWrist || !leftElbow || !rightElbow || !leftShoulder || !rightShoulder || !nose) {
-        return "neutral";
-    }
-
-    // Check minimum confidence levels
-    if (leftWrist.confidence < 0.3 || rightWrist.confidence < 0.3 ||
-        leftShoulder.confidence < 0.3 || rightShoulder.confidence < 0.3) {
-        return "neutral";
-    }
-
-    // Calculate useful metrics
-    const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
-    const shoulderMidY = (leftShoulder.y + rightShoulder.y) / 2;
-
-    // Arm extension checks
-    const leftArmLength = Math.sqrt(Math.pow(leftWrist.x - leftShoulder.x, 2) + Math.pow(leftWrist.y - leftShoulder.y, 2));
-    const rightArmLength = Math.sqrt(Math.pow(rightWrist.x - rightShoulder.x, 2) + Math.pow(rightWrist.y - rightShoulder.y, 2));
-    const leftForearmLength = Math.sqrt(Math.pow(leftWrist.x - leftElbow.x, 2) + Math.pow(leftWrist.y - leftElbow.y, 2));
-    const rightForearmLength = Math.sqrt(Math.pow(rightWrist.x - rightElbow.x, 2) + Math.pow(rightWrist.y - rightElbow.y, 2));
-
-    // Helper: Check if arms are extended (relatively straight)
-    const leftArmExtended = leftArmLength > leftForearmLength * 1.6;
-    const rightArmExtended = rightArmLength > rightForearmLength * 1.6;
-
-    // Helper: Check if arms are spread wide
-    const leftArmSpread = leftWrist.x < leftShoulder.x - shoulderWidth * 0.3;
-    const rightArmSpread = rightWrist.x > rightShoulder.x + shoulderWidth * 0.3;
-
-    // Helper: Check if wrists are at similar height (symmetric)
-    const wristsSymmetric = Math.abs(leftWrist.y - rightWrist.y) < 60;
-
-    // POSE DETECTION (in priority order)
-
-    // 1. STAR: Arms and legs spread wide, arms raised
-    if (leftHip && rightHip && leftAnkle && rightAnkle) {
-        const hipWidth = Math.abs(leftHip.x - rightHip.x);
-        const ankleSpread = Math.abs(leftAnkle.x - rightAnkle.x);
-        const legsSpread = ankleSpread > hipWidth * 1.3;
-        const armsRaised = leftWrist.y < shoulderMidY && rightWrist.y < shoulderMidY;
-
-        if (leftArmExtended && rightArmExtended && leftArmSpread && rightArmSpread &&
-            armsRaised && legsSpread && wristsSymmetric) {
-            displayState(personNumber, "star");
-            return "star";
-        }
-    }
-
-    // 2. ARMS UP: Both arms raised above head
-    const bothArmsUp = leftWrist.y < nose.y - 30 && rightWrist.y < nose.y - 30;
-    if (bothArmsUp && leftArmExtended && rightArmExtended && wristsSymmetric) {
-        displayState(personNumber, "arms_up");
-        return "arms_up";
-    }
-
-    // 3. SIDE ARMS: Victory/celebration pose (elbows out, wrists above elbows and shoulders)
-    const leftWristAboveElbow = leftWrist.y < leftElbow.y - 20;
-    const rightWristAboveElbow = rightWrist.y < rightElbow.y - 20;
-    const leftWristAboveShoulder = leftWrist.y < leftShoulder.y;
-    const rightWristAboveShoulder = rightWrist.y < rightShoulder.y;
-    const leftElbowOut = Math.abs(leftElbow.x - leftShoulder.x) > shoulderWidth * 0.3;
-    const rightElbowOut = Math.abs(rightElbow.x - rightShoulder.x) > shoulderWidth * 0.3;
-
-    if (leftWristAboveElbow && rightWristAboveElbow &&
-        leftWristAboveShoulder && rightWristAboveShoulder &&
-        leftElbowOut && rightElbowOut && wristsSymmetric) {
-        displayState(personNumber, "side_arms");
-        return "side_arms";
-    }
-
-    // 4. ZIGZAG: One arm up, one arm down (asymmetric)
-    const wristHeightDiff = Math.abs(leftWrist.y - rightWrist.y);
-    const asymmetric = wristHeightDiff > shoulderWidth * 0.8;
-    const oneArmUp = (leftWrist.y < shoulderMidY - 40) || (rightWrist.y < shoulderMidY - 40);
-    const oneArmDown = (leftWrist.y > shoulderMidY + 40) || (rightWrist.y > shoulderMidY + 40);
-
-    if (asymmetric && oneArmUp && oneArmDown && leftArmExtended && rightArmExtended) {
-        displayState(personNumber, "zigzag");
-        return "zigzag";
-    }
-
-    // 5. ARMS OUT: T-pose (arms extended horizontally)
-    const leftArmHorizontal = Math.abs(leftWrist.y - leftShoulder.y) < 60;
-    const rightArmHorizontal = Math.abs(rightWrist.y - rightShoulder.y) < 60;
-
-    if (leftArmExtended && rightArmExtended && leftArmSpread && rightArmSpread &&
-        leftArmHorizontal && rightArmHorizontal && wristsSymmetric) {
-        displayState(personNumber, "arms_out");
-        return "arms_out";
-    }
-
-    // 6. ROUNDED: Hands on hips (robust for low camera angles, flexible vertical positioning)
-    if (leftHip && rightHip) {
-        // Calculate body proportions for angle-independent detection
-        const torsoHeight = Math.abs(shoulderMidY - ((leftHip.y + rightHip.y) / 2));
-        const hipMidY = (leftHip.y + rightHip.y) / 2;
-
-        // Flexible vertical range: from mid-torso down to below hips
-        // Allows hands on waist, hips, or upper thighs
-        const leftWristInRange = leftWrist.y > shoulderMidY - torsoHeight * 0.2 &&
-                                  leftWrist.y < hipMidY + torsoHeight * 0.6;
-        const rightWristInRange = rightWrist.y > shoulderMidY - torsoHeight * 0.2 &&
-                                   rightWrist.y < hipMidY + torsoHeight * 0.6;
-
-        // Distance from wrist to hip (3D-like distance, angle-independent)
-        const leftWristToHipDist = Math.sqrt(
-            Math.pow(leftWrist.x - leftHip.x, 2) +
-            Math.pow(leftWrist.y - leftHip.y, 2)
-        );
-        const rightWristToHipDist = Math.sqrt(
-            Math.pow(rightWrist.x - rightHip.x, 2) +
-            Math.pow(rightWrist.y - rightHip.y, 2)
-        );
-
-        // Wrists should be reasonably close to hips (relaxed threshold)
-        const leftWristNearHip = leftWristToHipDist < shoulderWidth * 1.0;
-        const rightWristNearHip = rightWristToHipDist < shoulderWidth * 1.0;
-
-        // Elbows should be outward from wrists (creates the characteristic shape)
-        const leftElbowOutward = leftElbow.x < leftWrist.x - shoulderWidth * 0.1;
-        const rightElbowOutward = rightElbow.x > rightWrist.x + shoulderWidth * 0.1;
-
-        // Forearms should be relatively short (bent arms, not extended)
-        const leftForearmShort = leftForearmLength < shoulderWidth * 1.4;
-        const rightForearmShort = rightForearmLength < shoulderWidth * 1.4;
-
-        if (leftWristInRange && rightWristInRange &&
-            leftWristNearHip && rightWristNearHip &&
-            leftElbowOutward && rightElbowOutward &&
-            leftForearmShort && rightForearmShort) {
-            displayState(personNumber, "rounded");
-            return "rounded";
-        }
-    }
-
-    // 7. NEUTRAL: Default fallback
-    displayState(personNumber, "neutral");
-    return "neutral";
-}
-
-// Helper function to display the detected state
-function displayState(personNumber, state) {
+// Helper function to display the detected state and its score (row = 1-based line from the bottom)
+function displayState(row, personId, result) {
     if (!showPersonText) return; // Don't display if toggle is off
     fill(255);
     let scaleX = width / originalWidth;
     let scaleY = height / originalHeight;
     textSize(20 * min(scaleX, scaleY));
     textAlign(LEFT);
-    text(`Person ${personNumber}: ${state}`, 10 * scaleX, height - 20 * personNumber * scaleY);
+    text(`Person ${personId}: ${describeDetection(result)}`, 10 * scaleX, height - 20 * row * scaleY);
+}
+
+// "star 0.82 (+0.10)": the detected pose, its score and its lead over the runner-up
+function describeDetection(result) {
+    const margin = (result.margin >= 0 ? '+' : '') + result.margin.toFixed(2);
+    return `${result.pose} ${result.score.toFixed(2)} (${margin})`;
 }
 
 /*
 ===========================================================
 MULTI-PERSON STATE MANAGEMENT
-This section handles per-person state arrays, debouncing,
-and image selection for multiple people.
+This section handles image selection for multiple people
+and group moments (POSE_CONFIG.groups, src/group-composer.js).
+Per-person state is keyed by track ID (see PERSON TRACKING).
 ===========================================================
 */
 
-// Resize per-person arrays to match the current number of poses
-function resizePersonArrays(numPersons) {
-    // Extend arrays if we have more people
-    while (personStates.length < numPersons) {
-        personStates.push("neutral");
-        personLastStates.push("neutral");
-        personStableStates.push("neutral");
-        personStableCounters.push(0);
-        personOverlayImages.push(null);
-    }
+// groupState = { name, rule, members } while a group rule applies, else null
+let groupState = null;
+// A group (or resumed solo) bundle waiting for the debounce window; it must not be lost
+let pendingBundle = null;
 
-    // Truncate arrays if we have fewer people
-    if (personStates.length > numPersons) {
-        personStates = personStates.slice(0, numPersons);
-        personLastStates = personLastStates.slice(0, numPersons);
-        personStableStates = personStableStates.slice(0, numPersons);
-        personStableCounters = personStableCounters.slice(0, numPersons);
-        personOverlayImages = personOverlayImages.slice(0, numPersons);
-    }
+/** Send now or as soon as the debounce allows, unless it is already the last bundle sent. */
+function requestBundle(bundle) {
+    pendingBundle = bundle;
+    flushPendingBundle();
 }
 
-// Process state change for a specific person with debouncing
-function processPersonStateChange(personIndex) {
-    if (personIndex >= personStates.length) return;
-
-    let currentState = personStates[personIndex];
-    let stableState = personStableStates[personIndex];
-
-    // Check if state changed
-    if (currentState !== stableState) {
-        personStableCounters[personIndex]++;
-        if (personStableCounters[personIndex] >= STABLE_FRAMES) {
-            // State is stable, commit the change
-            personStableStates[personIndex] = currentState;
-            personStableCounters[personIndex] = 0;
+function flushPendingBundle() {
+    if (!pendingBundle) return;
+    if (maybeSendBundle(pendingBundle) || keyOfBundle(pendingBundle) === lastSentBundleKey) pendingBundle = null;
+}
 
-            // Update overlay image based on new stable state
-            personOverlayImages[personIndex] = selectImageFor(currentState);
+/** The pose a person holds: their FSM lock or, on the output page, the control page's. */
+function lockedPoseOf(pid) {
+    if (IS_OUTPUT) return renderFollower.person(pid)?.locked ?? null;
+    return poseFSM.get(pid)?.lockedPose ?? null;
+}
 
-            console.log(`Person ${personIndex + 1} state changed to: ${currentState}`);
-        }
-    } else {
-        // State is stable, reset counter
-        personStableCounters[personIndex] = 0;
+/** Bundle of the person who locked most recently, or null when nobody is locked. */
+function latestSoloBundle() {
+    let latest = null;
+    for (const pose of poses) {
+        const s = poseFSM.get(pose.trackId);
+        if (!s || !s.lockedPose || s.lockedPose === 'neutral' || !POSE_TO_BUNDLE[s.lockedPose]) continue;
+        if (!latest || s.lockedSince > latest.lockedSince) latest = s;
     }
+    return latest ? POSE_TO_BUNDLE[latest.lockedPose] : null;
 }
 
-// Select appropriate image for a given state
-function selectImageFor(state) {
-    // Map new pose names to available images
-    // Note: Currently only have Jesus and Prime images loaded
-    switch (state) {
-        case "arms_out":
-            return arms_outImage;
-        case "arms_up":
-            return arms_upImage;
-        case "star":
-            return starImage;
-        case "zigzag":
-            return zigzagImage;
-        case "side_arms":
-            return side_armsImage;
-        case "rounded":
-            return roundedImage;
-        case "neutral":
-        default:
-            return null; // No image for these poses yet
+/**
+ * Re-evaluate the group rules after this frame's FSM updates. Entering or switching
+ * group moments sends the group's bundle; leaving one returns to the latest solo
+ * bundle. Without a group, new solo locks send their bundle as before.
+ */
+function updateGroupState(newlyLocked) {
+    const people = poses.map(p => ({ id: p.trackId, pose: lockedPoseOf(p.trackId) }));
+    const next = evaluateGroup(people, POSE_CONFIG);
+    const prevName = groupState ? groupState.name : null;
+
+    if ((next ? next.name : null) !== prevName) {
+        if (next) {
+            console.log(`[Group] ${next.name}: people ${next.members.join(', ')}`);
+            if (GROUP_TO_BUNDLE[next.name]) requestBundle(GROUP_TO_BUNDLE[next.name]);
+        } else {
+            console.log(`[Group] ${prevName} released`);
+            const solo = latestSoloBundle();
+            if (solo) requestBundle(solo);
+        }
+    } else if (!next) {
+        for (const pose of newlyLocked) {
+            const bundle = POSE_TO_BUNDLE[pose];
+            if (!bundle) continue;
+            pendingBundle = null; // a fresh solo lock supersedes anything still waiting
+            maybeSendBundle(bundle);
+        }
     }
+
+    groupState = next;
+    flushPendingBundle();
 }
 
 /*
 ===========================================================
-STICKER RENDERING
-This section handles drawing per-person stickers
-anchored near the navel by blending shoulders→hips.
+GESTURES
+Waves, jumps, claps, turns and slow arm sweeps recognised
+over a rolling window (src/gestures.js) for the gestures
+listed in POSE_CONFIG.gestures. A gesture sends its own
+bundle (through the same debounce as poses), plays a
+one-shot effect on the person's sticker and throws particles.
 ===========================================================
 */
 
-/** Draw sticker anchored near the navel by blending shoulders→hips */
-function drawPersonSticker(personIndex, pose, scaleX, scaleY) {
-    if (personIndex >= personOverlayImages.length) return;
+const gestureRecognizer = createGestureRecognizer({
+    gestures: Object.keys(GESTURE_RULES),
+    cooldownMs: Object.fromEntries(Object.values(GESTURE_RULES).filter(g => g.cooldownMs != null).map(g => [g.name, g.cooldownMs]))
+});
+
+function handleGesture(event, pose, scaleX, scaleY) {
+    const detail = event.side ? ` (${event.side}${event.direction ? ` ${event.direction}` : ''})` : event.facing ? ` (${event.facing})` : '';
+    console.log(`[Gesture] person ${event.personId}: ${event.gesture}${detail}`);
+    if (GESTURE_TO_BUNDLE[event.gesture]) requestBundle(GESTURE_TO_BUNDLE[event.gesture]);
+    renderEvents.push({ type: 'gesture', person: event.personId, gesture: event.gesture, side: event.side ?? null });
+    playGestureEffect(event.personId, event.gesture, event.side, pose, scaleX, scaleY);
+}
 
-    const overlayImage = personOverlayImages[personIndex];
-    if (!overlayImage) return;
+/** A gesture's sticker effect and particles (the output page plays them from the render state). */
+function playGestureEffect(pid, gesture, side, pose, scaleX, scaleY) {
+    const def = GESTURE_RULES[gesture];
+    if (!def) return;
+    if (def.effect) stickerAnim.playEffect(pid, def.effect);
+    if (def.particles) burstParticles(pose, scaleX, scaleY, def.particles, side);
+}
 
-    // Keypoints
-    const ls = pose.keypoints.find(k => k.name === "left_shoulder");
-    const rs = pose.keypoints.find(k => k.name === "right_shoulder");
-    const lh = pose.keypoints.find(k => k.name === "left_hip");
-    const rh = pose.keypoints.find(k => k.name === "right_hip");
+/** Group sticker treatment for a person ({ image, scale, tint }), or null outside group moments. */
+function groupTreatmentFor(pid) {
+    if (!groupState || !groupState.rule.sticker || !groupState.members.includes(pid)) return null;
+    return groupState.rule.sticker;
+}
 
-    // Shoulders must be confident
-    if (!ls || !rs) return;
-    if (ls.confidence < 0.3 || rs.confidence < 0.3) return;
+/** Sticker key for the animator: the locked pose, or 'group:<name>' for a group image. */
+function stickerKeyFor(pid, lockedPose) {
+    if (!lockedPose || lockedPose === 'neutral') return lockedPose;
+    const treatment = groupTreatmentFor(pid);
+    return treatment && treatment.image ? `group:${groupState.name}` : lockedPose;
+}
 
-    // EMA on shoulders
-    const LS = emaPoint(personIndex, "left_shoulder", ls.x, ls.y);
-    const RS = emaPoint(personIndex, "right_shoulder", rs.x, rs.y);
+// Select appropriate image for a given state (neutral and unknown poses have none)
+function selectImageFor(state) {
+    if (state && state.startsWith('group:')) return groupStickerImages[state.slice(6)] ?? null;
+    return stickerFrameSources[state] ?? stickerImages[state] ?? null;
+}
 
-    // Midpoints
-    const shoulderMidX = (LS.x + RS.x) / 2;
-    const shoulderMidY = (LS.y + RS.y) / 2;
+// Keyframe tracks for a pose's sticker (group images keep the default pop-in)
+function choreographyFor(state) {
+    const def = POSE_RULES.find(p => p.name === state);
+    return def && def.sticker ? def.sticker : null;
+}
 
-    // (Optional) If your anchor blends shoulders→hips, also smooth hips before using them
-    let hipMidX = shoulderMidX, hipMidY = shoulderMidY;
-    if (lh && rh && lh.confidence >= 0.3 && rh.confidence >= 0.3) {
-        const LH = emaPoint(personIndex, "left_hip", lh.x, lh.y);
-        const RH = emaPoint(personIndex, "right_hip", rh.x, rh.y);
-        hipMidX = (LH.x + RH.x) / 2;
-        hipMidY = (LH.y + RH.y) / 2;
-    }
+/*
+===========================================================
+STICKER MEDIA
+Animated stickers (src/sticker-media.js): a pose's
+sticker.frames sprite sheet or image sequence, or an
+animated GIF / WebP image decoded frame by frame with
+ImageDecoder. Every animated sticker becomes
+{ frames: [p5.Image], durations: [ms], loop } and plays
+from the moment its pose locks; static images stay p5.Images.
+===========================================================
+*/
+
+/** Load a sticker image; GIF / WebP decode into frames where the browser has ImageDecoder. */
+function loadStickerSource(path, onLoad, onError) {
+    if (!isAnimatedImagePath(path) || typeof ImageDecoder === 'undefined') {
+        loadImage(path, onLoad, onError);
+        return;
+    }
+    decodeAnimatedImage(path).then(onLoad).catch((err) => {
+        console.warn(`[Sticker] could not decode ${path} (${err.message}), loading it as a still image`);
+        loadImage(path, onLoad, onError);
+    });
+}
+
+function decodeAnimatedImage(path) {
+    return fetch(path)
+        .then(res => (res.ok ? res : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then((res) => {
+            const type = res.headers.get('content-type') || (/\.gif$/i.test(path) ? 'image/gif' : 'image/webp');
+            const decoder = new ImageDecoder({ data: res.body, type });
+            return decoder.tracks.ready.then(() => {
+                const count = decoder.tracks.selectedTrack.frameCount;
+                const source = { frames: [], durations: [], loop: true };
+                let chain = Promise.resolve();
+                for (let i = 0; i < count; i++) {
+                    chain = chain.then(() => decoder.decode({ frameIndex: i })).then(({ image: frame }) => {
+                        const img = createImage(frame.displayWidth, frame.displayHeight);
+                        img.drawingContext.drawImage(frame, 0, 0);
+                        source.frames.push(img);
+                        source.durations.push((frame.duration ?? 100000) / 1000); // µs -> ms
+                        frame.close();
+                    });
+                }
+                return chain.then(() => {
+                    decoder.close();
+                    // A single-frame file is just a still image
+                    return source.frames.length === 1 ? source.frames[0] : source;
+                });
+            });
+        });
+}
+
+/** Cut a sprite sheet into frames, or load every file of an image sequence. */
+function loadStickerFrames(name, spec) {
+    const done = (frames) => {
+        stickerFrameSources[name] = { frames, durations: frameDurations(spec, frames.length), loop: spec.loop !== false };
+        console.log(`[Sticker] ${name}: ${frames.length} frames`);
+    };
+    const fail = (path) => console.warn(`[Sticker] could not load ${path} for ${name}, keeping the still image`);
+
+    if (spec.sheet) {
+        loadImage(spec.sheet, sheet => done(spriteFrameRects(spec, sheet.width, sheet.height)
+            .map(r => sheet.get(r.x, r.y, r.w, r.h))), () => fail(spec.sheet));
+    } else if (spec.sequence) {
+        const paths = sequencePaths(spec);
+        Promise.all(paths.map(path => new Promise((resolve, reject) => loadImage(path, resolve, () => reject(path)))))
+            .then(done, fail);
+    } else {
+        console.warn(`[Sticker] ${name}: sticker.frames needs a sheet or a sequence`);
+    }
+}
+
+function loadAnimatedStickers() {
+    for (const def of POSE_RULES) {
+        if (def.sticker && def.sticker.frames) {
+            loadStickerFrames(def.name, def.sticker.frames);
+        } else if (def.image && isAnimatedImagePath(def.image) && typeof ImageDecoder !== 'undefined') {
+            loadStickerSource(def.image, (source) => {
+                if (stickerPaths[def.name] !== def.image) return; // replaced by the show config meanwhile
+                defaultStickerImages[def.name] = source;
+                if (stickerTheme === 'default') stickerImages[def.name] = source;
+            });
+        }
+    }
+    for (const rule of GROUP_RULES) {
+        const path = rule.sticker && rule.sticker.image;
+        if (path && isAnimatedImagePath(path) && typeof ImageDecoder !== 'undefined') {
+            loadStickerSource(path, source => { groupStickerImages[rule.name] = source; });
+        }
+    }
+}
+
+/** The image to draw now for a sticker: the current frame of an animated one, counted from `since`. */
+function stickerFrame(source, since) {
+    if (!source || !source.frames) return source;
+    return source.frames[frameIndexAt(source.durations, nowMs() - since, source.loop)];
+}
+
+/*
+===========================================================
+PARTICLES
+Petals from the wrists and birds from the ankles
+(src/particles.js): joint speed sets how many fly off, a
+pose lock throws a burst, and PARTICLE_BUDGET caps the
+total for everyone so a full frame keeps its frame rate.
+Sprites come from the bridge's media library
+(between-verses-vjing/flowers and birds), shrunk once on
+load; until then particles are plain shapes.
+===========================================================
+*/
+
+const PARTICLE_EMITTERS = { left_wrist: 'petals', right_wrist: 'petals', left_ankle: 'birds', right_ankle: 'birds' };
+const PARTICLE_SPRITE_PX = 96;      // sprites are resized to this width once loaded
+const PARTICLE_BUDGET = 300;        // live particles, all people together
+const PARTICLE_LIFETIME_MS = 1800;  // fade-out time of one particle
+const PARTICLE_MAX_RATE = 30;       // particles / s per joint at full speed
+const PARTICLE_BURST = 12;          // particles per joint when a pose locks
+
+// Read on every call, so the config panel can retune them
+const particleOptions = {
+    now: nowMs,
+    budget: PARTICLE_BUDGET,
+    lifetimeMs: PARTICLE_LIFETIME_MS,
+    maxRate: PARTICLE_MAX_RATE,
+    burst: PARTICLE_BURST
+};
+const particleSystem = createParticleSystem(particleOptions);
+const jointMotion = createMotionTracker();
+let particleSprites = { petals: [], birds: [] };
+let lastParticleMs = null;
+
+function loadParticleSprites() {
+    const kinds = { flower: 'petals', bird: 'birds' };
+    fetch('/api/media')
+        .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then(({ media }) => {
+            for (const item of media) {
+                const kind = kinds[item.kind];
+                if (!kind) continue;
+                loadImage(item.src, (img) => {
+                    img.resize(PARTICLE_SPRITE_PX, 0);
+                    particleSprites[kind].push(img);
+                });
+            }
+        })
+        .catch(err => console.log(`[Particles] no media library from the bridge (${err.message}), drawing shapes`));
+}
+
+// Canvas-space shoulder width, the unit of joint speed and particle size
+function particleUnit(pose, scaleX) {
+    const ls = pose.keypoints.find(k => k.name === 'left_shoulder');
+    const rs = pose.keypoints.find(k => k.name === 'right_shoulder');
+    if (!ls || !rs || ls.confidence < 0.3 || rs.confidence < 0.3) return 0;
+    return Math.abs(ls.x - rs.x) * scaleX;
+}
+
+/**
+ * Throw a burst from every emitting joint of a person who just locked a pose. A gesture
+ * passes its own particle `kind`, and a `side` to use only that wrist.
+ */
+function burstParticles(pose, scaleX, scaleY, kind = null, side = null) {
+    const unit = particleUnit(pose, scaleX);
+    if (!showParticles || !unit) return;
+    for (const k of pose.keypoints) {
+        if (!PARTICLE_EMITTERS[k.name] || k.confidence < 0.3) continue;
+        if (side && k.name !== `${side}_wrist`) continue;
+        particleSystem.burst(kind ?? PARTICLE_EMITTERS[k.name], k.x * scaleX, k.y * scaleY, unit);
+    }
+}
+
+/** Emit from moving joints, advance every particle and draw them. */
+function updateParticles(scaleX, scaleY) {
+    const t = nowMs();
+    const dt = lastParticleMs == null ? 0 : constrain(t - lastParticleMs, 0, 100); // no leaps after a stall
+    lastParticleMs = t;
+    if (!showParticles) return;
+
+    for (const pose of poses) {
+        const unit = particleUnit(pose, scaleX);
+        if (!unit) continue;
+        for (const k of pose.keypoints) {
+            const kind = PARTICLE_EMITTERS[k.name];
+            if (!kind || k.confidence < 0.3) continue;
+            const x = k.x * scaleX;
+            const y = k.y * scaleY;
+            const motion = jointMotion.update(pose.trackId, k.name, x, y, t, unit);
+            particleSystem.emit(`${pose.trackId}:${k.name}`, kind, x, y, unit, motion, dt);
+        }
+    }
+    particleSystem.update(dt);
+    drawParticles();
+}
+
+// Straight to the 2D context: hundreds of sprites a frame, faded with globalAlpha instead of tint()
+function drawParticles() {
+    const ctx = drawingContext;
+    for (const p of particleSystem.particles) {
+        const alpha = particleSystem.alphaOf(p);
+        if (alpha <= 0) continue;
+        const sprites = particleSprites[p.kind];
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(p.x, p.y);
+        if (p.kind === 'birds' && p.vx < 0) ctx.scale(-1, 1); // fly the way they face
+        ctx.rotate(p.rotation);
+        if (sprites.length) {
+            const img = sprites[Math.floor(p.variant * sprites.length)];
+            const h = p.size * (img.height / img.width);
+            ctx.drawImage(img.canvas, -p.size / 2, -h / 2, p.size, h);
+        } else {
+            ctx.fillStyle = (p.kind === 'birds' ? TURQ : PINK).toString();
+            ctx.beginPath();
+            ctx.ellipse(0, 0, p.size / 2, p.size / 5, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+}
+
+/*
+===========================================================
+STICKER RENDERING
+This section handles drawing per-person stickers
+anchored near the navel by blending shoulders→hips.
+===========================================================
+*/
+
+/** Draw sticker anchored near the navel by blending shoulders→hips */
+function drawPersonSticker(personIndex, pose, scaleX, scaleY) {
+    const A = stickerAnim.get(personIndex);
+    const overlayImage = stickerFrame(personOverlayImages[personIndex], A ? A.since : 0);
+    if (!overlayImage) return;
+
+    // Keypoints
+    const ls = pose.keypoints.find(k => k.name === "left_shoulder");
+    const rs = pose.keypoints.find(k => k.name === "right_shoulder");
+    const lh = pose.keypoints.find(k => k.name === "left_hip");
+    const rh = pose.keypoints.find(k => k.name === "right_hip");
+
+    // Shoulders must be confident
+    if (!ls || !rs) return;
+    if (ls.confidence < 0.3 || rs.confidence < 0.3) return;
+
+    // EMA on shoulders
+    const LS = emaPoint(personIndex, "left_shoulder", ls.x, ls.y);
+    const RS = emaPoint(personIndex, "right_shoulder", rs.x, rs.y);
+
+    // Midpoints
+    const shoulderMidX = (LS.x + RS.x) / 2;
+    const shoulderMidY = (LS.y + RS.y) / 2;
+
+    // (Optional) If your anchor blends shoulders→hips, also smooth hips before using them
+    let hipMidX = shoulderMidX, hipMidY = shoulderMidY;
+    if (lh && rh && lh.confidence >= 0.3 && rh.confidence >= 0.3) {
+        const LH = emaPoint(personIndex, "left_hip", lh.x, lh.y);
+        const RH = emaPoint(personIndex, "right_hip", rh.x, rh.y);
+        hipMidX = (LH.x + RH.x) / 2;
+        hipMidY = (LH.y + RH.y) / 2;
+    }
 
     // Blend (keep your existing NAVEL_BLEND if present)
     const NAVEL_BLEND = (typeof window !== "undefined" && window.NAVEL_BLEND != null) ? window.NAVEL_BLEND : 0.60;
@@ -1029,129 +1471,1183 @@ function drawPersonSticker(personIndex, pose, scaleX, scaleY) {
     let w = 4.5 * shoulderWidth;
     let h = w * (overlayImage.height / overlayImage.width);
 
-    // Apply animation scale
-    const animScale = (stickerAnim[personIndex]?.scale ?? 1.0);
+    // Apply the animation transform (and the group moment's scale, if any);
+    // x / y offsets are in shoulder widths, rotation in degrees
+    const motion = A?.transform ?? REST_TRANSFORM;
+    const treatment = groupTreatmentFor(personIndex);
+    const animScale = motion.scale * (treatment?.scale ?? 1.0);
     w *= animScale;
     h *= animScale;
+    cx += motion.x * shoulderWidth;
+    cy += motion.y * shoulderWidth;
 
     cx *= scaleX; cy *= scaleY; w *= scaleX; h *= scaleY;
-    image(overlayImage, cx - w/2, cy - h/2, w, h);
+    push();
+    const tinted = color(treatment?.tint ?? 255);
+    tinted.setAlpha(255 * motion.opacity);
+    if (treatment?.tint || motion.opacity < 1) tint(tinted);
+    // The fill style covers the body, so it follows position, scale and opacity but not rotation
+    const filled = stickerStyle === 'fill'
+        && drawStickerFill(personIndex, pose, overlayImage, { x: cx, y: cy }, animScale, shoulderWidth, scaleX, scaleY);
+    if (!filled) {
+        translate(cx, cy);
+        rotate(radians(motion.rotate));
+        image(overlayImage, -w/2, -h/2, w, h);
+    }
+    pop();
 }
 
 /**
- * Calculate similarity score between two poses based on keypoint distances
- * Returns a lower score for more similar poses (distance-based)
+ * Sticker style 'fill': cover the person's body with the image from the torso anchor
+ * (canvas space) and clip it to the silhouette inside that person's region, so
+ * neighbours never show each other's landmark. Returns false without a mask or
+ * enough keypoints (the caller then draws the badge).
  */
-function calculatePoseSimilarity(pose1, pose2) {
-    let totalDistance = 0;
-    let numComparisons = 0;
-
-    // Compare key body points that are usually visible and stable
-    const keyPointNames = ["nose", "left_shoulder", "right_shoulder", "left_hip", "right_hip"];
-
-    for (let name of keyPointNames) {
-        const kp1 = pose1.keypoints.find(k => k.name === name);
-        const kp2 = pose2.keypoints.find(k => k.name === name);
-
-        // Only compare if both keypoints exist and are confident
-        if (kp1 && kp2 && kp1.confidence > 0.3 && kp2.confidence > 0.3) {
-            const dx = kp1.x - kp2.x;
-            const dy = kp1.y - kp2.y;
-            totalDistance += Math.sqrt(dx * dx + dy * dy);
-            numComparisons++;
-        }
-    }
+function drawStickerFill(personIndex, pose, img, anchor, animScale, shoulderWidth, scaleX, scaleY) {
+    if (!segmentation || !segmentation.mask) return false;
+    const bounds = bodyBounds(pose.keypoints, { minConfidence: 0.3, margin: REGION_MARGIN_SW * shoulderWidth });
+    const ownRegion = personRegions[personIndex];
+    if (!bounds || !ownRegion) return false;
+
+    // Smooth the region like the keypoints, then move it to canvas space
+    const lo = emaPoint(personIndex, 'fill_min', bounds.minX, bounds.minY);
+    const hi = emaPoint(personIndex, 'fill_max', bounds.maxX, bounds.maxY);
+    const region = { minX: lo.x * scaleX, minY: lo.y * scaleY, maxX: hi.x * scaleX, maxY: hi.y * scaleY };
+    const r = coverRect(img.width, img.height, region, anchor, animScale);
+
+    gStickerFill.clear();
+    gStickerFill.image(img, r.x, r.y, r.w, r.h);
+    clipToPerson(gStickerFill);
+    clipToPolygon(gStickerFill, ownRegion);
+    image(gStickerFill, 0, 0, width, height);
+    return true;
+}
+
+function fillPolygon(g, poly) {
+    g.beginShape();
+    for (const p of poly) g.vertex(p.x, p.y);
+    g.endShape(CLOSE);
+}
+
+// Keep only the part of a buffer inside a canvas-space polygon
+function clipToPolygon(g, poly) {
+    const ctx = g.drawingContext;
+    const prevOp = ctx.globalCompositeOperation;
+    ctx.globalCompositeOperation = 'destination-in';
+    g.noStroke();
+    g.fill(255);
+    fillPolygon(g, poly);
+    ctx.globalCompositeOperation = prevOp;
+}
 
-    // Return average distance (lower = more similar)
-    return numComparisons > 0 ? totalDistance / numComparisons : Infinity;
+/*
+===========================================================
+PERSON TRACKING
+Every detected pose is tagged with a persistent track ID
+(src/tracker.js). When a track is retired, all per-person
+state keyed by its ID is garbage-collected here.
+===========================================================
+*/
+
+const TRACK_MATCH_MAX_DIST = 200;  // px for a TRACK_MATCH_SOURCE_WIDTH wide source; farther away = a new person
+const TRACK_MATCH_SOURCE_WIDTH = 640; // wider sources scale the match distance with them
+const TRACK_TIMEOUT_MS     = 1000; // keep an unmatched track alive this long before retiring
+
+const trackerOptions = {
+    maxDist: TRACK_MATCH_MAX_DIST, // rescaled by setSourceSize()
+    timeoutMs: TRACK_TIMEOUT_MS,
+    onCreate: (track) => {
+        console.log(`Track ${track.id} created`);
+        onVisitorArrived(track.id);
+    },
+    onRetire: forgetPerson
+};
+const tracker = createTracker(trackerOptions);
+
+/** Garbage-collect every piece of per-person state keyed by a retired track ID */
+function forgetPerson(id, track) {
+    onVisitorLeft(id, track);
+    poseFSM.delete(id);
+    stickerAnim.delete(id);
+    jointMotion.delete(id);
+    gestureRecognizer.delete(id);
+    particleSystem.forget(`${id}:`);
+    delete smoothStore[id];
+    delete lastLockedPoseByPerson[id];
+    delete personStates[id];
+    delete personResults[id];
+    delete personOverlayImages[id];
+    console.log(`Track ${id} retired`);
+}
+
+// Live BodyPose callback: recorded if requested, ignored while a replay drives gotPoses
+function onLivePoses(results) {
+    if (replay) return;
+    if (recording) recordFrame(results || []);
+    gotPoses(results);
+}
+
+// Live SelfieSegmentation callback (live masks are ignored while replaying)
+function onLiveSegmentation(res) {
+    if (replay) return;
+    segmentation = res || null;
+    if (recording && segmentation) recordMask(segmentation);
+}
+
+// Callback function to handle detected poses (live or replayed)
+function gotPoses(results) {
+    // Assign persistent track IDs before anything downstream keys state by person
+    poses = tracker.update(results || [], nowMs());
+}
+
+/*
+===========================================================
+ANALYTICS
+Interaction events (people arriving and leaving, poses
+seen, locked and released, bundles sent) are buffered and
+sent to the bridge every couple of seconds, which appends
+them to rotating NDJSON files and serves the post-show
+stats at /api/stats (osc-bridge/analytics.js). Events hold
+pose names, times and anonymous track numbers only. Nothing
+is logged while replaying a recording or a rehearsal video
+file.
+===========================================================
+*/
+
+const ANALYTICS_FLUSH_MS   = 2000;  // send buffered events this often
+const ANALYTICS_MAX_BUFFER = 500;   // events held while the bridge is away; the oldest are dropped past this
+// Tags the events of one page load, so several sketches can share a bridge
+const ANALYTICS_SESSION = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+let analyticsBuffer = [];   // events not sent yet
+let analyticsInFlight = []; // batches sent, oldest first, until the bridge replies {type:'logged'}
+const visitorIds = new Set(); // tracks created live (not by a replay or a video file)
+
+// Replays and rehearsal video files are not visitors
+const analyticsPaused = () => Boolean(replay) || inputSource.kind === 'file';
+
+/** Queue an event for the bridge, stamped with the wall clock and the current scene. */
+function logEvent(type, fields = {}) {
+    if (analyticsPaused()) return;
+    const event = { type, t: Date.now(), ...fields };
+    const scene = showSequencer.current();
+    if (scene) event.scene = scene.name;
+    analyticsBuffer.push(event);
+    if (analyticsBuffer.length > ANALYTICS_MAX_BUFFER) analyticsBuffer.shift();
 }
 
 /**
- * Match current frame poses to previous frame poses for stable tracking
- * Uses Hungarian algorithm concept: match each current pose to closest previous pose
+ * Send the buffered events while the bridge is connected. Not through wsSend: analytics
+ * must never take a place in the OSC offline queue, nor its replies count as OSC acks.
  */
-function matchPosesToPreviousFrame(currentPoses, previousPoses) {
-    if (!previousPoses || previousPoses.length === 0) {
-        return currentPoses; // First frame, no matching needed
+function flushAnalytics() {
+    if (!analyticsBuffer.length || !oscWS || oscWS.readyState !== 1) return;
+    oscWS.send(JSON.stringify({ type: 'analytics', session: ANALYTICS_SESSION, events: analyticsBuffer }));
+    analyticsInFlight.push(analyticsBuffer);
+    analyticsBuffer = [];
+}
+
+/** The bridge answers analytics batches in order: settle the oldest one sent. */
+function onAnalyticsReply(reply) {
+    const batch = analyticsInFlight.shift();
+    if (!batch || reply.type === 'logged') return;
+    console.warn(`[Analytics] bridge could not log ${batch.length} event(s): ${reply.reason}`);
+    requeueAnalytics([batch]);
+}
+
+/** Put unconfirmed batches back in front of the buffer (the socket closed, or the log failed). */
+function requeueAnalytics(batches = analyticsInFlight.splice(0)) {
+    analyticsBuffer = [...batches.flat(), ...analyticsBuffer].slice(-ANALYTICS_MAX_BUFFER);
+}
+
+function onVisitorArrived(id) {
+    if (analyticsPaused()) return;
+    visitorIds.add(id);
+    logEvent('track_created', { person: id });
+}
+
+function onVisitorLeft(id, track) {
+    if (!visitorIds.delete(id)) return;
+    // Walking out while holding a pose ends the hold when they were last seen
+    const fsm = poseFSM.get(id);
+    if (fsm?.lockedPose) logEvent('pose_released', { person: id, pose: fsm.lockedPose, heldMs: Math.round(track.lastSeen - fsm.lockedSince) });
+    logEvent('track_retired', { person: id, stayMs: Math.round(track.lastSeen - track.createdAt) });
+}
+
+/** poseFSM onTransition: candidates, locks (with dwell) and releases (with hold time) */
+function onPoseTransition(personId, event) {
+    if (event.pose === 'neutral') return;
+    if (event.type === 'candidate') logEvent('pose_candidate', { person: personId, pose: event.pose });
+    else if (event.type === 'locked') logEvent('pose_locked', { person: personId, pose: event.pose, dwellMs: Math.round(event.dwellMs) });
+    else if (event.type === 'released') logEvent('pose_released', { person: personId, pose: event.pose, heldMs: Math.round(event.heldMs) });
+}
+
+setInterval(flushAnalytics, ANALYTICS_FLUSH_MS);
+
+/*
+===========================================================
+RECORD & REPLAY
+This section records the BodyPose results (and optionally
+segmentation masks) to a timestamped JSON file, and replays
+such a session through gotPoses → analyzeState → poseFSM.update →
+maybeSendBundle at original or accelerated speed. While
+replaying, nowMs() follows the recording's clock so dwell,
+grace and cooldown timings match the original session.
+===========================================================
+*/
+
+const RECORD_MASKS = false;          // also capture segmentation masks (makes files much larger)
+const RECORD_MASK_INTERVAL_MS = 200; // at most 5 masks per second
+
+// recording = { startedAt, frames: [{t, poses}], masks: [{t, dataUrl}], lastMaskAt }
+let recording = null;
+// replay = { session, speed, frameIdx, maskIdx, wallStart, clockStart, now }
+let replay = null;
+
+/** Strip a pose down to what the pipeline reads, rounded to keep files small. */
+function serializePose(pose) {
+    return {
+        score: pose.score,
+        keypoints: pose.keypoints.map(k => ({
+            name: k.name,
+            x: Math.round(k.x * 10) / 10,
+            y: Math.round(k.y * 10) / 10,
+            confidence: Math.round(k.confidence * 1000) / 1000
+        }))
+    };
+}
+
+function recordFrame(results) {
+    recording.frames.push({
+        t: Math.round(nowMs() - recording.startedAt),
+        poses: results.map(serializePose)
+    });
+}
+
+function recordMask(result) {
+    if (!RECORD_MASKS || !result.mask) return;
+    const t = nowMs() - recording.startedAt;
+    if (t - recording.lastMaskAt < RECORD_MASK_INTERVAL_MS) return;
+    const dataUrl = maskDataUrl(result.mask);
+    if (!dataUrl) return;
+    recording.masks.push({ t: Math.round(t), dataUrl });
+    recording.lastMaskAt = t;
+}
+
+/** PNG data URL of a segmentation mask, or null when it has no canvas to read. */
+function maskDataUrl(mask) {
+    const source = mask.canvas || mask.elt;
+    if (!source || typeof source.toDataURL !== 'function') return null;
+    return source.toDataURL('image/png');
+}
+
+function startRecording() {
+    recording = { startedAt: nowMs(), frames: [], masks: [], lastMaskAt: -Infinity };
+    console.log('[Record] started');
+}
+
+function stopRecording() {
+    const session = {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        width: originalWidth,
+        height: originalHeight,
+        flipHorizontal: true,
+        frames: recording.frames,
+        masks: recording.masks
+    };
+    recording = null;
+
+    const stamp = session.createdAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    downloadJson(`between-verses-session-${stamp}.json`, JSON.stringify(session));
+    console.log(`[Record] saved ${session.frames.length} frames, ${session.masks.length} masks`);
+}
+
+/** Save a JSON string as a file download. */
+function downloadJson(filename, json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/** Forget every tracked person and the bundle debounce (clock source is about to change). */
+function resetPeopleState() {
+    tracker.clear();
+    poses = [];
+    segmentation = null;
+    bundleSender.reset();
+    groupState = null;
+    pendingBundle = null;
+}
+
+function startReplay(session, speed = 1) {
+    if (!session || !Array.isArray(session.frames)) {
+        console.warn('[Replay] not a Between Verses session file');
+        return false;
+    }
+    const clockStart = nowMs();
+    resetPeopleState();
+    // Keypoints are in the recording's capture size, which may not be today's camera
+    setSourceSize(session.width || 640, session.height || 480);
+    replay = {
+        session,
+        speed,
+        frameIdx: 0,
+        maskIdx: 0,
+        wallStart: millis(),
+        clockStart,
+        now: clockStart
+    };
+    console.log(`[Replay] started: ${session.frames.length} frames at ${speed}×`);
+    return true;
+}
+
+function stopReplay() {
+    if (!replay) return;
+    replay = null;
+    resetPeopleState();
+    setSourceSize(liveSourceSize.width, liveSourceSize.height);
+    updateReplayButton();
+    console.log('[Replay] stopped');
+}
+
+/** Feed every recorded frame whose timestamp has been reached; called once per draw(). */
+function advanceReplay() {
+    if (!replay) return;
+    const elapsed = (millis() - replay.wallStart) * replay.speed;
+    const { frames, masks = [] } = replay.session;
+
+    while (replay.frameIdx < frames.length && frames[replay.frameIdx].t <= elapsed) {
+        const frame = frames[replay.frameIdx++];
+        replay.now = replay.clockStart + frame.t;
+        // Copy so the tracker's trackId tags never leak into the session data
+        gotPoses(frame.poses.map(p => ({ ...p, keypoints: p.keypoints.map(k => ({ ...k })) })));
     }
 
-    if (currentPoses.length === 0) {
-        return currentPoses;
+    while (replay.maskIdx < masks.length && masks[replay.maskIdx].t <= elapsed) {
+        const { dataUrl } = masks[replay.maskIdx++];
+        loadImage(dataUrl, (img) => { if (replay) segmentation = { mask: img }; });
     }
 
-    // Build a cost matrix: [current][previous] = similarity score
-    const costMatrix = [];
-    for (let i = 0; i < currentPoses.length; i++) {
-        costMatrix[i] = [];
-        for (let j = 0; j < previousPoses.length; j++) {
-            costMatrix[i][j] = calculatePoseSimilarity(currentPoses[i], previousPoses[j]);
-        }
+    replay.now = replay.clockStart + elapsed;
+
+    if (replay.frameIdx >= frames.length) {
+        console.log('[Replay] finished');
+        stopReplay();
     }
+}
 
-    // Simple greedy matching (good enough for 2-3 people)
-    const matched = new Array(currentPoses.length);
-    const usedPrevious = new Set();
+/*
+===========================================================
+CONFIG PANEL
+Operator overlay (toggle with the C key) with live sliders
+and colour pickers for timings, smoothing, render opacities
+and the line look.
+Named presets live in localStorage (src/presets.js), can be
+exported/imported as JSON, and ?preset=<name> in the URL
+applies one at startup.
+===========================================================
+*/
 
-    // For each previous person slot, find the best matching current pose
-    for (let prevIdx = 0; prevIdx < previousPoses.length; prevIdx++) {
-        let bestCurrentIdx = -1;
-        let bestScore = Infinity;
+const CONFIG_PANEL_KEY = 'c';
+
+// Live settings: defaults are whatever the sketch starts with (captured in setupConfigPanel)
+const TUNABLES = [
+    { key: 'POSE_DWELL_MS', label: 'Pose dwell', unit: 'ms', min: 0, max: 2000, step: 10,
+      get: () => poseFSMOptions.dwellMs, set: (v) => { poseFSMOptions.dwellMs = v; } },
+    { key: 'STICKER_MIN_SHOW_MS', label: 'Sticker min show', unit: 'ms', min: 0, max: 5000, step: 50,
+      get: () => poseFSMOptions.minShowMs, set: (v) => { poseFSMOptions.minShowMs = v; } },
+    { key: 'SMOOTH_POS', label: 'Position smoothing', min: 0, max: 0.98, step: 0.01,
+      get: () => SMOOTH_POS, set: (v) => { SMOOTH_POS = v; } },
+    { key: 'IN_MS', label: 'Sticker pop-in', unit: 'ms', min: 0, max: 2000, step: 10,
+      get: () => stickerAnimOptions.inMs, set: (v) => { stickerAnimOptions.inMs = v; } },
+    { key: 'NAVEL_BLEND', label: 'Sticker anchor (shoulders → hips)', min: 0, max: 1, step: 0.01,
+      get: () => window.NAVEL_BLEND, set: (v) => { window.NAVEL_BLEND = v; } },
+    { key: 'VIDEO_OPACITY', label: 'Video opacity', min: 0, max: 1, step: 0.05,
+      get: () => renderOptions.videoOpacity, set: (v) => { renderOptions.videoOpacity = v; } },
+    { key: 'TINT_OPACITY', label: 'Silhouette tint over video', min: 0, max: 1, step: 0.05,
+      get: () => renderOptions.tintOpacity, set: (v) => { renderOptions.tintOpacity = v; } },
+    { key: 'SILHOUETTE_OPACITY', label: 'Silhouette opacity', min: 0, max: 1, step: 0.05,
+      get: () => renderOptions.silhouetteOpacity, set: (v) => { renderOptions.silhouetteOpacity = v; } },
+    { key: 'BACKGROUND_OPACITY', label: 'Background image opacity', min: 0, max: 1, step: 0.05,
+      get: () => renderOptions.backgroundOpacity, set: (v) => { renderOptions.backgroundOpacity = v; } },
+    { key: 'PARTICLE_BUDGET', label: 'Particle budget', min: 0, max: 1000, step: 10,
+      get: () => particleOptions.budget, set: (v) => { particleOptions.budget = v; } },
+    { key: 'PARTICLE_LIFETIME_MS', label: 'Particle lifetime', unit: 'ms', min: 200, max: 6000, step: 100,
+      get: () => particleOptions.lifetimeMs, set: (v) => { particleOptions.lifetimeMs = v; } },
+    { key: 'PARTICLE_MAX_RATE', label: 'Particles per joint at full speed', unit: '/s', min: 0, max: 120, step: 1,
+      get: () => particleOptions.maxRate, set: (v) => { particleOptions.maxRate = v; } },
+    { key: 'PARTICLE_BURST', label: 'Particle burst on lock', min: 0, max: 60, step: 1,
+      get: () => particleOptions.burst, set: (v) => { particleOptions.burst = v; } },
+    { key: 'ABSENCE_MS', label: 'Attract mode after nobody for', unit: 'ms', min: 1000, max: 120000, step: 1000,
+      get: () => presenceOptions.absenceMs, set: (v) => { presenceOptions.absenceMs = v; } },
+    { key: 'WELCOME_MS', label: 'Welcome transition', unit: 'ms', min: 0, max: 10000, step: 100,
+      get: () => presenceOptions.welcomeMs, set: (v) => { presenceOptions.welcomeMs = v; } },
+    { key: 'LINE_WIDTH', label: 'Line width', unit: 'px', min: 1, max: 20, step: 0.5,
+      get: () => LINE_WIDTH, set: (v) => { LINE_WIDTH = v; } },
+    { key: 'LINECOLOR', label: 'Line colour', type: 'color',
+      get: () => LINECOLOR.toString('#rrggbb'), set: (v) => { LINECOLOR = color(v); } },
+].map(t => ({ type: 'range', unit: '', ...t }));
+
+const presetStore = createPresetStore({ storage: window.localStorage });
+let configDefaults = {};
+let configInputs = {}; // key -> { input, output }
+
+function currentSettings() {
+    return Object.fromEntries(TUNABLES.map(t => [t.key, t.get()]));
+}
 
-        for (let currIdx = 0; currIdx < currentPoses.length; currIdx++) {
-            if (matched[currIdx] !== undefined) continue; // Already matched
+/** Apply (sanitized) settings and move the panel controls to match. */
+function applySettings(values) {
+    const clean = sanitizePresetValues(values, TUNABLES);
+    for (const t of TUNABLES) {
+        if (!(t.key in clean)) continue;
+        t.set(clean[t.key]);
+        syncConfigInput(t);
+    }
+}
 
-            const score = costMatrix[currIdx][prevIdx];
-            if (score < bestScore) {
-                bestScore = score;
-                bestCurrentIdx = currIdx;
-            }
-        }
+function syncConfigInput(t) {
+    const row = configInputs[t.key];
+    if (!row) return;
+    row.input.value = t.get();
+    row.output.textContent = `${t.get()}${t.unit}`;
+}
 
-        // Only match if distance is reasonable (not too far apart)
-        if (bestCurrentIdx !== -1 && bestScore < 200) {
-            matched[bestCurrentIdx] = prevIdx;
-            usedPrevious.add(prevIdx);
-        }
+function buildConfigRow(t) {
+    const row = document.createElement('div');
+    row.className = 'config-row';
+    const label = document.createElement('label');
+    label.htmlFor = `config-${t.key}`;
+    label.textContent = t.label;
+    const output = document.createElement('output');
+    label.appendChild(output);
+
+    const input = document.createElement('input');
+    input.id = `config-${t.key}`;
+    input.type = t.type;
+    if (t.type === 'range') {
+        input.className = 'form-range';
+        Object.assign(input, { min: t.min, max: t.max, step: t.step });
+    } else {
+        input.className = 'form-control form-control-color';
     }
+    input.addEventListener('input', () => {
+        applySettings({ [t.key]: t.type === 'range' ? Number(input.value) : input.value });
+    });
 
-    // Create reordered array maintaining previous frame indices
-    const reordered = new Array(Math.max(currentPoses.length, previousPoses.length));
+    row.append(label, input);
+    configInputs[t.key] = { input, output };
+    syncConfigInput(t);
+    return row;
+}
 
-    // Place matched poses in their previous positions
-    for (let currIdx = 0; currIdx < currentPoses.length; currIdx++) {
-        if (matched[currIdx] !== undefined) {
-            reordered[matched[currIdx]] = currentPoses[currIdx];
-        }
+function refreshPresetList(selected) {
+    const select = document.getElementById('preset-select');
+    select.innerHTML = '';
+    for (const name of presetStore.list()) {
+        const option = document.createElement('option');
+        option.value = option.textContent = name;
+        select.appendChild(option);
     }
+    if (selected) select.value = selected;
+}
 
-    // Place unmatched poses in remaining slots
-    let nextSlot = 0;
-    for (let currIdx = 0; currIdx < currentPoses.length; currIdx++) {
-        if (matched[currIdx] === undefined) {
-            // Find next empty slot
-            while (reordered[nextSlot] !== undefined) nextSlot++;
-            reordered[nextSlot] = currentPoses[currIdx];
+/** Apply a saved preset by name; returns false when there is none. */
+function loadPreset(name) {
+    const values = presetStore.get(name);
+    if (!values) {
+        console.warn('[Config] no preset named', name);
+        return false;
+    }
+    applySettings(values);
+    document.getElementById('preset-name').value = name;
+    console.log('[Config] loaded preset', name);
+    return true;
+}
+
+function savePreset() {
+    const name = document.getElementById('preset-name').value.trim();
+    if (!name) return;
+    presetStore.save(name, currentSettings());
+    refreshPresetList(name);
+    console.log('[Config] saved preset', name);
+}
+
+function deletePreset() {
+    const name = document.getElementById('preset-select').value;
+    if (!name) return;
+    presetStore.remove(name);
+    refreshPresetList();
+}
+
+function exportPreset() {
+    const name = document.getElementById('preset-name').value.trim() || 'between-verses';
+    downloadJson(`${name}.preset.json`, serializePreset(name, currentSettings()));
+}
+
+function importPresetFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    file.text().then((text) => {
+        const presets = parsePresetFile(text, TUNABLES);
+        for (const [name, values] of Object.entries(presets)) presetStore.save(name, values);
+        const first = Object.keys(presets)[0];
+        refreshPresetList(first);
+        loadPreset(first);
+    }).catch((err) => {
+        console.error('[Config] could not import presets:', err);
+    });
+}
+
+function toggleConfigPanel() {
+    const panel = document.getElementById('config-panel');
+    panel.hidden = !panel.hidden;
+}
+
+/** Build the panel once the p5 colours exist (end of setup). */
+function setupConfigPanel() {
+    configDefaults = currentSettings();
+    const rows = document.getElementById('config-rows');
+    for (const t of TUNABLES) rows.appendChild(buildConfigRow(t));
+    refreshPresetList();
+
+    document.getElementById('preset-save-btn').addEventListener('click', savePreset);
+    document.getElementById('preset-load-btn').addEventListener('click', () => {
+        loadPreset(document.getElementById('preset-select').value);
+    });
+    document.getElementById('preset-delete-btn').addEventListener('click', deletePreset);
+    document.getElementById('preset-defaults-btn').addEventListener('click', () => applySettings(configDefaults));
+    document.getElementById('preset-export-btn').addEventListener('click', exportPreset);
+    document.getElementById('preset-import-btn').addEventListener('click', () => {
+        document.getElementById('preset-file').click();
+    });
+    document.getElementById('preset-file').addEventListener('change', importPresetFile);
+
+    document.addEventListener('keydown', (event) => {
+        // Typing a preset name must not close the panel
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+        if (event.key.toLowerCase() === CONFIG_PANEL_KEY && !event.ctrlKey && !event.metaKey) toggleConfigPanel();
+    });
+}
+
+function applyPresetFromUrl() {
+    const presetParam = new URLSearchParams(location.search).get('preset');
+    if (presetParam) loadPreset(presetParam);
+}
+
+/*
+===========================================================
+SHOW CONFIG
+The bridge keeps a show config (osc-bridge/show-config.json,
+edited over GET/PUT /api/config) with per-pose sticker and
+bundle overrides, a layer map and timings. It is fetched at
+startup and pushed again over the WS whenever it is saved,
+so a second machine can reconfigure the installation live.
+Resolution against POSE_CONFIG lives in src/show-config.js.
+===========================================================
+*/
+
+let showConfig = null;
+
+function loadShowConfig() {
+    return fetch('/api/config')
+        .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then(applyShowConfig)
+        .catch(err => console.log(`[Show] no show config from the bridge (${err.message}), using poses.config.js`));
+}
+
+/** Apply a show config (or null for plain poses.config.js): bundles, sticker images and timings. */
+function applyShowConfig(config) {
+    showConfig = config;
+    const resolved = resolveShowConfig(POSE_CONFIG, config, LAYERS);
+
+    for (const [name, { image, bundle }] of Object.entries(resolved.poses)) {
+        if (bundle && bundle.length) basePoseBundles[name] = bundle;
+        else delete basePoseBundles[name];
+
+        if (!image || image === stickerPaths[name]) continue;
+        stickerPaths[name] = image;
+        loadStickerSource(image, img => {
+            if (stickerPaths[name] !== image) return; // superseded by a newer config
+            defaultStickerImages[name] = img;
+            if (stickerTheme === 'default') stickerImages[name] = img;
+        }, () => console.warn(`[Show] could not load ${image} for ${name}`));
+    }
+    if (stickerTheme !== 'default') setStickerTheme(stickerTheme); // re-derive theme files from the new images
+    Object.assign(GROUP_TO_BUNDLE, resolved.groups);
+    Object.assign(GESTURE_TO_BUNDLE, resolved.gestures);
+    sceneOverrides = resolved.scenes;
+    attractBundles = resolved.attract;
+    applySceneBundles();
+    applySettings(resolved.timings);
+    console.log(`[Show] show config applied${config && config.updatedAt ? ` (saved ${config.updatedAt})` : ''}`);
+}
+
+/*
+===========================================================
+SHOW SEQUENCER
+The show runs through POSE_CONFIG.scenes (src/show-sequencer.js),
+e.g. attract → open play → guided → finale. Each scene sets
+the poses that can lock, the sticker theme and pose bundle
+overrides, and sends its cue bundle when it starts. Scenes
+end on time or on their conditions; the operator moves on
+with the N / B keys, the scene picker, OSC /bv/scene or a
+{type:'scene'} message relayed by the bridge WebSocket.
+Without scenes the show is one open play.
+===========================================================
+*/
+
+const SCENES = POSE_CONFIG.scenes ?? [];
+const SCENE_NEXT_KEY = 'n';
+const SCENE_PREVIOUS_KEY = 'b';
+
+const showSequencer = createShowSequencer({ scenes: SCENES, now: nowMs });
+
+// Pose bundles from poses.config.js and the show config, before the scene's overrides
+const basePoseBundles = { ...POSE_TO_BUNDLE };
+// Scene name -> { bundles, cue } with the show config's layer map applied
+let sceneOverrides = resolveShowConfig(POSE_CONFIG, null, LAYERS).scenes;
+// POSE_CONFIG narrowed to the current scene's poses, for the classifier
+let activePoseConfig = POSE_CONFIG;
+
+/** Rebuild POSE_TO_BUNDLE from the base bundles and the current scene's overrides. */
+function applySceneBundles() {
+    const scene = showSequencer.current();
+    const bundles = sceneBundles(basePoseBundles, scene && sceneOverrides[scene.name]);
+    for (const name of Object.keys(POSE_TO_BUNDLE)) delete POSE_TO_BUNDLE[name];
+    Object.assign(POSE_TO_BUNDLE, bundles);
+}
+
+/** Apply a scene the sequencer just entered: poses, sticker theme, bundles, then its cue. */
+function enterScene(scene) {
+    if (!scene) return;
+    console.log(`[Scene] ${scene.name}`);
+    activePoseConfig = scenePoseConfig(POSE_CONFIG, scene);
+    applySceneBundles();
+    setStickerTheme(scene.stickerTheme ?? 'default');
+    const cue = sceneOverrides[scene.name] && sceneOverrides[scene.name].cue;
+    if (cue) requestBundle(cue);
+    const select = document.getElementById('scene-select');
+    if (select) select.value = scene.name;
+}
+
+function updateShow() {
+    const people = poses.map(p => ({ id: p.trackId, pose: lockedPoseOf(p.trackId) }));
+    enterScene(showSequencer.update(people));
+}
+
+function nextScene() {
+    enterScene(showSequencer.next());
+}
+
+function previousScene() {
+    enterScene(showSequencer.previous());
+}
+
+function goToScene(name) {
+    const scene = showSequencer.goTo(name);
+    if (!scene) console.warn('[Scene] unknown scene', name);
+    enterScene(scene);
+}
+
+/** Operator command relayed by the bridge: { type: 'scene', action: 'next' | 'previous' | 'goto', scene }. */
+function handleSceneCommand(msg) {
+    if (msg.action === 'next') nextScene();
+    else if (msg.action === 'previous') previousScene();
+    else if (msg.action === 'goto') goToScene(String(msg.scene));
+}
+
+/** Fill the scene picker, bind the hotkeys and start the first scene (after the show config). */
+function setupShowSequencer() {
+    const select = document.getElementById('scene-select');
+    const nextBtn = document.getElementById('scene-next-btn');
+    if (!SCENES.length) {
+        select.hidden = nextBtn.hidden = true;
+        return;
+    }
+    for (const scene of SCENES) {
+        const option = document.createElement('option');
+        option.value = option.textContent = scene.name;
+        select.appendChild(option);
+    }
+    select.addEventListener('change', () => goToScene(select.value));
+    nextBtn.addEventListener('click', nextScene);
+
+    document.addEventListener('keydown', (event) => {
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+        if (event.ctrlKey || event.metaKey) return;
+        const key = event.key.toLowerCase();
+        if (key === SCENE_NEXT_KEY) nextScene();
+        else if (key === SCENE_PREVIOUS_KEY) previousScene();
+    });
+
+    enterScene(showSequencer.start());
+}
+
+/*
+===========================================================
+ATTRACT MODE
+Nobody in front of the camera for the absence timeout: the
+show returns to its attract scene, sends the idle bundle and
+plays a demo of the poses (icon, sticker with its own
+choreography, name) over the backdrop. The first person to
+stay gets a welcome transition: the demo leaves, "Welcome"
+grows in, petals burst and the welcome bundle is sent.
+Presence and demo timing live in src/attract-mode.js.
+===========================================================
+*/
+
+const ATTRACT = { ...ATTRACT_DEFAULTS, ...(POSE_CONFIG.attract ?? {}) };
+const DEMO_POSES = POSE_RULES.filter(p => p.image).map(p => p.name);
+const DEMO_ID = 'demo'; // animator key of the demo sticker
+
+// Presence options are read on every update, so the config panel can retune them
+const presenceOptions = {
+    now: nowMs,
+    absenceMs: ATTRACT.absenceMs,
+    arriveMs: ATTRACT.arriveMs,
+    welcomeMs: ATTRACT.welcomeMs
+};
+const presence = createPresenceMonitor(presenceOptions);
+
+// The demo sticker plays each pose's own enter / idle / exit like a person's would
+const demoAnim = createStickerAnimator(stickerAnimOptions);
+let poseIcons = {}; // pose name -> p5.Image from the pose's icon
+// Idle and welcome bundles with the show config's layer map applied
+let attractBundles = resolveShowConfig(POSE_CONFIG, null, LAYERS).attract;
+
+function updatePresence(scaleX, scaleY) {
+    const entered = presence.update(poses.length);
+    if (entered === 'idle') {
+        console.log('[Attract] nobody here, attract mode');
+        if (ATTRACT.scene && showSequencer.current()) goToScene(ATTRACT.scene);
+        if (attractBundles.bundle) requestBundle(attractBundles.bundle);
+    } else if (entered === 'welcome') {
+        console.log('[Attract] welcome');
+        if (attractBundles.welcome) requestBundle(attractBundles.welcome);
+        burstWelcome(scaleX, scaleY);
+    }
+}
+
+function burstWelcome(scaleX, scaleY) {
+    const kind = ATTRACT.welcome && ATTRACT.welcome.particles;
+    if (kind) for (const pose of poses) burstParticles(pose, scaleX, scaleY, kind);
+}
+
+/** Attract mode for drawing: { mode, elapsedMs, welcomeProgress } (followed on the output page). */
+function attractView() {
+    if (IS_OUTPUT) return renderFollower.attract();
+    return { mode: presence.mode(), elapsedMs: presence.elapsed(), welcomeProgress: presence.welcomeProgress() };
+}
+
+function drawAttract(scaleX, scaleY) {
+    const { mode, elapsedMs, welcomeProgress } = attractView();
+    const slot = mode === 'idle' ? demoSlot(DEMO_POSES, elapsedMs, ATTRACT.demoPoseMs, ATTRACT.demoGapMs) : null;
+    const A = demoAnim.update(DEMO_ID, slot && slot.showing ? slot.name : null);
+    if (A.currentImage) drawDemoSticker(A, scaleX, scaleY);
+    if (mode === 'welcome') drawWelcome(welcomeProgress, scaleX, scaleY);
+}
+
+/** The demo pose: its sticker in the middle, the pose icon beside it and the pose name below. */
+function drawDemoSticker(A, scaleX, scaleY) {
+    const img = stickerFrame(A.currentImage, A.since);
+    if (!img) return;
+    const motion = A.transform;
+    const unit = 0.2 * min(width, height); // plays the shoulder width for x / y offsets
+    const w = 2.2 * unit * motion.scale;
+    const h = w * (img.height / img.width);
+    const cx = width / 2 + motion.x * unit;
+    const cy = height / 2 + motion.y * unit;
+
+    push();
+    const faded = color(255);
+    faded.setAlpha(255 * motion.opacity);
+    tint(faded);
+    const icon = poseIcons[A.currentPose];
+    if (icon) {
+        const iw = 1.2 * unit;
+        image(icon, width / 2 - 1.1 * unit - iw, height / 2 - iw / 2, iw, iw * (icon.height / icon.width));
+    }
+    translate(cx, cy);
+    rotate(radians(motion.rotate));
+    image(img, -w / 2, -h / 2, w, h);
+    pop();
+
+    push();
+    noStroke();
+    fill(255, 255 * motion.opacity);
+    textAlign(CENTER);
+    textSize(28 * min(scaleX, scaleY));
+    text(A.currentPose.replace(/_/g, ' '), width / 2, height / 2 + 1.6 * unit);
+    pop();
+}
+
+/** "Welcome" growing in over the first part of the transition, fading out by its end. */
+function drawWelcome(u, scaleX, scaleY) {
+    const grow = EASINGS.easeOutBack(Math.min(1, u / 0.4));
+    push();
+    noStroke();
+    fill(255, 255 * (1 - u * u));
+    textAlign(CENTER, CENTER);
+    textSize(72 * min(scaleX, scaleY) * (0.6 + 0.4 * grow));
+    text('Welcome', width / 2, height / 2);
+    pop();
+}
+
+/*
+===========================================================
+RENDER SYNC
+The projection can run on its own page: /output (output.html)
+on the projector machine draws what a control page publishes
+through the bridge, which relays render states only to the
+pages that joined as 'output'. A render state carries
+everyone's keypoints (and the capture size they are in),
+detected and locked poses, the group
+moment, gesture events, attract mode, the toggles, render
+options, sticker theme and config panel settings, plus a
+small camera frame and the segmentation mask when the render
+mode shows them. The output runs no camera, detection, OSC
+or analytics. The control page (/control, or the main page)
+publishes while an output is connected; /control adds live
+pose readouts next to its camera preview. Pacing and the
+follower's view live in src/render-sync.js.
+===========================================================
+*/
+
+const RENDER_FRAME_MS = 33;       // ~30 render states per second
+const RENDER_VIDEO_MS = 66;       // camera frames for the output, ~15 per second
+const RENDER_MASK_MS = 200;       // segmentation masks, at most 5 per second
+const RENDER_STALE_MS = 2000;     // the output lets everyone go after this long without a state
+const RENDER_VIDEO_WIDTH = 320;   // camera frames are sent at this width...
+const RENDER_VIDEO_QUALITY = 0.7; // ...as JPEG of this quality
+const READOUT_INTERVAL_MS = 250;  // control page pose readouts refresh
+
+// Tags this page's states, so an output follows one control page at a time
+const RENDER_SOURCE = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const renderPublisher = createRenderPublisher({
+    now: () => Date.now(),
+    frameMs: RENDER_FRAME_MS,
+    videoMs: RENDER_VIDEO_MS,
+    maskMs: RENDER_MASK_MS
+});
+const renderFollower = createRenderFollower({ now: () => Date.now(), staleMs: RENDER_STALE_MS });
+
+let peers = { outputs: 0, controls: 0 }; // pages joined to the bridge, from its {type:'peers'} broadcast
+let renderEvents = [];                   // gesture events since the last published state
+let gRenderVideo = null;                 // p5.Graphics: the camera frame shrunk for the output
+let followedSettings = '';               // JSON of the settings last applied on the output page
+let followedAttractMode = 'present';
+let lastReadoutAt = -Infinity;
+
+/** The bridge's count of joined pages changed. */
+function onPeers(msg) {
+    peers = { outputs: msg.outputs ?? 0, controls: msg.controls ?? 0 };
+    console.log(`[Sync] ${peers.outputs} output page(s), ${peers.controls} control page(s)`);
+    updateOutputStatus();
+}
+
+/** #output-status: whether a projector follows this page, or (on the output) whether anything leads it. */
+function updateOutputStatus() {
+    const el = document.getElementById('output-status');
+    if (!el) return;
+    if (IS_OUTPUT) {
+        el.hidden = !renderFollower.stale();
+        el.textContent = peers.controls ? 'Waiting for the control page…' : 'No control page connected';
+        return;
+    }
+    el.dataset.state = peers.outputs ? 'ok' : 'offline';
+    el.textContent = peers.outputs ? `Projector: ${peers.outputs} connected` : 'Projector: not connected';
+}
+
+// The camera layers need a frame / the silhouette a mask on the output
+const renderNeedsVideo = () => showVideo && !replay && renderOptions.mode !== 'silhouette_bg';
+const renderNeedsMask = () => showSegmentation || renderOptions.mode !== 'video';
+
+/** JPEG data URL of the current camera frame at RENDER_VIDEO_WIDTH, or null before the camera starts. */
+function videoDataUrl() {
+    if (!video || !video.elt || video.elt.readyState < 2) return null;
+    if (!gRenderVideo) {
+        gRenderVideo = createGraphics(RENDER_VIDEO_WIDTH, Math.round(RENDER_VIDEO_WIDTH * originalHeight / originalWidth));
+        gRenderVideo.pixelDensity(1);
+    }
+    gRenderVideo.image(video, 0, 0, gRenderVideo.width, gRenderVideo.height);
+    return gRenderVideo.elt.toDataURL('image/jpeg', RENDER_VIDEO_QUALITY);
+}
+
+/** This frame as the output page needs it (see RENDER SYNC). */
+function buildRenderState() {
+    return {
+        type: 'render_state',
+        source: RENDER_SOURCE,
+        frame: renderPublisher.frame(),
+        people: poses.map(pose => {
+            const detected = personResults[pose.trackId];
+            return {
+                id: pose.trackId,
+                ...serializePose(pose),
+                detected: detected ? { pose: detected.pose, score: detected.score, margin: detected.margin } : null,
+                locked: lockedPoseOf(pose.trackId)
+            };
+        }),
+        group: groupState ? { name: groupState.name, members: groupState.members } : null,
+        events: renderEvents,
+        capture: { width: originalWidth, height: originalHeight },
+        attract: { mode: presence.mode(), elapsedMs: presence.elapsed(), welcomeMs: presenceOptions.welcomeMs },
+        skeleton: connections,
+        settings: {
+            showVideo: showVideo && !replay,
+            showTracking,
+            showSegmentation,
+            showLine,
+            showPersonText,
+            showParticles,
+            renderMode: renderOptions.mode,
+            stickerStyle,
+            silhouetteColorMode,
+            stickerTheme,
+            tunables: currentSettings()
         }
+    };
+}
+
+/** Send this frame to the output pages (control pages only, while one is connected). */
+function publishRenderState() {
+    if (IS_OUTPUT) return;
+    if (!peers.outputs || !oscWS || oscWS.readyState !== 1) {
+        renderEvents = [];
+        return;
     }
+    if (!renderPublisher.due('frame')) return;
+    const state = buildRenderState();
+    if (renderNeedsVideo() && renderPublisher.due('video')) state.video = videoDataUrl();
+    if (renderNeedsMask() && segmentation && segmentation.mask && renderPublisher.due('mask')) {
+        state.mask = maskDataUrl(segmentation.mask);
+    }
+    renderEvents = [];
+    // Frame-rate and disposable: straight on the socket, without sequence IDs or the offline queue
+    oscWS.send(JSON.stringify(state));
+}
 
-    // Filter out undefined slots and return
-    return reordered.filter(p => p !== undefined);
+/** Output page: take a render state relayed by the bridge. */
+function receiveRenderState(msg) {
+    if (!IS_OUTPUT) return;
+    const received = renderFollower.receive(msg);
+    if (!received) return;
+    for (const id of received.departed) forgetPerson(id);
+    poses = msg.people.map(p => ({ score: p.score, keypoints: p.keypoints, trackId: p.id }));
+    if (Array.isArray(msg.skeleton)) connections = msg.skeleton;
+    if (msg.capture) setSourceSize(msg.capture.width, msg.capture.height);
+    if (msg.settings) applyFollowedSettings(msg.settings);
+    if (msg.video) loadImage(msg.video, (img) => { video = img; });
+    if (msg.mask) loadImage(msg.mask, (img) => { segmentation = { mask: img }; });
+    updateOutputStatus();
 }
 
-// Callback function to handle detected poses
-function gotPoses(results) {
-    if (!results || results.length === 0) {
-        poses = results;
-        lastFramePoses = [];
+/** Mirror the control page's toggles, render options, theme and config panel settings. */
+function applyFollowedSettings(settings) {
+    const json = JSON.stringify(settings);
+    if (json === followedSettings) return;
+    followedSettings = json;
+    ({ showVideo, showTracking, showSegmentation, showLine, showPersonText, showParticles } = settings);
+    if (settings.renderMode !== renderOptions.mode) setRenderMode(settings.renderMode);
+    if (settings.stickerStyle !== stickerStyle) setStickerStyle(settings.stickerStyle);
+    if (settings.silhouetteColorMode !== silhouetteColorMode) setSilhouetteColorMode(settings.silhouetteColorMode);
+    if (settings.stickerTheme !== stickerTheme) setStickerTheme(settings.stickerTheme);
+    if (settings.tunables) applySettings(settings.tunables);
+}
+
+/** The control page's detection for a person, for the person text. */
+function followedDetection(pid) {
+    return renderFollower.person(pid)?.detected ?? { pose: 'neutral', score: 0, margin: 0 };
+}
+
+/** Output page, once per frame: the group moment, gesture effects, the welcome, and a silent control page. */
+function followShowState(scaleX, scaleY) {
+    const gone = renderFollower.expire();
+    if (gone.length) {
+        console.log('[Sync] no render state from the control page, letting everyone go');
+        for (const id of gone) forgetPerson(id);
+        poses = [];
+        updateOutputStatus();
+    }
+
+    const group = renderFollower.state()?.group;
+    const rule = group && GROUP_RULES.find(r => r.name === group.name);
+    groupState = rule ? { name: group.name, rule, members: group.members } : null;
+
+    for (const event of renderFollower.takeEvents()) {
+        const pose = poses.find(p => p.trackId === event.person);
+        if (event.type === 'gesture' && pose) playGestureEffect(event.person, event.gesture, event.side, pose, scaleX, scaleY);
+    }
+
+    const { mode } = renderFollower.attract();
+    if (mode === 'welcome' && followedAttractMode !== 'welcome') burstWelcome(scaleX, scaleY);
+    followedAttractMode = mode;
+}
+
+/** Control page: one readout line per person, under the scene and attract mode. */
+function updateReadouts() {
+    const list = IS_OUTPUT ? null : document.getElementById('pose-readouts');
+    if (!list || Date.now() - lastReadoutAt < READOUT_INTERVAL_MS) return;
+    lastReadoutAt = Date.now();
+
+    const scene = showSequencer.current();
+    const lines = [`Scene: ${scene ? scene.name : '–'} · ${presence.mode()}${groupState ? ` · group ${groupState.name}` : ''}`];
+    for (const pose of poses) {
+        const pid = pose.trackId;
+        const detected = personResults[pid];
+        const locked = lockedPoseOf(pid);
+        const lockText = locked && locked !== 'neutral' ? `locked ${locked}` : 'not locked';
+        lines.push(`Person ${pid}: ${detected ? describeDetection(detected) : '…'} · ${lockText}`);
+    }
+    if (!poses.length) lines.push('Nobody in frame');
+    list.replaceChildren(...lines.map(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        return item;
+    }));
+}
+
+/** Output page: the canvas fills the window; F or a double click toggles fullscreen. */
+function setupOutputPage() {
+    resizeAllTo(windowWidth, windowHeight);
+    document.addEventListener('keydown', (event) => {
+        if (event.key.toLowerCase() === 'f') toggleOutputFullscreen();
+    });
+    document.addEventListener('dblclick', toggleOutputFullscreen);
+    updateOutputStatus();
+}
+
+function toggleOutputFullscreen() {
+    if (document.fullscreenElement) {
+        exitFullscreen();
+        return;
+    }
+    document.documentElement.requestFullscreen().catch(err => {
+        console.error('Error attempting to enable fullscreen:', err);
+    });
+}
+
+// p5 calls this when the browser window changes size (the output page follows it)
+function windowResized() {
+    if (IS_OUTPUT) resizeAllTo(windowWidth, windowHeight);
+}
+
+/*
+===========================================================
+REMOTE CONTROL
+Inbound OSC relayed by the bridge as {type:'osc_in'} lets an
+operator drive the show from a tablet (TouchOSC etc.):
+  /bv/theme <s>                      sticker theme (POSE_CONFIG.stickerThemes)
+  /bv/render <s>                     render mode (RENDER_MODES)
+  /bv/sticker <s>                    sticker style (STICKER_STYLES)
+  /bv/silhouette <s>                 silhouette colours (SILHOUETTE_COLOR_MODES)
+  /bv/scene <s>                      jump to a scene (POSE_CONFIG.scenes)
+  /bv/scene/next, /bv/scene/previous move through the scenes
+  /bv/toggle/<name> [T|F|i]          video, tracking, segmentation, line, persontext, particles
+  /bv/fsm/<option> <f>               dwellMs, minShowMs, cooldownMs, graceMs, minScore, minMargin
+Other code can subscribe to any address with onOscIn().
+===========================================================
+*/
+
+const OSC_REMOTE_PREFIX = '/bv';
+
+// address -> [handler(args, msg)]
+const oscInHandlers = {};
+
+/** Call handler(args, msg) with the arg values of every inbound OSC message sent to address. */
+function onOscIn(address, handler) {
+    (oscInHandlers[address] ??= []).push(handler);
+}
+
+function handleOscIn(msg) {
+    const handlers = oscInHandlers[msg.address];
+    if (!handlers) return;
+    const args = msg.args.map(a => a.value);
+    for (const handler of handlers) {
+        try {
+            handler(args, msg);
+        } catch (err) {
+            console.warn('[OSC in] handler failed for', msg.address, err);
+        }
+    }
+}
+
+// Sticker themes swap each pose image for the same file name in another folder
+const STICKER_THEMES = POSE_CONFIG.stickerThemes ?? {};
+let stickerTheme = 'default';
+let themeImageCache = {}; // path -> sticker
+
+/** Switch sticker theme; poses without a file in the theme folder keep the default image. */
+function setStickerTheme(name) {
+    if (name !== 'default' && !STICKER_THEMES[name]) {
+        console.warn('[Theme] unknown sticker theme', name);
         return;
     }
+    stickerTheme = name;
+    for (const def of POSE_RULES) {
+        if (!def.image) continue;
+        if (name === 'default') {
+            stickerImages[def.name] = defaultStickerImages[def.name];
+            continue;
+        }
+        const path = STICKER_THEMES[name] + stickerPaths[def.name].split('/').pop();
+        const apply = (img) => { if (stickerTheme === name) stickerImages[def.name] = img; };
+        if (themeImageCache[path]) {
+            apply(themeImageCache[path]);
+            continue;
+        }
+        loadStickerSource(path, img => apply(themeImageCache[path] = img), () => {
+            console.warn(`[Theme] ${path} missing, using the default sticker for ${def.name}`);
+            apply(defaultStickerImages[def.name]);
+        });
+    }
+    console.log('[Theme] sticker theme', name);
+}
 
-    // Match poses to previous frame for stable tracking
-    const matchedPoses = matchPosesToPreviousFrame(results, lastFramePoses);
+// Remote toggles reuse the button handlers so the controls stay in sync
+const REMOTE_TOGGLES = {
+    video:        { get: () => showVideo,        toggle: toggleVideo },
+    tracking:     { get: () => showTracking,     toggle: toggleTracking },
+    segmentation: { get: () => showSegmentation, toggle: toggleSegmentation },
+    line:         { get: () => showLine,         toggle: toggleLine },
+    persontext:   { get: () => showPersonText,   toggle: togglePersonText },
+    particles:    { get: () => showParticles,    toggle: toggleParticles }
+};
 
-    // Store for next frame
-    lastFramePoses = matchedPoses.slice(); // Copy array
-    poses = matchedPoses;
+/** OSC truthiness: T/F args arrive as booleans, faders and buttons as numbers. */
+function oscFlag(value) {
+    return typeof value === 'number' ? value >= 0.5 : Boolean(value);
+}
+
+onOscIn(`${OSC_REMOTE_PREFIX}/theme`, ([name]) => setStickerTheme(String(name)));
+onOscIn(`${OSC_REMOTE_PREFIX}/render`, ([mode]) => setRenderMode(String(mode)));
+onOscIn(`${OSC_REMOTE_PREFIX}/sticker`, ([style]) => setStickerStyle(String(style)));
+onOscIn(`${OSC_REMOTE_PREFIX}/silhouette`, ([mode]) => setSilhouetteColorMode(String(mode)));
+onOscIn(`${OSC_REMOTE_PREFIX}/scene`, ([name]) => goToScene(String(name)));
+onOscIn(`${OSC_REMOTE_PREFIX}/scene/next`, () => nextScene());
+onOscIn(`${OSC_REMOTE_PREFIX}/scene/previous`, () => previousScene());
+
+for (const [name, { get, toggle }] of Object.entries(REMOTE_TOGGLES)) {
+    onOscIn(`${OSC_REMOTE_PREFIX}/toggle/${name}`, (args) => {
+        // No argument flips the toggle; otherwise set it explicitly
+        const want = args.length ? oscFlag(args[0]) : !get();
+        if (want !== get()) toggle();
+    });
+}
+
+for (const option of ['dwellMs', 'minShowMs', 'cooldownMs', 'graceMs', 'minScore', 'minMargin']) {
+    onOscIn(`${OSC_REMOTE_PREFIX}/fsm/${option}`, ([value]) => {
+        if (!Number.isFinite(value)) return;
+        poseFSMOptions[option] = value;
+        console.log(`[OSC in] ${option} = ${value}`);
+    });
 }
 
 /*
@@ -1170,6 +2666,7 @@ function setupControls() {
     const segmentationToggleBtn = document.getElementById('segmentation-toggle-btn');
     const lineToggleBtn = document.getElementById('line-toggle-btn');
     const personTextToggleBtn = document.getElementById('person-text-toggle-btn');
+    const particlesToggleBtn = document.getElementById('particles-toggle-btn');
 
     // Fullscreen functionality
     fullscreenBtn.addEventListener('click', toggleFullscreen);
@@ -1189,6 +2686,25 @@ function setupControls() {
     // Person text toggle functionality
     personTextToggleBtn.addEventListener('click', togglePersonText);
 
+    // Particles toggle functionality
+    particlesToggleBtn.addEventListener('click', toggleParticles);
+
+    // Render mode (video / tint / silhouette over background / cutout)
+    const renderModeSelect = document.getElementById('render-mode');
+    renderModeSelect.value = renderOptions.mode;
+    renderModeSelect.addEventListener('change', () => setRenderMode(renderModeSelect.value));
+    const stickerStyleSelect = document.getElementById('sticker-style');
+    stickerStyleSelect.value = stickerStyle;
+    stickerStyleSelect.addEventListener('change', () => setStickerStyle(stickerStyleSelect.value));
+    const silhouetteColorsSelect = document.getElementById('silhouette-colors');
+    silhouetteColorsSelect.value = silhouetteColorMode;
+    silhouetteColorsSelect.addEventListener('change', () => setSilhouetteColorMode(silhouetteColorsSelect.value));
+
+    // Session recording and replay
+    document.getElementById('record-btn').addEventListener('click', toggleRecording);
+    document.getElementById('replay-btn').addEventListener('click', toggleReplay);
+    document.getElementById('replay-file').addEventListener('change', loadReplayFile);
+
     // Listen for ESC key to exit fullscreen
     document.addEventListener('keydown', function(event) {
         if (event.key === 'Escape' && document.fullscreenElement) {
@@ -1205,7 +2721,7 @@ function setupControls() {
         } else {
             // EXIT fullscreen
             isFullscreen = false;
-            resizeAllTo(originalWidth, originalHeight);
+            resizeToSource();
         }
     });
 }
@@ -1310,3 +2826,61 @@ function togglePersonText() {
         personTextToggleBtn.classList.add('btn-disabled');
     }
 }
+
+// Toggle particles (hiding also drops the ones in flight)
+function toggleParticles() {
+    const particlesToggleBtn = document.getElementById('particles-toggle-btn');
+
+    showParticles = !showParticles;
+    particlesToggleBtn.textContent = showParticles ? 'Hide Particles' : 'Show Particles';
+    if (!showParticles) particleSystem.clear();
+
+    // Update button styling
+    if (showParticles) {
+        particlesToggleBtn.classList.remove('btn-disabled');
+        particlesToggleBtn.classList.add('btn-1');
+    } else {
+        particlesToggleBtn.classList.remove('btn-1');
+        particlesToggleBtn.classList.add('btn-disabled');
+    }
+}
+
+// Toggle session recording (stopping downloads the JSON file)
+function toggleRecording() {
+    const recordBtn = document.getElementById('record-btn');
+
+    if (recording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+    recordBtn.textContent = recording ? 'Stop Recording' : 'Record';
+}
+
+// Start a replay (opens the file picker) or stop the running one
+function toggleReplay() {
+    if (replay) {
+        stopReplay();
+    } else {
+        document.getElementById('replay-file').click();
+    }
+}
+
+// Read the chosen session file and replay it at the selected speed
+function loadReplayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    const speed = Number(document.getElementById('replay-speed').value) || 1;
+    file.text().then((text) => {
+        if (startReplay(JSON.parse(text), speed)) updateReplayButton();
+    }).catch((err) => {
+        console.error('[Replay] could not read session file:', err);
+    });
+}
+
+// Keep the replay button label in sync with the replay state
+function updateReplayButton() {
+    document.getElementById('replay-btn').textContent = replay ? 'Stop Replay' : 'Replay';
+}
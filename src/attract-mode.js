@@ -0,0 +1,87 @@
+/*
+===========================================================
+ATTRACT MODE
+Presence detection for the installation: after nobody has
+been in front of the camera for `absenceMs` the show goes
+idle (attract mode, a demo of the poses); the first person
+who stays `arriveMs` brings it back through a welcome
+transition of `welcomeMs`. Also the timing of the pose demo.
+Clock is injected; drawing and OSC stay in script.js.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const ATTRACT_DEFAULTS = {
+        absenceMs: 8000,    // nobody in frame this long → attract mode
+        arriveMs: 500,      // someone must stay this long to end it (not a passer-by glitch)
+        welcomeMs: 2500,    // welcome transition when the first person steps in
+        demoPoseMs: 3500,   // each pose in the demo, sticker exit included
+        demoGapMs: 600      // end of each demo slot with the sticker leaving
+    };
+
+    /**
+     * Create a presence monitor: `now` () => ms, plus absenceMs, arriveMs and
+     * welcomeMs (see ATTRACT_DEFAULTS, read on every call). The show starts present,
+     * and the clock is first read by update(), so it need not be running yet.
+     * update(count) takes the number of people in frame and returns the mode entered
+     * this frame ('idle', 'welcome' or 'present'), or null when it did not change.
+     */
+    function createPresenceMonitor(options) {
+        const opt = (name) => options[name] ?? ATTRACT_DEFAULTS[name];
+        let mode = 'present';
+        let since = null;      // start of the current mode (set by the first update)
+        let lastSeen = null;   // last time anyone was in frame
+        let arrivedAt = null;  // start of the current presence while idle
+
+        function enter(next, t) {
+            mode = next;
+            since = t;
+            return next;
+        }
+
+        function update(count) {
+            const t = options.now();
+            if (since === null) since = lastSeen = t;
+            if (mode === 'idle') {
+                if (count === 0) {
+                    arrivedAt = null;
+                    return null;
+                }
+                arrivedAt ??= t;
+                if (t - arrivedAt < opt('arriveMs')) return null;
+                arrivedAt = null;
+                lastSeen = t;
+                return enter('welcome', t);
+            }
+            if (count > 0) lastSeen = t;
+            if (t - lastSeen >= opt('absenceMs')) return enter('idle', t);
+            if (mode === 'welcome' && t - since >= opt('welcomeMs')) return enter('present', t);
+            return null;
+        }
+
+        return {
+            update,
+            mode: () => mode,
+            // 0..1 through the welcome transition (1 outside it)
+            welcomeProgress: () => (mode === 'welcome' ? Math.min(1, (options.now() - since) / opt('welcomeMs')) : 1),
+            elapsed: () => (since === null ? 0 : options.now() - since)
+        };
+    }
+
+    /**
+     * Pose shown by the demo `elapsedMs` into attract mode: { name, index, showing }.
+     * Each of `names` gets `poseMs`; its sticker leaves (showing false) for the last `gapMs`.
+     */
+    function demoSlot(names, elapsedMs, poseMs = ATTRACT_DEFAULTS.demoPoseMs, gapMs = ATTRACT_DEFAULTS.demoGapMs) {
+        if (!names.length || !(poseMs > 0)) return { name: null, index: -1, showing: false };
+        const step = Math.floor(Math.max(0, elapsedMs) / poseMs);
+        const index = step % names.length;
+        return { name: names[index], index, showing: elapsedMs - step * poseMs < poseMs - gapMs };
+    }
+
+    const api = { ATTRACT_DEFAULTS, createPresenceMonitor, demoSlot };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,143 @@
+/*
+===========================================================
+BODY MASK
+Geometry for drawing inside a person's silhouette: the
+region a person's keypoints span and the rectangle an image
+needs to cover it from a torso anchor. SelfieSegmentation
+returns one mask for everyone, so it is split into people
+with per-person regions: the keypoint hull grown by a margin
+and cut along the bisectors between neighbours, so regions
+never overlap. Coordinates are whatever the keypoints use
+(capture space in script.js).
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Bounding box of the confident keypoints, grown by `margin` on every side.
+     * Returns { minX, minY, maxX, maxY } or null with fewer than `minPoints` keypoints.
+     */
+    function bodyBounds(keypoints, { minConfidence = 0.3, margin = 0, minPoints = 3 } = {}) {
+        const pts = keypoints.filter(k => k.confidence >= minConfidence);
+        if (pts.length < minPoints) return null;
+        const xs = pts.map(k => k.x);
+        const ys = pts.map(k => k.y);
+        return {
+            minX: Math.min(...xs) - margin,
+            minY: Math.min(...ys) - margin,
+            maxX: Math.max(...xs) + margin,
+            maxY: Math.max(...ys) + margin
+        };
+    }
+
+    /**
+     * Rectangle { x, y, w, h } for an imgW × imgH image centred on `anchor` that
+     * covers `bounds` entirely (aspect ratio kept), then scaled by `scale`.
+     */
+    function coverRect(imgW, imgH, bounds, anchor, scale = 1) {
+        const halfW = Math.max(anchor.x - bounds.minX, bounds.maxX - anchor.x, 1);
+        const halfH = Math.max(anchor.y - bounds.minY, bounds.maxY - anchor.y, 1);
+        const fit = Math.max((2 * halfW) / imgW, (2 * halfH) / imgH) * scale;
+        const w = imgW * fit;
+        const h = imgH * fit;
+        return { x: anchor.x - w / 2, y: anchor.y - h / 2, w, h };
+    }
+
+    /** Convex hull (counter-clockwise, no collinear points) of { x, y } points. */
+    function convexHull(points) {
+        const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (pts.length < 3) return pts;
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const out = [];
+            for (const p of list) {
+                while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+                out.push(p);
+            }
+            out.pop();
+            return out;
+        };
+        return half(pts).concat(half(pts.slice().reverse()));
+    }
+
+    function centroid(points) {
+        const n = points.length;
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / n,
+            y: points.reduce((sum, p) => sum + p.y, 0) / n
+        };
+    }
+
+    /** Push every vertex `margin` further away from the polygon's centroid. */
+    function expandPolygon(poly, margin) {
+        const c = centroid(poly);
+        return poly.map(p => {
+            const dx = p.x - c.x;
+            const dy = p.y - c.y;
+            const len = Math.hypot(dx, dy) || 1;
+            return { x: p.x + (dx / len) * margin, y: p.y + (dy / len) * margin };
+        });
+    }
+
+    /** Keep the part of a convex polygon closer to `own` than to `other` (Sutherland–Hodgman on the bisector). */
+    function clipToBisector(poly, own, other) {
+        const nx = other.x - own.x;
+        const ny = other.y - own.y;
+        const offset = (nx * (own.x + other.x) + ny * (own.y + other.y)) / 2;
+        const side = (p) => offset - (nx * p.x + ny * p.y); // >= 0 on own's side
+        const out = [];
+        for (let i = 0; i < poly.length; i++) {
+            const a = poly[i];
+            const b = poly[(i + 1) % poly.length];
+            const sa = side(a);
+            const sb = side(b);
+            if (sa >= 0) out.push(a);
+            if ((sa >= 0) !== (sb >= 0)) {
+                const t = sa / (sa - sb);
+                out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            }
+        }
+        return out;
+    }
+
+    // Margin scale for a person: shoulder width, or a third of the keypoint span without shoulders
+    function bodyScale(pts, byName) {
+        const ls = byName.left_shoulder;
+        const rs = byName.right_shoulder;
+        if (ls && rs) return Math.hypot(ls.x - rs.x, ls.y - rs.y);
+        const xs = pts.map(p => p.x);
+        return (Math.max(...xs) - Math.min(...xs)) / 3;
+    }
+
+    /**
+     * Split everyone's shared silhouette into per-person regions. `people` is
+     * [{ id, keypoints }]; returns { id: polygon } for people with enough confident
+     * keypoints. Each region is the keypoint hull grown by `marginSW` shoulder widths,
+     * cut along the bisector with every other person so regions never overlap.
+     */
+    function splitPersonRegions(people, { minConfidence = 0.3, marginSW = 0.6, minPoints = 3 } = {}) {
+        const bodies = [];
+        for (const { id, keypoints } of people) {
+            const pts = keypoints.filter(k => k.confidence >= minConfidence);
+            if (pts.length < minPoints) continue;
+            const byName = Object.fromEntries(pts.map(k => [k.name, k]));
+            const hull = expandPolygon(convexHull(pts.map(k => ({ x: k.x, y: k.y }))), marginSW * bodyScale(pts, byName));
+            bodies.push({ id, hull, center: centroid(pts) });
+        }
+        const regions = {};
+        for (const body of bodies) {
+            let poly = body.hull;
+            for (const other of bodies) {
+                if (other !== body && poly.length) poly = clipToBisector(poly, body.center, other.center);
+            }
+            if (poly.length >= 3) regions[body.id] = poly;
+        }
+        return regions;
+    }
+
+    const api = { bodyBounds, coverRect, convexHull, expandPolygon, clipToBisector, splitPersonRegions };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
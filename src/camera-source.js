@@ -0,0 +1,98 @@
+/*
+===========================================================
+CAMERA SOURCE
+Which camera feeds detection and at what resolution: the
+capture resolutions on offer, the getUserMedia constraints
+for a device, the video inputs from enumerateDevices and the
+operator's choice, persisted in localStorage so an external
+USB or capture-card camera is picked again after a reload.
+Starting the capture (or a rehearsal video file) stays in
+script.js.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const CAMERA_STORAGE_KEY = 'between-verses.camera';
+    const CAPTURE_RESOLUTIONS = ['640x480', '1280x720', '1920x1080'];
+    const DEFAULT_CAMERA_CHOICE = { deviceId: null, resolution: CAPTURE_RESOLUTIONS[0] };
+
+    /** '1280x720' → { width: 1280, height: 720 }, or null when it is not WIDTHxHEIGHT. */
+    function parseResolution(text) {
+        const match = /^(\d{2,5})x(\d{2,5})$/.exec(String(text ?? '').trim());
+        return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+    }
+
+    /**
+     * getUserMedia constraints for a camera (null = the browser's default) at a
+     * resolution. The size is only asked for: read the real one off the stream.
+     */
+    function captureConstraints({ deviceId = null, resolution = DEFAULT_CAMERA_CHOICE.resolution } = {}) {
+        const { width, height } = parseResolution(resolution) ?? parseResolution(DEFAULT_CAMERA_CHOICE.resolution);
+        const video = { width: { ideal: width }, height: { ideal: height } };
+        if (deviceId) video.deviceId = { exact: deviceId };
+        return { video, audio: false };
+    }
+
+    /**
+     * The cameras in an enumerateDevices() list as [{ deviceId, label }]. Labels are
+     * empty until camera permission is granted, so those are numbered instead.
+     */
+    function videoInputs(devices) {
+        return (devices || [])
+            .filter(d => d && d.kind === 'videoinput')
+            .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+    }
+
+    /** The saved camera if it is still plugged in, else null (the default camera). */
+    function pickDevice(inputs, savedId) {
+        return inputs.some(d => d.deviceId === savedId) ? savedId : null;
+    }
+
+    /** The on-screen (windowed) canvas size for a source: maxWidth wide, the source's aspect ratio. */
+    function displaySize(width, height, maxWidth = 640) {
+        if (!(width > 0 && height > 0)) return { width: maxWidth, height: Math.round(maxWidth * 3 / 4) };
+        return { width: maxWidth, height: Math.round(maxWidth * height / width) };
+    }
+
+    /**
+     * Create a store for the camera choice on a Storage-like object (getItem / setItem):
+     *   load() → { deviceId, resolution } (defaults for anything missing or unknown), save(choice)
+     */
+    function createCameraStore({ storage, key = CAMERA_STORAGE_KEY }) {
+        function load() {
+            let saved = {};
+            try {
+                saved = JSON.parse(storage.getItem(key) || '{}') || {};
+            } catch (err) {
+                saved = {};
+            }
+            return {
+                deviceId: typeof saved.deviceId === 'string' && saved.deviceId ? saved.deviceId : null,
+                resolution: CAPTURE_RESOLUTIONS.includes(saved.resolution) ? saved.resolution : DEFAULT_CAMERA_CHOICE.resolution
+            };
+        }
+
+        return {
+            load,
+            save(choice) {
+                storage.setItem(key, JSON.stringify({ ...load(), ...choice }));
+            }
+        };
+    }
+
+    const api = {
+        CAMERA_STORAGE_KEY,
+        CAPTURE_RESOLUTIONS,
+        DEFAULT_CAMERA_CHOICE,
+        parseResolution,
+        captureConstraints,
+        videoInputs,
+        pickDevice,
+        displaySize,
+        createCameraStore
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
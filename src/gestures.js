@@ -0,0 +1,281 @@
+/*
+===========================================================
+GESTURES
+Motion gestures over a rolling window of smoothed
+keypoints, alongside the single-frame poses: wave, jump,
+clap, turn_around and arm_sweep. Each person keeps a few
+seconds of samples; every detector looks at that window,
+minus the samples a gesture already fired on, so one
+movement never fires twice.
+Distances are in torso heights (shoulder widths without
+hips), so people near and far gesture alike. The clock is
+the caller's: update() takes the sample time.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const GESTURE_NAMES = ['wave', 'jump', 'clap', 'turn_around', 'arm_sweep'];
+
+    const GESTURE_DEFAULTS = {
+        windowMs: 4000,         // samples kept per person
+        smoothing: 0.5,         // EMA weight of the previous keypoint position
+        minConfidence: 0.3,
+        cooldownMs: { wave: 500, jump: 500, clap: 300, turn_around: 1000, arm_sweep: 1000 },
+
+        waveMs: 1500,           // look-back for waving
+        waveAmplitude: 0.2,     // side-to-side swing that counts as one stroke (units)
+        waveStrokes: 3,         // direction changes needed
+
+        jumpMs: 1200,           // look-back for a jump
+        jumpRise: 0.25,         // hips rise above their resting height (units)
+        jumpMaxAirMs: 800,      // longer than this up high is standing on tiptoe, not a jump
+
+        clapMs: 600,            // hands apart then together within this
+        clapApart: 0.8,         // wrist distance before (units)
+        clapTogether: 0.25,     // wrist distance at the clap (units)
+
+        turnHoldMs: 300,        // a facing direction must hold this long to count
+        turnNarrow: 0.35,       // shoulder width / torso height when side-on
+        turnWide: 0.6,          // ... and facing the camera again
+        turnMaxMs: 2500,        // side-on and back within this is a turn
+
+        sweepMs: 4000,          // look-back for an arm sweep
+        sweepSpan: 100,         // degrees of arm elevation travelled in one direction
+        sweepMinMs: 800,        // at least this long (slow)
+        sweepMaxSpeed: 120,     // average degrees per second at most (slow)
+        sweepJitter: 8          // degrees of wobble tolerated along the way
+    };
+
+    const TRACKED = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip', 'left_wrist', 'right_wrist'];
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    function since(samples, t, ms) {
+        return samples.filter(s => t - s.t <= ms);
+    }
+
+    /**
+     * One window sample from smoothed keypoints ({ name: { x, y } }), or null without
+     * both shoulders. `unit` is the torso height (shoulder width without hips).
+     */
+    function gestureSample(points, t, narrow = GESTURE_DEFAULTS.turnNarrow) {
+        const ls = points.left_shoulder;
+        const rs = points.right_shoulder;
+        if (!ls || !rs) return null;
+        const shoulderMid = { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 };
+        const lh = points.left_hip;
+        const rh = points.right_hip;
+        const hipMid = lh && rh ? { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 } : null;
+        const shoulderWidth = Math.abs(ls.x - rs.x);
+        const torso = hipMid ? Math.hypot(hipMid.x - shoulderMid.x, hipMid.y - shoulderMid.y) : 0;
+        const unit = torso > 0 ? torso : shoulderWidth;
+        if (!(unit > 0)) return null;
+        return {
+            t, unit, shoulderMid, hipMid,
+            shoulders: { left: ls, right: rs },
+            wrists: { left: points.left_wrist ?? null, right: points.right_wrist ?? null },
+            // Shoulder width over torso height: drops towards 0 side-on (null without hips)
+            breadth: torso > 0 ? shoulderWidth / torso : null,
+            // Which shoulder is on the left in the image; 0 while side-on
+            facing: torso > 0 && shoulderWidth / torso < narrow ? 0 : Math.sign(ls.x - rs.x)
+        };
+    }
+
+    /** Waving: a raised wrist swinging side to side. Returns { side } or null. */
+    function detectWave(samples, t, o) {
+        for (const side of ['left', 'right']) {
+            const recent = since(samples, t, o.waveMs);
+            const raised = recent.filter(s => s.wrists[side] && s.wrists[side].y < s.shoulders[side].y);
+            if (recent.length < 4 || raised.length < recent.length * 0.8) continue;
+            const unit = median(raised.map(s => s.unit));
+            let strokes = 0, dir = 0;
+            let extreme = raised[0].wrists[side].x - raised[0].shoulders[side].x;
+            for (const s of raised.slice(1)) {
+                const x = s.wrists[side].x - s.shoulders[side].x;
+                const d = x - extreme;
+                if (dir >= 0 && d > 0 || dir <= 0 && d < 0) {
+                    if (dir === 0 && Math.abs(d) < o.waveAmplitude * unit) continue;
+                    if (dir === 0) dir = Math.sign(d);
+                    extreme = x; // still moving the same way
+                } else if (Math.abs(d) >= o.waveAmplitude * unit) {
+                    strokes++;
+                    dir = -dir;
+                    extreme = x;
+                }
+            }
+            if (strokes >= o.waveStrokes) return { side };
+        }
+        return null;
+    }
+
+    /** Jumping: hips (or shoulders) leave their resting height briefly and come back. */
+    function detectJump(samples, t, o) {
+        const recent = since(samples, t, o.jumpMs);
+        if (recent.length < 5) return null;
+        const ys = recent.map(s => (s.hipMid ?? s.shoulderMid).y);
+        const unit = median(recent.map(s => s.unit));
+        const rest = median(ys);
+        const rise = o.jumpRise * unit;
+        const peak = ys.indexOf(Math.min(...ys));
+        if (rest - ys[peak] < rise) return null;
+        const landed = ys[ys.length - 1] > rest - rise / 2;
+        const tookOff = ys.slice(0, peak).some(y => y > rest - rise / 2);
+        const air = recent.filter((s, i) => ys[i] < rest - rise / 2);
+        const airMs = air.length ? air[air.length - 1].t - air[0].t : 0;
+        return landed && tookOff && airMs <= o.jumpMaxAirMs ? { height: (rest - ys[peak]) / unit } : null;
+    }
+
+    /** Clapping: wrists apart, then together. */
+    function detectClap(samples, t, o) {
+        const recent = since(samples, t, o.clapMs).filter(s => s.wrists.left && s.wrists.right);
+        if (recent.length < 2) return null;
+        const gap = s => Math.hypot(s.wrists.left.x - s.wrists.right.x, s.wrists.left.y - s.wrists.right.y) / s.unit;
+        const last = recent[recent.length - 1];
+        if (gap(last) > o.clapTogether) return null;
+        return recent.slice(0, -1).some(s => gap(s) >= o.clapApart) ? {} : null;
+    }
+
+    /**
+     * Turning around: side-on and back within turnMaxMs, or the shoulders swapping sides
+     * for good. `state` keeps the settled facing between frames. Returns { facing }:
+     * 'away' when the shoulders came back swapped from the facing first seen, else 'front'.
+     */
+    function detectTurn(samples, t, o, state) {
+        const settled = since(samples, t, o.turnHoldMs);
+        const facing = settled.length >= 2 && settled.every(s => s.facing === settled[0].facing) ? settled[0].facing : 0;
+        if (facing && state.front == null) state.front = facing;
+
+        let turned = false;
+        if (facing && state.facing && facing !== state.facing) turned = true;
+
+        // Side-on and back without the keypoints swapping sides
+        const recent = since(samples, t, o.turnMaxMs).filter(s => s.breadth != null);
+        if (!turned && recent.length >= 3 && recent[recent.length - 1].breadth >= o.turnWide) {
+            const narrow = recent.findIndex(s => s.breadth <= o.turnNarrow);
+            turned = narrow > 0 && recent.slice(0, narrow).some(s => s.breadth >= o.turnWide);
+        }
+
+        if (facing) state.facing = facing;
+        if (!turned) return null;
+        const now = samples[samples.length - 1].facing;
+        if (now) state.facing = now; // the swap itself must not fire again once it settles
+        return { facing: now && now !== state.front ? 'away' : 'front' };
+    }
+
+    /** Arm elevation in degrees: -90 hanging down, 0 level with the shoulder, 90 straight up. */
+    function armElevation(s, side) {
+        const w = s.wrists[side];
+        if (!w) return null;
+        const sh = s.shoulders[side];
+        return Math.atan2(sh.y - w.y, Math.abs(w.x - sh.x)) * 180 / Math.PI;
+    }
+
+    /** Slow arm sweep: one arm travelling sweepSpan degrees one way, slowly. Returns { side, direction }. */
+    function detectArmSweep(samples, t, o) {
+        for (const side of ['left', 'right']) {
+            const pts = since(samples, t, o.sweepMs)
+                .map(s => ({ t: s.t, a: armElevation(s, side) }))
+                .filter(p => p.a != null);
+            if (pts.length < 3) continue;
+
+            // Walk back from now while the angle keeps moving the same way (within the jitter)
+            // (an arm held still at the end does not count towards the duration)
+            const end = pts[pts.length - 1];
+            let dir = 0, start = end, reached = end;
+            for (let i = pts.length - 2; i >= 0; i--) {
+                const p = pts[i];
+                if (!dir) {
+                    if (Math.abs(end.a - p.a) <= o.sweepJitter) {
+                        reached = start = p;
+                        continue;
+                    }
+                    dir = Math.sign(end.a - p.a);
+                }
+                const back = dir > 0 ? p.a <= start.a + o.sweepJitter : p.a >= start.a - o.sweepJitter;
+                if (!back) break;
+                if (dir > 0 ? p.a < start.a : p.a > start.a) start = p;
+            }
+            const span = Math.abs(end.a - start.a);
+            const ms = reached.t - start.t;
+            if (dir && span >= o.sweepSpan && ms >= o.sweepMinMs && (span / ms) * 1000 <= o.sweepMaxSpeed) {
+                return { side, direction: dir > 0 ? 'up' : 'down' };
+            }
+        }
+        return null;
+    }
+
+    const DETECTORS = {
+        wave: detectWave,
+        jump: detectJump,
+        clap: detectClap,
+        turn_around: detectTurn,
+        arm_sweep: detectArmSweep
+    };
+
+    /**
+     * Create a gesture recognizer. Options override GESTURE_DEFAULTS (cooldownMs per
+     * gesture: the least time between two of the same); `gestures` limits detection to
+     * some names. update(personId, keypoints, t)
+     * smooths the keypoints, adds a sample and returns this frame's gesture events:
+     * [{ gesture, personId, t, ...detail }].
+     */
+    function createGestureRecognizer(options = {}) {
+        const o = { ...GESTURE_DEFAULTS, ...options, cooldownMs: { ...GESTURE_DEFAULTS.cooldownMs, ...options.cooldownMs } };
+        const enabled = options.gestures ?? GESTURE_NAMES;
+        const people = {}; // people[pid] = { points, samples, lastFired: { gesture: t }, turn }
+
+        function update(personId, keypoints, t) {
+            const person = (people[personId] ??= { points: {}, samples: [], lastFired: {}, turn: {} });
+
+            for (const k of keypoints) {
+                if (!TRACKED.includes(k.name)) continue;
+                if (k.confidence < o.minConfidence) {
+                    delete person.points[k.name];
+                    continue;
+                }
+                const prev = person.points[k.name];
+                person.points[k.name] = prev
+                    ? { x: o.smoothing * prev.x + (1 - o.smoothing) * k.x, y: o.smoothing * prev.y + (1 - o.smoothing) * k.y }
+                    : { x: k.x, y: k.y };
+            }
+
+            const sample = gestureSample(person.points, t, o.turnNarrow);
+            if (sample) person.samples.push(sample);
+            while (person.samples.length && t - person.samples[0].t > o.windowMs) person.samples.shift();
+            if (!sample) return [];
+
+            const events = [];
+            for (const gesture of enabled) {
+                const detect = DETECTORS[gesture];
+                if (!detect) continue;
+                const last = person.lastFired[gesture] ?? -Infinity;
+                if (t - last < o.cooldownMs[gesture]) continue;
+                // Only what happened since this gesture last fired can fire it again
+                const fresh = person.samples.filter(s => s.t > last);
+                const detail = detect(fresh, t, o, person.turn);
+                if (!detail) continue;
+                person.lastFired[gesture] = t;
+                events.push({ gesture, personId, t, ...detail });
+            }
+            return events;
+        }
+
+        return {
+            update,
+            delete: (personId) => { delete people[personId]; }
+        };
+    }
+
+    const api = {
+        GESTURE_NAMES, GESTURE_DEFAULTS, gestureSample, armElevation,
+        detectWave, detectJump, detectClap, detectTurn, detectArmSweep, createGestureRecognizer
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,83 @@
+/*
+===========================================================
+GROUP COMPOSER
+Looks at everyone's locked pose together and picks the
+group rule (POSE_CONFIG.groups) that applies, e.g. "two
+people in arms_out", "everyone in star" or "mixed poses".
+Rules are declarative and checked in priority order.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Tally the locked poses of everyone present. `people` is [{ id, pose }] with
+     * pose null (or 'neutral') for people who are not locked into a pose.
+     */
+    function countGroup(people) {
+        const byPose = {};
+        for (const { pose } of people) {
+            if (pose && pose !== 'neutral') byPose[pose] = (byPose[pose] ?? 0) + 1;
+        }
+        const locked = Object.values(byPose).reduce((sum, n) => sum + n, 0);
+        return { present: people.length, locked, distinct: Object.keys(byPose).length, byPose };
+    }
+
+    // Value of a count name: 'present', 'locked', 'distinct' or a pose name
+    function countOf(name, counts) {
+        if (name === 'present' || name === 'locked' || name === 'distinct') return counts[name];
+        return counts.byPose[name] ?? 0;
+    }
+
+    /**
+     * One group condition:
+     *   { count: <name>, min: n, max: n }   people present / locked / distinct poses / in a pose
+     *   { everyone: <pose> }                every person present is locked in that pose
+     */
+    function matchGroupCondition(cond, counts) {
+        if (cond.everyone) {
+            return counts.present > 0 && countOf(cond.everyone, counts) === counts.present;
+        }
+        if (cond.count) {
+            const n = countOf(cond.count, counts);
+            return (cond.min == null || n >= cond.min) && (cond.max == null || n <= cond.max);
+        }
+        console.warn('Unknown group condition', cond);
+        return false;
+    }
+
+    function sortGroupRules(config) {
+        return (config.groups ?? []).slice().sort((a, b) => a.priority - b.priority);
+    }
+
+    // Poses a rule is about; their people are the members of the group moment
+    function rulePoses(rule) {
+        return rule.when
+            .map(c => c.everyone ?? c.count)
+            .filter(name => name && name !== 'present' && name !== 'locked' && name !== 'distinct');
+    }
+
+    /**
+     * Evaluate the group rules against everyone's locked pose; first match in priority
+     * order wins. Returns { name, rule, members } or null when no rule applies.
+     * members are the ids of the people in the poses the rule names (every locked
+     * person for rules such as "mixed" that name no pose).
+     */
+    function evaluateGroup(people, config) {
+        const counts = countGroup(people);
+        for (const rule of sortGroupRules(config)) {
+            if (!rule.when.every(c => matchGroupCondition(c, counts))) continue;
+            const named = rulePoses(rule);
+            const members = people
+                .filter(p => p.pose && p.pose !== 'neutral' && (named.length === 0 || named.includes(p.pose)))
+                .map(p => p.id);
+            return { name: rule.name, rule, members };
+        }
+        return null;
+    }
+
+    const api = { countGroup, matchGroupCondition, sortGroupRules, evaluateGroup };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
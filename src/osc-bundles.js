@@ -0,0 +1,54 @@
+/*
+===========================================================
+OSC BUNDLES
+De-duplicates and globally debounces the { layer, media }
+bundles sent to the bridge when a pose locks. Clock and
+transport are injected.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    /** Order-independent identity of a bundle, e.g. "1:8|2:9|6:1" */
+    function keyOfBundle(bundle) {
+        return bundle.slice().sort((a, b) => a.layer - b.layer).map(a => `${a.layer}:${a.media}`).join('|');
+    }
+
+    /**
+     * Create a bundle sender:
+     *   now         () => ms
+     *   send        (bundle) => void — the transport (sendOsc in the browser)
+     *   debounceMs  minimum gap between two sends (read on every call)
+     *   onSent      optional (key, bundle) => void
+     */
+    function createBundleSender(options) {
+        let lastBundleKey = '';
+        let lastSentAt = -Infinity;
+
+        /** Send unless it repeats the last bundle or comes too soon; returns true when sent. */
+        function maybeSend(bundle) {
+            const now = options.now();
+            if (now - lastSentAt < options.debounceMs) return false;
+            const k = keyOfBundle(bundle);
+            if (k === lastBundleKey) return false;
+            options.send(bundle);
+            lastBundleKey = k;
+            lastSentAt = now;
+            if (options.onSent) options.onSent(k, bundle);
+            return true;
+        }
+
+        /** Forget the last bundle and debounce window (e.g. when the clock source changes) */
+        function reset() {
+            lastBundleKey = '';
+            lastSentAt = -Infinity;
+        }
+
+        return { maybeSend, reset };
+    }
+
+    const api = { keyOfBundle, createBundleSender };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,123 @@
+/*
+===========================================================
+OSC DELIVERY
+Sequenced, acknowledged delivery of WebSocket payloads to
+the bridge. Every payload gets a sequence ID and a TTL; the
+offline queue is bounded and drops stale entries instead of
+replaying them in a burst, and bridge replies are matched
+back to their request by `seq`. Clock is injected.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const DELIVERY_DEFAULTS = {
+        maxQueued: 20,       // offline queue size; the oldest entry is dropped when full
+        ttlMs: 2000,         // payloads older than this are never sent (or are dropped by the bridge)
+        ackTimeoutMs: 1500   // a sent payload without a reply by then counts as unacknowledged
+    };
+
+    // Bridge replies that accept a payload: OSC sent, scene relayed, ping
+    const ACCEPTED_REPLIES = ['sent', 'relayed', 'pong'];
+
+    /**
+     * Create a delivery queue:
+     *   now           () => ms (wall clock: the bridge compares createdAt with its own Date.now())
+     *   maxQueued, ttlMs, ackTimeoutMs — see DELIVERY_DEFAULTS (read on every call)
+     */
+    function createDeliveryQueue(options) {
+        const opt = (name) => options[name] ?? DELIVERY_DEFAULTS[name];
+        let nextSeq = 1;
+        let queued = [];   // envelopes waiting for a connection, oldest first
+        const pending = new Map(); // seq -> { envelope, sentAt }
+        const stats = { sent: 0, acked: 0, failed: 0, dropped: 0, expired: 0, unacked: 0, lastAckAt: null };
+
+        /** Stamp a message with seq, createdAt and ttlMs. */
+        function wrap(message, ttlMs = opt('ttlMs')) {
+            return { ...message, seq: nextSeq++, createdAt: options.now(), ttlMs };
+        }
+
+        function isStale(envelope, t = options.now()) {
+            return t - envelope.createdAt > envelope.ttlMs;
+        }
+
+        /** Hold an envelope until the connection is back; returns the envelope dropped to make room, if any. */
+        function enqueue(envelope) {
+            queued.push(envelope);
+            if (queued.length <= opt('maxQueued')) return null;
+            stats.dropped++;
+            return queued.shift();
+        }
+
+        /** Empty the queue: fresh envelopes to send now, stale ones that expired while offline. */
+        function drain() {
+            const t = options.now();
+            const fresh = queued.filter(e => !isStale(e, t));
+            const stale = queued.filter(e => isStale(e, t));
+            stats.expired += stale.length;
+            queued = [];
+            return { fresh, stale };
+        }
+
+        /** Remember a sent envelope so its reply can be matched. */
+        function track(envelope) {
+            pending.set(envelope.seq, { envelope, sentAt: options.now() });
+            stats.sent++;
+        }
+
+        /**
+         * Match a bridge reply to the request with the same seq. Returns
+         * { envelope, reply, ok, rttMs } or null for replies to unknown/forgotten requests.
+         * A reply is ok when the bridge accepted the payload without errors.
+         */
+        function resolve(reply) {
+            const entry = reply && pending.get(reply.seq);
+            if (!entry) return null;
+            pending.delete(reply.seq);
+            const ok = ACCEPTED_REPLIES.includes(reply.type) && !(reply.errors && reply.errors.length);
+            const t = options.now();
+            if (ok) {
+                stats.acked++;
+                stats.lastAckAt = t;
+            } else if (reply.type === 'expired') {
+                stats.expired++;
+            } else {
+                stats.failed++;
+            }
+            return { envelope: entry.envelope, reply, ok, rttMs: t - entry.sentAt };
+        }
+
+        /** Forget and return the sent envelopes whose reply is overdue. */
+        function overdue() {
+            const t = options.now();
+            const late = [];
+            for (const [seq, entry] of pending) {
+                if (t - entry.sentAt > opt('ackTimeoutMs')) {
+                    pending.delete(seq);
+                    late.push(entry.envelope);
+                }
+            }
+            stats.unacked += late.length;
+            return late;
+        }
+
+        /** Forget in-flight requests (their replies cannot arrive once the socket closed). */
+        function abandonPending() {
+            const lost = [...pending.values()].map(e => e.envelope);
+            pending.clear();
+            stats.unacked += lost.length;
+            return lost;
+        }
+
+        function status() {
+            return { ...stats, queued: queued.length, pending: pending.size };
+        }
+
+        return { wrap, isStale, enqueue, drain, track, resolve, overdue, abandonPending, status };
+    }
+
+    const api = { createDeliveryQueue, DELIVERY_DEFAULTS };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
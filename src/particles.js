@@ -0,0 +1,169 @@
+/*
+===========================================================
+PARTICLES
+Petals and birds thrown off by moving wrists and ankles.
+Joint speed (smoothed, in shoulder widths per second) sets
+the emission rate, a pose lock fires a burst, and every
+particle fades out over its lifetime. A global budget caps
+how many live at once, for everyone together: when it is
+full the oldest particles make room. Clock and randomness
+are injected; drawing stays in script.js.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const PARTICLE_DEFAULTS = {
+        budget: 300,        // live particles at once, all people together
+        lifetimeMs: 1800,   // fade-out time of one particle
+        minSpeed: 1.5,      // joint speed (shoulder widths / s) before it emits
+        maxSpeed: 8,        // speed at which emission reaches maxRate
+        maxRate: 30,        // particles / s per joint at maxSpeed
+        burst: 12,          // particles per joint when a pose locks
+        smoothing: 0.6      // EMA weight of the previous joint velocity
+    };
+
+    // Motion per particle kind, in shoulder widths (and seconds)
+    const PARTICLE_STYLES = {
+        // Petals drift down and tumble
+        petals: { gravity: 0.8, drag: 1.2, spread: 1.0, inherit: 0.35, size: 0.35, spin: 2.5 },
+        // Birds take off upwards and keep flying
+        birds: { gravity: -0.6, drag: 0.4, spread: 1.4, inherit: 0.5, size: 0.45, spin: 0.3 }
+    };
+
+    function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
+
+    /** Particles per second for a joint moving at `speed` shoulder widths per second. */
+    function emissionRate(speed, { minSpeed, maxSpeed, maxRate } = PARTICLE_DEFAULTS) {
+        if (!(maxSpeed > minSpeed)) return speed >= minSpeed ? maxRate : 0;
+        return clamp01((speed - minSpeed) / (maxSpeed - minSpeed)) * maxRate;
+    }
+
+    /**
+     * Track smoothed joint velocities per person. `update` takes a canvas-space
+     * position, the time in ms and the person's shoulder width in the same units,
+     * and returns { vx, vy, speed } in shoulder widths per second.
+     */
+    function createMotionTracker(options = {}) {
+        const joints = {}; // joints[pid][name] = { x, y, t, vx, vy }
+
+        function update(pid, name, x, y, t, unit) {
+            const person = (joints[pid] ??= {});
+            const prev = person[name];
+            const next = { x, y, t, vx: 0, vy: 0 };
+            const dt = prev ? (t - prev.t) / 1000 : 0;
+            if (prev && dt > 0 && unit > 0) {
+                const a = options.smoothing ?? PARTICLE_DEFAULTS.smoothing;
+                next.vx = a * prev.vx + (1 - a) * ((x - prev.x) / unit / dt);
+                next.vy = a * prev.vy + (1 - a) * ((y - prev.y) / unit / dt);
+            } else if (prev) {
+                next.vx = prev.vx;
+                next.vy = prev.vy;
+            }
+            person[name] = next;
+            return { vx: next.vx, vy: next.vy, speed: Math.hypot(next.vx, next.vy) };
+        }
+
+        return {
+            update,
+            delete: (pid) => { delete joints[pid]; }
+        };
+    }
+
+    /**
+     * Create a particle system:
+     *   now        () => ms
+     *   random     optional () => [0, 1) (Math.random)
+     *   budget, lifetimeMs, burst ...   see PARTICLE_DEFAULTS (read on every call)
+     *   styles     optional per-kind motion (PARTICLE_STYLES)
+     * Particles are { kind, x, y, vx, vy, rotation, spin, size, unit, born, life, variant }
+     * with positions and velocities in canvas pixels.
+     */
+    function createParticleSystem(options) {
+        const particles = [];
+        const carry = {}; // emitter key -> fractional particles owed from earlier frames
+        const opt = (name) => options[name] ?? PARTICLE_DEFAULTS[name];
+        const random = options.random ?? Math.random;
+        const styleOf = (kind) => (options.styles ?? PARTICLE_STYLES)[kind] ?? PARTICLE_STYLES.petals;
+
+        /** Add one particle at (x, y); `unit` is the shoulder width in pixels, (vx, vy) the joint velocity in shoulder widths / s. */
+        function spawn(kind, x, y, unit, vx = 0, vy = 0) {
+            const style = styleOf(kind);
+            const angle = random() * Math.PI * 2;
+            const push = style.spread * (0.3 + 0.7 * random());
+            particles.push({
+                kind, x, y, unit,
+                vx: (vx * style.inherit + Math.cos(angle) * push) * unit,
+                vy: (vy * style.inherit + Math.sin(angle) * push) * unit,
+                rotation: random() * Math.PI * 2,
+                spin: (random() - 0.5) * 2 * style.spin,
+                size: style.size * unit * (0.7 + 0.6 * random()),
+                born: options.now(),
+                life: opt('lifetimeMs') * (0.75 + 0.5 * random()),
+                variant: random()
+            });
+            // Over budget: the oldest particles make room
+            const excess = particles.length - Math.max(0, Math.floor(opt('budget')));
+            if (excess > 0) particles.splice(0, excess);
+        }
+
+        /** Emit from a moving joint for `dtMs`; returns how many particles were added. */
+        function emit(key, kind, x, y, unit, motion, dtMs) {
+            const owed = (carry[key] ?? 0) + (emissionRate(motion.speed, {
+                minSpeed: opt('minSpeed'), maxSpeed: opt('maxSpeed'), maxRate: opt('maxRate')
+            }) * dtMs) / 1000;
+            const count = Math.floor(owed + 1e-9); // absorb float drift in the running sum
+            carry[key] = owed - count;
+            for (let i = 0; i < count; i++) spawn(kind, x, y, unit, motion.vx, motion.vy);
+            return count;
+        }
+
+        /** Throw `count` particles (default: the burst size) out of (x, y). */
+        function burst(kind, x, y, unit, count = opt('burst')) {
+            for (let i = 0; i < count; i++) spawn(kind, x, y, unit);
+        }
+
+        /** Move everything by `dtMs` and drop particles past their lifetime. */
+        function update(dtMs) {
+            const t = options.now();
+            const dt = dtMs / 1000;
+            let alive = 0;
+            for (const p of particles) {
+                if (t - p.born >= p.life) continue;
+                const style = styleOf(p.kind);
+                const damp = Math.exp(-style.drag * dt);
+                p.vx *= damp;
+                p.vy = p.vy * damp + style.gravity * p.unit * dt;
+                p.x += p.vx * dt;
+                p.y += p.vy * dt;
+                p.rotation += p.spin * dt;
+                particles[alive++] = p;
+            }
+            particles.length = alive;
+        }
+
+        /** Opacity of a particle now: a quick fade-in, then fading out to its end of life. */
+        function alphaOf(p) {
+            const u = clamp01((options.now() - p.born) / p.life);
+            return Math.min(1, u / 0.08) * (1 - u * u);
+        }
+
+        return {
+            particles,
+            spawn,
+            emit,
+            burst,
+            update,
+            alphaOf,
+            forget: (keyPrefix) => {
+                for (const key of Object.keys(carry)) if (key.startsWith(keyPrefix)) delete carry[key];
+            },
+            clear: () => { particles.length = 0; }
+        };
+    }
+
+    const api = { PARTICLE_DEFAULTS, PARTICLE_STYLES, emissionRate, createMotionTracker, createParticleSystem };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
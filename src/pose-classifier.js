@@ -0,0 +1,144 @@
+/*
+===========================================================
+POSE CLASSIFIER
+Evaluates declarative pose rules (see poses.config.js)
+against the features from pose-features.js and returns the
+winning pose with a soft score and a margin over the
+runner-up.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const { extractPoseFeatures } = (typeof require === 'function') ? require('./pose-features.js') : root;
+
+    function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
+
+    // Evaluate a measure expression from a pose config in shoulder widths (NaN when a point is missing)
+    function evaluatePoseMeasure(expr, features) {
+        const [op, a, b] = expr;
+        if (op === 'ratio') {
+            return evaluatePoseMeasure(a, features) / evaluatePoseMeasure(b, features);
+        }
+
+        const p = features.points[a];
+        const q = features.points[b];
+        if (!p || !q) return NaN;
+
+        switch (op) {
+            case 'x':    return p.x - q.x;
+            case 'y':    return p.y - q.y;
+            case 'absX': return Math.abs(p.x - q.x);
+            case 'absY': return Math.abs(p.y - q.y);
+            case 'dist': return Math.hypot(p.x - q.x, p.y - q.y);
+            default:
+                console.warn('Unknown pose measure', op);
+                return NaN;
+        }
+    }
+
+    // Soft score for one condition in [0, 1]: 0.5 exactly at the threshold, 1 once the
+    // value is a full tolerance inside it, 0 a full tolerance outside (pass = score > 0.5)
+    function evaluatePoseCondition(cond, features, config) {
+        if (typeof cond === 'string') {
+            const shared = config.conditions[cond];
+            if (!shared) {
+                console.warn('Unknown pose condition', cond);
+                return 0;
+            }
+            return evaluatePoseCondition(shared, features, config);
+        }
+        if (cond.all) return Math.min(...cond.all.map((c) => evaluatePoseCondition(c, features, config)));
+        if (cond.any) return Math.max(...cond.any.map((c) => evaluatePoseCondition(c, features, config)));
+
+        const tolerances = config.scoring.tolerance;
+        let v, tol;
+        if (cond.feature) {
+            v = features.values[cond.feature];
+            if (v === undefined) console.warn('Unknown pose feature', cond.feature);
+            tol = tolerances.feature;
+        } else if (cond.value[0] === 'ratio') {
+            // Ratios are unitless
+            v = evaluatePoseMeasure(cond.value, features);
+            tol = tolerances.ratio;
+        } else {
+            v = evaluatePoseMeasure(cond.value, features);
+            // Other measures can be re-expressed in torso heights
+            if (cond.unit === 'torso') v /= features.torsoPerSw;
+            tol = cond.unit === 'torso' ? tolerances.torso : tolerances.sw;
+        }
+        if (cond.tol != null) tol = cond.tol;
+        if (v === undefined || Number.isNaN(v)) return 0;
+
+        let inside = Infinity; // distance inside the threshold(s), in tolerances
+        if (cond.lt != null) inside = Math.min(inside, (cond.lt - v) / tol);
+        if (cond.gt != null) inside = Math.min(inside, (v - cond.gt) / tol);
+        if (inside === Infinity) return 1;
+        return clamp01(0.5 + inside / 2);
+    }
+
+    // Score one pose rule: weakest condition wins (fuzzy AND); 0 if a required keypoint is missing
+    function scorePoseRule(def, features, config) {
+        const minConf = config.minConfidence;
+        const required = def.requires || [];
+        if (required.some((name) => !features.points[name] || features.points[name].confidence < minConf)) return 0;
+        return Math.min(...def.when.map((c) => evaluatePoseCondition(c, features, config)));
+    }
+
+    // Pose rules in evaluation order (ascending priority)
+    function sortPoseRules(config) {
+        return config.poses.slice().sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Analyze the player's pose against the config's rules; first match in priority order wins.
+     * Returns { pose, score, margin, scores }:
+     *   score  = soft score of the chosen pose (0..1, > 0.5 means all its conditions hold)
+     *   margin = score minus the runner-up's score. The runner-up is the best of the
+     *            higher-priority poses that just missed; lower-priority poses are
+     *            shadowed by priority and never compete.
+     *   scores = score per pose name, for debugging
+     * Neutral scores 1 minus the best pose score, and every pose is its runner-up.
+     */
+    function analyzeState(pose, config) {
+        const minConf = config.minConfidence;
+        const neutral = { pose: "neutral", score: 1, margin: 1, scores: {} };
+        const features = extractPoseFeatures(pose);
+        if (!features) return neutral;
+
+        // Handle missing critical keypoints
+        const critical = ['left_wrist', 'right_wrist', 'left_elbow', 'right_elbow', 'left_shoulder', 'right_shoulder', 'nose'];
+        if (critical.some((name) => !features.points[name])) {
+            return neutral;
+        }
+
+        // Check minimum confidence levels
+        const confident = ['left_wrist', 'right_wrist', 'left_shoulder', 'right_shoulder'];
+        if (confident.some((name) => features.points[name].confidence < minConf)) {
+            return neutral;
+        }
+
+        const scores = {};
+        let winner = null;
+        let runnerUp = 0; // best score among the poses checked before the winner
+        for (const def of sortPoseRules(config)) {
+            scores[def.name] = scorePoseRule(def, features, config);
+            if (winner) continue;
+            if (scores[def.name] > 0.5) winner = def.name;
+            else runnerUp = Math.max(runnerUp, scores[def.name]);
+        }
+
+        if (winner) {
+            const score = scores[winner];
+            return { pose: winner, score, margin: score - runnerUp, scores };
+        }
+
+        // Default fallback
+        return { pose: "neutral", score: 1 - runnerUp, margin: 1 - 2 * runnerUp, scores };
+    }
+
+    const api = { evaluatePoseMeasure, evaluatePoseCondition, scorePoseRule, sortPoseRules, analyzeState };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,100 @@
+/*
+===========================================================
+POSE FEATURES
+Turns raw keypoints (capture pixels) into body-relative
+features: every point expressed in shoulder widths around
+the shoulder midpoint, plus joint angles. Classifiers only
+ever see these features, so detection behaves the same at
+any distance and capture resolution.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    // Keypoints copied into the body frame (the virtual midpoints are added on top)
+    const FEATURE_KEYPOINTS = [
+        "nose", "left_shoulder", "right_shoulder", "left_elbow", "right_elbow",
+        "left_wrist", "right_wrist", "left_hip", "right_hip",
+        "left_knee", "right_knee", "left_ankle", "right_ankle"
+    ];
+
+    // Resolve a keypoint by name, including the virtual 'shoulder_mid' and 'hip_mid' points
+    function getKeypoint(pose, name) {
+        if (name === 'shoulder_mid' || name === 'hip_mid') {
+            const side = name === 'shoulder_mid' ? 'shoulder' : 'hip';
+            const l = getKeypoint(pose, `left_${side}`);
+            const r = getKeypoint(pose, `right_${side}`);
+            if (!l || !r) return null;
+            return { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2, confidence: Math.min(l.confidence, r.confidence) };
+        }
+        return pose.keypoints.find((k) => k.name === name) || null;
+    }
+
+    /** Angle at vertex b between rays b→a and b→c, in degrees (180 = straight). */
+    function jointAngle(a, b, c) {
+        const v1x = a.x - b.x, v1y = a.y - b.y;
+        const v2x = c.x - b.x, v2y = c.y - b.y;
+        const len = Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y);
+        if (len === 0) return NaN;
+        const cos = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / len));
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    /**
+     * Shoulder abduction in degrees: 0 = upper arm along the torso, 90 = horizontal,
+     * 180 = straight up. Uses the shoulder→hip direction as "down" when the hip is
+     * known, otherwise the image vertical.
+     */
+    function shoulderAbduction(shoulder, elbow, hip) {
+        const down = hip ? hip : { x: shoulder.x, y: shoulder.y + 1 };
+        return jointAngle(down, shoulder, elbow);
+    }
+
+    /**
+     * Extract scale-invariant features from a pose.
+     * Returns null when the shoulders are missing or collapsed (no usable scale).
+     *   points[name]  = { x, y, confidence } in shoulder widths, origin at shoulder_mid (y down)
+     *   values[name]  = scalar features (joint angles in degrees, body proportions)
+     *   torsoPerSw    = torso height (shoulders → hips) in shoulder widths, NaN without hips
+     */
+    function extractPoseFeatures(pose) {
+        const ls = getKeypoint(pose, 'left_shoulder');
+        const rs = getKeypoint(pose, 'right_shoulder');
+        if (!ls || !rs) return null;
+
+        const shoulderMid = getKeypoint(pose, 'shoulder_mid');
+        const sw = Math.hypot(ls.x - rs.x, ls.y - rs.y);
+        if (sw < 1e-6) return null;
+
+        const points = {};
+        for (const name of [...FEATURE_KEYPOINTS, 'shoulder_mid', 'hip_mid']) {
+            const kp = getKeypoint(pose, name);
+            if (!kp) continue;
+            points[name] = {
+                x: (kp.x - shoulderMid.x) / sw,
+                y: (kp.y - shoulderMid.y) / sw,
+                confidence: kp.confidence
+            };
+        }
+
+        const values = {};
+        for (const side of ['left', 'right']) {
+            const shoulder = points[`${side}_shoulder`];
+            const elbow = points[`${side}_elbow`];
+            const wrist = points[`${side}_wrist`];
+            const hip = points[`${side}_hip`];
+            values[`${side}_elbow_angle`] = (elbow && wrist) ? jointAngle(shoulder, elbow, wrist) : NaN;
+            values[`${side}_shoulder_abduction`] = elbow ? shoulderAbduction(shoulder, elbow, hip) : NaN;
+        }
+
+        const torsoPerSw = points.hip_mid ? Math.abs(points.hip_mid.y) : NaN;
+        values.torso_per_sw = torsoPerSw;
+
+        return { points, values, torsoPerSw };
+    }
+
+    const api = { FEATURE_KEYPOINTS, getKeypoint, jointAngle, shoulderAbduction, extractPoseFeatures };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,130 @@
+/*
+===========================================================
+ANTI-FLICKER POSE FSM
+Time-based finite state machine per person:
+idle → candidate → locked → cooldown → idle.
+The clock is injected (`now`), so timelines can be tested
+without a browser.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const FSM_DEFAULTS = {
+        dwellMs: 400,     // must see same pose for this long to lock
+        minShowMs: 1000,  // keep sticker at least this long before releasing
+        cooldownMs: 400,  // after release, ignore immediate re-triggers
+        graceMs: 250,     // tolerate brief drops before unlocking
+        minScore: 0.60,   // classifier score needed to start/finish a lock
+        minMargin: 0.05   // lead over the runner-up pose needed to start/finish a lock
+    };
+
+    /**
+     * Create a pose FSM. `options.now()` returns the current time in ms; timing and
+     * quality-gate options (see FSM_DEFAULTS) are read on every update, so they can
+     * be tuned live. `options.onTransition(personId, event)` is called with
+     * { type: 'candidate', pose }, { type: 'locked', pose, dwellMs } (candidate to
+     * lock) and { type: 'released', pose, heldMs }.
+     */
+    function createPoseFSM(options) {
+        // states[personId] = {phase, candidatePose, candidateSince, lockedPose, lockedSince, cooldownUntil, lastSeen}
+        const states = {};
+        const opt = (name) => options[name] ?? FSM_DEFAULTS[name];
+        const emit = (personId, event) => { if (options.onTransition) options.onTransition(personId, event); };
+
+        /** FSM update for anti-flicker pose selection */
+        function update(personId, detectedPose /* string or null */, /*optional*/ detectedInfo = {}) {
+            // detectedInfo can contain: {conf: number, margin: number}, both optional.
+            const t = options.now();
+
+            const s = states[personId] ?? (states[personId] = {
+                phase: 'idle', candidatePose: null, candidateSince: 0,
+                lockedPose: null,  lockedSince: 0, cooldownUntil: 0, lastSeen: t
+            });
+
+            s.lastSeen = t;
+
+            // Quality gate: borderline frames never start or complete a lock (missing values pass)
+            const confOK   = (detectedInfo.conf   == null) ? true : (detectedInfo.conf   >= opt('minScore'));
+            const marginOK = (detectedInfo.margin == null) ? true : (detectedInfo.margin >= opt('minMargin'));
+
+            switch (s.phase) {
+                case 'idle': {
+                    if (detectedPose && confOK && marginOK && t >= s.cooldownUntil) {
+                        s.phase = 'candidate';
+                        s.candidatePose = detectedPose;
+                        s.candidateSince = t;
+                        emit(personId, { type: 'candidate', pose: detectedPose });
+                    }
+                    break;
+                }
+                case 'candidate': {
+                    if (!detectedPose) {
+                        // lost signal — grace back to idle
+                        if (t - s.candidateSince > opt('graceMs')) {
+                            s.phase = 'idle';
+                            s.candidatePose = null;
+                        }
+                        break;
+                    }
+                    if (detectedPose !== s.candidatePose) {
+                        // switched candidate → restart dwell
+                        s.candidatePose = detectedPose;
+                        s.candidateSince = t;
+                        emit(personId, { type: 'candidate', pose: detectedPose });
+                        break;
+                    }
+                    // same candidate; check dwell time + quality gate
+                    if ((t - s.candidateSince) >= opt('dwellMs') && confOK && marginOK) {
+                        s.phase = 'locked';
+                        s.lockedPose = s.candidatePose;
+                        s.lockedSince = t;
+                        emit(personId, { type: 'locked', pose: s.lockedPose, dwellMs: t - s.candidateSince });
+                    }
+                    break;
+                }
+                case 'locked': {
+                    // Hold minimum show time
+                    const minShowReached = (t - s.lockedSince) >= opt('minShowMs');
+
+                    // If we still detect same pose OR min show not reached, keep locked
+                    if (detectedPose === s.lockedPose || !minShowReached) break;
+
+                    // If pose vanished or changed and min show reached, allow unlock with a brief grace
+                    const changed = (!detectedPose) || (detectedPose !== s.lockedPose);
+                    if (changed && (t - s.lockedSince) >= (opt('minShowMs') + opt('graceMs'))) {
+                        s.phase = 'cooldown';
+                        s.candidatePose = null;
+                        s.candidateSince = 0;
+                        s.cooldownUntil = t + opt('cooldownMs');
+                        // clear locked; consumer will notice null and hide sticker
+                        emit(personId, { type: 'released', pose: s.lockedPose, heldMs: t - s.lockedSince });
+                        s.lockedPose = null;
+                    }
+                    break;
+                }
+                case 'cooldown': {
+                    if (t >= s.cooldownUntil) {
+                        s.phase = 'idle';
+                    }
+                    break;
+                }
+            }
+
+            // Return the current "locked" pose the renderer should use (or null)
+            return s.lockedPose;
+        }
+
+        return {
+            update,
+            states,
+            get: (personId) => states[personId],
+            delete: (personId) => { delete states[personId]; }
+        };
+    }
+
+    const api = { FSM_DEFAULTS, createPoseFSM };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,97 @@
+/*
+===========================================================
+PRESETS
+Named presets of runtime settings (timings, smoothing,
+line look) for the operator config panel: persisted in
+localStorage, exported/imported as JSON. Values are checked
+against the tunable descriptors, so a hand-edited or
+outdated file can never push a setting out of range.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const PRESETS_STORAGE_KEY = 'between-verses.presets';
+    const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+    /**
+     * Keep only known settings with valid values. `tunables` are descriptors
+     * { key, type: 'range' | 'color', min, max }; numbers are clamped to [min, max].
+     */
+    function sanitizePresetValues(values, tunables) {
+        const clean = {};
+        if (!values || typeof values !== 'object') return clean;
+        for (const t of tunables) {
+            const v = values[t.key];
+            if (t.type === 'color') {
+                if (typeof v === 'string' && HEX_COLOR.test(v)) clean[t.key] = v.toLowerCase();
+            } else if (typeof v === 'number' && Number.isFinite(v)) {
+                clean[t.key] = Math.min(t.max, Math.max(t.min, v));
+            }
+        }
+        return clean;
+    }
+
+    /**
+     * Parse an exported file: either one preset { name, values } or a collection
+     * { presets: { name: values } }. Returns { name: values } (sanitized); throws on bad JSON.
+     */
+    function parsePresetFile(text, tunables) {
+        const data = JSON.parse(text);
+        const entries = (data && data.presets && typeof data.presets === 'object')
+            ? Object.entries(data.presets)
+            : [[data && data.name, data && data.values]];
+        const presets = {};
+        for (const [name, values] of entries) {
+            if (typeof name !== 'string' || !name.trim()) continue;
+            presets[name.trim()] = sanitizePresetValues(values, tunables);
+        }
+        if (!Object.keys(presets).length) throw new Error('No presets found in file');
+        return presets;
+    }
+
+    /** JSON for one preset, in the format parsePresetFile reads back. */
+    function serializePreset(name, values) {
+        return JSON.stringify({ name, values }, null, 2);
+    }
+
+    /**
+     * Create a preset store on a Storage-like object (getItem / setItem):
+     *   list() → names, get(name) → values | null, save(name, values), remove(name), all()
+     */
+    function createPresetStore({ storage, key = PRESETS_STORAGE_KEY }) {
+        function all() {
+            try {
+                const parsed = JSON.parse(storage.getItem(key) || '{}');
+                return (parsed && typeof parsed === 'object') ? parsed : {};
+            } catch (err) {
+                return {};
+            }
+        }
+
+        function write(presets) {
+            storage.setItem(key, JSON.stringify(presets));
+        }
+
+        return {
+            all,
+            list: () => Object.keys(all()).sort(),
+            get: (name) => all()[name] ?? null,
+            save(name, values) {
+                const presets = all();
+                presets[name] = values;
+                write(presets);
+            },
+            remove(name) {
+                const presets = all();
+                delete presets[name];
+                write(presets);
+            }
+        };
+    }
+
+    const api = { PRESETS_STORAGE_KEY, sanitizePresetValues, parsePresetFile, serializePreset, createPresetStore };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,123 @@
+/*
+===========================================================
+RENDER SYNC
+The control page (camera, detection, OSC) publishes its
+render state through the bridge WebSocket; the projector
+output page follows it. This module paces the publisher
+(states, camera frames and masks) and keeps the follower's
+view: the latest state of one source, who left, pending
+gesture events and the attract mode clock between states.
+Clock is injected; building and drawing the state stay in
+script.js.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const RENDER_SYNC_DEFAULTS = {
+        frameMs: 33,    // at most ~30 render states per second
+        videoMs: 66,    // camera frames, at most ~15 per second
+        maskMs: 200,    // segmentation masks, at most 5 per second
+        staleMs: 2000   // a source silent this long is gone
+    };
+
+    /** A render state as relayed by the bridge: { type: 'render_state', source, frame, people: [...] }. */
+    function isRenderState(msg) {
+        return Boolean(msg) && msg.type === 'render_state' && typeof msg.source === 'string'
+            && Number.isFinite(msg.frame) && Array.isArray(msg.people);
+    }
+
+    /**
+     * Create a publisher with `now` () => ms and frameMs, videoMs and maskMs (see
+     * RENDER_SYNC_DEFAULTS, read on every call). due(kind) says whether a 'frame',
+     * 'video' or 'mask' should go out now and counts it as sent when it does;
+     * frame() numbers the frames.
+     */
+    function createRenderPublisher(options) {
+        const opt = (name) => options[name] ?? RENDER_SYNC_DEFAULTS[name];
+        const lastSent = { frame: -Infinity, video: -Infinity, mask: -Infinity };
+        let frame = 0;
+
+        function due(kind) {
+            const t = options.now();
+            if (t - lastSent[kind] < opt(`${kind}Ms`)) return false;
+            lastSent[kind] = t;
+            if (kind === 'frame') frame += 1;
+            return true;
+        }
+
+        return { due, frame: () => frame };
+    }
+
+    /**
+     * Create a follower with `now` () => ms and staleMs. It follows one source at a
+     * time (another page publishing at once is ignored until the first goes stale)
+     * and drops frames older than the last one. receive(msg) returns { departed }
+     * (person IDs no longer in the state) or null when the message was ignored;
+     * expire() returns everyone once the source has gone stale, then [].
+     */
+    function createRenderFollower(options) {
+        const opt = (name) => options[name] ?? RENDER_SYNC_DEFAULTS[name];
+        let state = null;
+        let receivedAt = -Infinity;
+        let events = [];
+
+        const ids = () => (state ? state.people.map(p => p.id) : []);
+        const stale = () => options.now() - receivedAt > opt('staleMs');
+
+        function receive(msg) {
+            if (!isRenderState(msg)) return null;
+            if (state && !stale()) {
+                if (msg.source !== state.source || msg.frame <= state.frame) return null;
+            }
+            const present = new Set(msg.people.map(p => p.id));
+            const departed = ids().filter(id => !present.has(id));
+            state = msg;
+            receivedAt = options.now();
+            if (Array.isArray(msg.events)) events.push(...msg.events);
+            return { departed };
+        }
+
+        function expire() {
+            if (!state || !stale() || !state.people.length) return [];
+            const gone = ids();
+            state = { ...state, people: [] };
+            events = [];
+            return gone;
+        }
+
+        /** Gesture and other one-shot events received since the last call. */
+        function takeEvents() {
+            const taken = events;
+            events = [];
+            return taken;
+        }
+
+        /**
+         * Attract mode as of now: { mode, elapsedMs, welcomeProgress }, the source's
+         * clock carried forward between frames. Present until a state says otherwise.
+         */
+        function attract() {
+            const a = state && state.attract;
+            if (!a) return { mode: 'present', elapsedMs: 0, welcomeProgress: 1 };
+            const elapsedMs = a.elapsedMs + Math.max(0, options.now() - receivedAt);
+            const welcomeProgress = a.mode === 'welcome' ? Math.min(1, elapsedMs / a.welcomeMs) : 1;
+            return { mode: a.mode, elapsedMs, welcomeProgress };
+        }
+
+        return {
+            receive,
+            expire,
+            takeEvents,
+            attract,
+            stale,
+            state: () => state,
+            person: (id) => (state ? state.people.find(p => p.id === id) ?? null : null)
+        };
+    }
+
+    const api = { RENDER_SYNC_DEFAULTS, isRenderState, createRenderPublisher, createRenderFollower };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
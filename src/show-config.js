@@ -0,0 +1,126 @@
+/*
+===========================================================
+SHOW CONFIG
+Resolves the show config served by the bridge (GET
+/api/config) against POSE_CONFIG: per-pose sticker image and
+bundle overrides, a layer map that renumbers the layers used
+by the bundles in poses.config.js, and timings for the
+config panel. Anything the show config leaves out keeps the
+value from poses.config.js. Also the row model of the
+poses × layers mapping editor (editor.html).
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Renumber the layers of a bundle: each layer index is looked up by name in
+     * `baseLayers` (poses.config.js LAYERS) and replaced with that name's index in
+     * `layers`. Layers without a name or without an override are kept.
+     */
+    function remapBundleLayers(bundle, baseLayers, layers) {
+        if (!layers || !Object.keys(layers).length) return bundle;
+        const nameOf = {};
+        for (const [name, index] of Object.entries(baseLayers)) nameOf[index] = name;
+        return bundle.map(action => {
+            const name = nameOf[action.layer];
+            return name && layers[name] != null ? { ...action, layer: layers[name] } : action;
+        });
+    }
+
+    /**
+     * Effective show settings for `config` (POSE_CONFIG) with `showConfig` applied:
+     *   { poses: { name: { image, bundle } }, groups: { name: bundle }, gestures: { name: bundle },
+     *     scenes: { name: { bundles, cue } }, attract: { bundle, welcome }, timings }
+     * Bundles given in the show config are used as-is (their layers are already final).
+     */
+    function resolveShowConfig(config, showConfig, baseLayers) {
+        const show = showConfig ?? {};
+        const overrides = show.poses ?? {};
+        const remap = (bundle) => bundle && remapBundleLayers(bundle, baseLayers, show.layers);
+
+        const poses = {};
+        for (const def of config.poses ?? []) {
+            const o = overrides[def.name] ?? {};
+            poses[def.name] = {
+                image: o.image ?? def.image ?? null,
+                bundle: o.bundle ?? remap(def.bundle) ?? null
+            };
+        }
+        const groups = {};
+        for (const rule of config.groups ?? []) {
+            if (rule.bundle) groups[rule.name] = remap(rule.bundle);
+        }
+        const gestures = {};
+        for (const def of config.gestures ?? []) {
+            if (def.bundle) gestures[def.name] = remap(def.bundle);
+        }
+        const scenes = {};
+        for (const scene of config.scenes ?? []) {
+            const bundles = {};
+            for (const [name, bundle] of Object.entries(scene.bundles ?? {})) bundles[name] = remap(bundle);
+            scenes[scene.name] = { bundles, cue: remap(scene.cue) ?? null };
+        }
+        const attract = config.attract ?? {};
+        return {
+            poses, groups, gestures, scenes,
+            attract: { bundle: remap(attract.bundle) ?? null, welcome: remap(attract.welcome && attract.welcome.bundle) ?? null },
+            timings: show.timings ?? {}
+        };
+    }
+
+    /** Layer name -> index with the show config's layer map applied. */
+    function effectiveLayers(baseLayers, layers) {
+        return { ...baseLayers, ...(layers ?? {}) };
+    }
+
+    /**
+     * Split a bundle into mapping-editor cells: { cells: { layerName: media }, extras }.
+     * Actions on layers without a name, or with a type/targets, are kept in extras.
+     */
+    function bundleToRow(bundle, layerIndex) {
+        const nameOf = {};
+        for (const [name, index] of Object.entries(layerIndex)) nameOf[index] = name;
+        const row = { cells: {}, extras: [] };
+        for (const action of bundle ?? []) {
+            const name = nameOf[action.layer];
+            if (name && !action.type && !action.targets && !(name in row.cells)) row.cells[name] = action.media;
+            else row.extras.push(action);
+        }
+        return row;
+    }
+
+    /** Inverse of bundleToRow: one action per filled cell, in layer order, then the extras. */
+    function rowToBundle(row, layerIndex) {
+        const bundle = Object.entries(row.cells)
+            .filter(([name, media]) => media != null && layerIndex[name] != null)
+            .map(([name, media]) => ({ layer: layerIndex[name], media }))
+            .sort((a, b) => a.layer - b.layer);
+        return bundle.concat(row.extras ?? []);
+    }
+
+    const bundleKey = (bundle) => (bundle ?? []).map(a => `${a.layer}:${a.media}`).sort().join('|');
+
+    /**
+     * The show config with edited pose bundles ({ pose: bundle }) written in. A bundle
+     * equal to what poses.config.js gives (after the layer map) drops the override
+     * instead, so the saved config only holds real changes.
+     */
+    function withPoseBundles(showConfig, config, baseLayers, bundles) {
+        const next = { ...showConfig, poses: { ...(showConfig.poses ?? {}) } };
+        const defaults = resolveShowConfig(config, { layers: showConfig.layers }, baseLayers).poses;
+        for (const [name, bundle] of Object.entries(bundles)) {
+            const pose = { ...(next.poses[name] ?? {}) };
+            if (defaults[name] && bundleKey(bundle) === bundleKey(defaults[name].bundle)) delete pose.bundle;
+            else pose.bundle = bundle;
+            if (Object.keys(pose).length) next.poses[name] = pose;
+            else delete next.poses[name];
+        }
+        return next;
+    }
+
+    const api = { remapBundleLayers, resolveShowConfig, effectiveLayers, bundleToRow, rowToBundle, withPoseBundles };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,90 @@
+/*
+===========================================================
+SHOW SEQUENCER
+Runs the show as a list of scenes (POSE_CONFIG.scenes), e.g.
+attract → open play → guided → finale. A scene narrows the
+poses that can lock, overrides pose bundles and is ended by
+its duration, by its `until` conditions (group conditions,
+see src/group-composer.js) or by the operator. Clock is
+injected; script.js applies the scene it returns (sticker
+theme, bundles, cue).
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const { countGroup, matchGroupCondition } = (typeof require === 'function') ? require('./group-composer.js') : root;
+
+    /** POSE_CONFIG narrowed to the poses a scene enables (all of them when it lists none). */
+    function scenePoseConfig(config, scene) {
+        if (!scene || !scene.poses) return config;
+        return { ...config, poses: config.poses.filter(p => scene.poses.includes(p.name)) };
+    }
+
+    /** Pose → bundle map with a scene's `bundles` over `base`; an empty bundle silences the pose. */
+    function sceneBundles(base, scene) {
+        const bundles = { ...base };
+        for (const [name, bundle] of Object.entries((scene && scene.bundles) ?? {})) {
+            if (bundle && bundle.length) bundles[name] = bundle;
+            else delete bundles[name];
+        }
+        return bundles;
+    }
+
+    /**
+     * Create a sequencer over `scenes` ([{ name, poses, stickerTheme, bundles, cue,
+     * durationMs, minMs, until, next }]) with `now` () => ms. start, update, next,
+     * previous and goTo return the scene just entered, or null when the scene did not
+     * change. update takes everyone present as [{ id, pose }], like the group composer.
+     */
+    function createShowSequencer(options) {
+        const scenes = options.scenes ?? [];
+        let index = -1;
+        let since = 0;
+
+        const indexOf = (name) => scenes.findIndex(s => s.name === name);
+        for (const scene of scenes) {
+            if (scene.next != null && indexOf(scene.next) < 0) console.warn(`Scene ${scene.name}: unknown next scene`, scene.next);
+        }
+
+        function enter(i) {
+            if (i < 0 || i >= scenes.length) return null;
+            index = i;
+            since = options.now();
+            return scenes[i];
+        }
+
+        // Scene after the current one: its `next`, else the following one (the last wraps around)
+        function following() {
+            const scene = scenes[index];
+            return scene.next != null ? indexOf(scene.next) : (index + 1) % scenes.length;
+        }
+
+        function update(people) {
+            const scene = scenes[index];
+            if (!scene) return null;
+            const elapsed = options.now() - since;
+            if (scene.durationMs != null && elapsed >= scene.durationMs) return enter(following());
+            if (scene.until && elapsed >= (scene.minMs ?? 0)) {
+                const counts = countGroup(people);
+                if (scene.until.every(c => matchGroupCondition(c, counts))) return enter(following());
+            }
+            return null;
+        }
+
+        return {
+            start: (name) => enter(name != null ? indexOf(name) : 0),
+            update,
+            next: () => (index < 0 ? null : enter(following())),
+            previous: () => (index < 0 ? null : enter((index - 1 + scenes.length) % scenes.length)),
+            goTo: (name) => enter(indexOf(name)),
+            current: () => scenes[index] ?? null,
+            elapsed: () => (index < 0 ? 0 : options.now() - since)
+        };
+    }
+
+    const api = { scenePoseConfig, sceneBundles, createShowSequencer };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,237 @@
+/*
+===========================================================
+STICKER ANIMATION
+Per-person enter / steady / exit animation driven by the
+FSM's locked pose. Each phase is a keyframe track over
+position, rotation, scale and opacity with its own easing,
+and an idle loop plays on top while the pose stays locked.
+One-shot effects (a gesture's hop or spin) play on top
+of whatever phase is running. The clock, the pose → image
+lookup and the per-pose choreography are injected so it
+runs without p5.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    const STICKER_ANIM_DEFAULTS = {
+        inMs: 440,      // enter duration
+        outMs: 220,     // exit duration
+        inStart: 0.58,  // pop-in starts a bit smaller
+        inEnd: 1.00,    // settles at 1.0
+        outEnd: 0.76    // shrink slightly on exit
+    };
+
+    // x / y offsets are in shoulder widths, rotate in degrees
+    const STICKER_PROPS = ['x', 'y', 'rotate', 'scale', 'opacity'];
+    const REST_TRANSFORM = Object.freeze({ x: 0, y: 0, rotate: 0, scale: 1, opacity: 1 });
+
+    function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
+    function lerp(a, b, t) { return a + (b - a) * t; }
+    function easeOutQuad(u) { return 1 - (1 - u) * (1 - u); }
+    function easeInQuad(u) { return u * u; }
+
+    const EASINGS = {
+        linear: u => u,
+        easeInQuad,
+        easeOutQuad,
+        easeInOutQuad: u => (u < 0.5 ? 2 * u * u : 1 - 2 * (1 - u) * (1 - u)),
+        easeInCubic: u => u * u * u,
+        easeOutCubic: u => 1 - Math.pow(1 - u, 3),
+        easeInOutCubic: u => (u < 0.5 ? 4 * u * u * u : 1 - Math.pow(2 - 2 * u, 3) / 2),
+        easeInOutSine: u => (1 - Math.cos(Math.PI * u)) / 2,
+        easeOutBack: u => 1 + 2.70158 * Math.pow(u - 1, 3) + 1.70158 * Math.pow(u - 1, 2),
+        easeOutElastic: u => (u <= 0 || u >= 1 ? u : Math.pow(2, -10 * u) * Math.sin((u * 10 - 0.75) * (2 * Math.PI / 3)) + 1),
+        easeOutBounce: (u) => {
+            const n = 7.5625, d = 2.75;
+            if (u < 1 / d) return n * u * u;
+            if (u < 2 / d) return n * (u -= 1.5 / d) * u + 0.75;
+            if (u < 2.5 / d) return n * (u -= 2.25 / d) * u + 0.9375;
+            return n * (u -= 2.625 / d) * u + 0.984375;
+        }
+    };
+
+    /** CSS-style cubic-bezier(x1, y1, x2, y2) easing. */
+    function cubicBezier(x1, y1, x2, y2) {
+        const bez = (t, a, b) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+        return (u) => {
+            if (u <= 0 || u >= 1) return u;
+            // Bisection on x(t) = u; x is monotonic for x1, x2 in [0, 1]
+            let lo = 0, hi = 1, t = u;
+            for (let i = 0; i < 30; i++) {
+                t = (lo + hi) / 2;
+                if (bez(t, x1, x2) < u) lo = t;
+                else hi = t;
+            }
+            return bez(t, y1, y2);
+        };
+    }
+
+    /** Easing function for a name from EASINGS, a [x1, y1, x2, y2] bezier, or a function. */
+    function resolveEasing(ease, fallback = 'linear') {
+        if (typeof ease === 'function') return ease;
+        if (Array.isArray(ease) && ease.length === 4) return cubicBezier(...ease);
+        if (ease && EASINGS[ease]) return EASINGS[ease];
+        if (ease != null) console.warn('Unknown sticker easing', ease);
+        return EASINGS[fallback];
+    }
+
+    /**
+     * Sample a keyframe track at u in [0, 1]. `keys` are { at, ease?, x?, y?, rotate?,
+     * scale?, opacity? } with `at` as a fraction of the track; a key's `ease` shapes the
+     * segment leading into it (default `track.ease`). Properties missing before their
+     * first key come from `from`, after their last key from `to`.
+     */
+    function sampleTrack(track, u, from, to = from) {
+        const keys = (track.keys ?? []).slice().sort((a, b) => a.at - b.at);
+        const out = {};
+        for (const prop of STICKER_PROPS) {
+            const defined = keys.filter(k => k[prop] != null);
+            const points = [{ at: 0, value: from[prop] }, ...defined.map(k => ({ at: k.at, value: k[prop], ease: k.ease }))];
+            if (!defined.length || defined[defined.length - 1].at < 1) points.push({ at: 1, value: to[prop] });
+            let next = points.findIndex(p => p.at > u);
+            if (next === -1) {
+                out[prop] = points[points.length - 1].value;
+                continue;
+            }
+            if (next === 0) next = 1;
+            const a = points[next - 1];
+            const b = points[next];
+            const span = b.at - a.at;
+            const local = span > 0 ? clamp01((u - a.at) / span) : 1;
+            out[prop] = lerp(a.value, b.value, resolveEasing(b.ease ?? track.ease)(local));
+        }
+        return out;
+    }
+
+    /** Apply an idle-loop offset: positions and rotation add, scale and opacity multiply. */
+    function combineTransforms(base, offset) {
+        return {
+            x: base.x + offset.x,
+            y: base.y + offset.y,
+            rotate: base.rotate + offset.rotate,
+            scale: base.scale * offset.scale,
+            opacity: base.opacity * offset.opacity
+        };
+    }
+
+    /**
+     * Create a sticker animator. `options.now()` returns the time in ms and
+     * `options.selectImage(pose)` the image to show; durations and scales
+     * (see STICKER_ANIM_DEFAULTS) are read on every update. The optional
+     * `options.selectChoreography(pose)` returns { enter, idle, exit } tracks
+     * ({ ms, ease, keys }) that replace the default pop-in / pop-out.
+     */
+    function createStickerAnimator(options) {
+        // states[pid] = { phase:'hidden'|'in'|'steady'|'out', t0, dur, from, rest, transform, scale, since, currentPose, currentImage }
+        const states = {};
+        const opt = (name) => options[name] ?? STICKER_ANIM_DEFAULTS[name];
+
+        function tracksFor(pose) {
+            const own = (options.selectChoreography && options.selectChoreography(pose)) || {};
+            return {
+                enter: { ms: opt('inMs'), ease: 'easeOutQuad', keys: [{ at: 0, scale: opt('inStart') }, { at: 1, scale: opt('inEnd') }], ...own.enter },
+                exit: { ms: opt('outMs'), ease: 'easeInQuad', keys: [{ at: 1, scale: opt('outEnd') }], ...own.exit },
+                idle: own.idle && own.idle.ms > 0 ? own.idle : null
+            };
+        }
+
+        function setTransform(A, transform) {
+            A.transform = transform;
+            A.scale = transform.scale;
+        }
+
+        /** Update sticker animation state based on FSM locked pose */
+        function update(personId, lockedPose) {
+            const t = options.now();
+
+            let A = states[personId];
+
+            if (!A) {
+                A = states[personId] = { phase: 'hidden', t0: 0, dur: 0, from: REST_TRANSFORM, rest: REST_TRANSFORM, transform: REST_TRANSFORM, scale: 1, since: 0, currentPose: null, currentImage: null };
+            }
+
+            // ENTER: got a pose locked
+            if (lockedPose && lockedPose !== 'neutral') {
+                if (A.phase === 'hidden' || A.phase === 'out' || A.currentPose !== lockedPose) {
+                    A.currentPose = lockedPose;
+                    A.currentImage = options.selectImage(lockedPose);
+                    A.tracks = tracksFor(lockedPose);
+                    A.phase = 'in';
+                    A.t0 = A.since = t;
+                    A.dur = A.tracks.enter.ms;
+                }
+            } else {
+                // EXIT: no locked pose -> animate out if currently visible/steady/in
+                if (A.phase === 'in' || A.phase === 'steady') {
+                    A.phase = 'out';
+                    A.t0 = t;
+                    A.dur = A.tracks.exit.ms;
+                    A.from = A.transform; // exit starts wherever the sticker is now
+                }
+            }
+
+            // Advance animation
+            if (A.phase === 'in') {
+                const u = A.dur > 0 ? clamp01((t - A.t0) / A.dur) : 1;
+                setTransform(A, sampleTrack(A.tracks.enter, u, REST_TRANSFORM));
+                if (u >= 1) {
+                    A.phase = 'steady';
+                    A.t0 += A.dur; // idle time counts from the end of the enter
+                    A.rest = A.transform;
+                }
+            } else if (A.phase === 'out') {
+                const u = A.dur > 0 ? clamp01((t - A.t0) / A.dur) : 1;
+                setTransform(A, sampleTrack(A.tracks.exit, u, A.from));
+                if (u >= 1) {
+                    A.phase = 'hidden';
+                    setTransform(A, REST_TRANSFORM);
+                    A.currentImage = null; // hide for real after exit
+                    A.currentPose = null;
+                }
+            }
+            if (A.phase === 'steady') {
+                const idle = A.tracks.idle;
+                const offset = idle ? sampleTrack(idle, ((t - A.t0) % idle.ms) / idle.ms, REST_TRANSFORM) : REST_TRANSFORM;
+                setTransform(A, combineTransforms(A.rest, offset));
+            }
+
+            if (A.effect) {
+                const u = A.effect.track.ms > 0 ? (t - A.effect.t0) / A.effect.track.ms : 1;
+                if (u >= 1 || A.phase === 'hidden') A.effect = null;
+                else setTransform(A, combineTransforms(A.transform, sampleTrack(A.effect.track, u, REST_TRANSFORM)));
+            }
+
+            return A;
+        }
+
+        /**
+         * Play a one-shot track ({ ms, ease, keys }, offsets like the idle loop) on a
+         * visible sticker. Returns false when the person has no sticker showing.
+         */
+        function playEffect(personId, track) {
+            const A = states[personId];
+            if (!A || A.phase === 'hidden' || !track) return false;
+            A.effect = { track, t0: options.now() };
+            return true;
+        }
+
+        return {
+            update,
+            playEffect,
+            states,
+            get: (personId) => states[personId],
+            delete: (personId) => { delete states[personId]; }
+        };
+    }
+
+    // clamp01 / lerp stay private: in the browser the api lands on window, where p5 global mode owns lerp
+    const api = {
+        STICKER_ANIM_DEFAULTS, STICKER_PROPS, REST_TRANSFORM, EASINGS,
+        cubicBezier, resolveEasing, sampleTrack, combineTransforms,
+        createStickerAnimator
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,73 @@
+/*
+===========================================================
+STICKER MEDIA
+Frame bookkeeping for animated stickers: sprite sheet
+cells, numbered image sequences, and which frame to show
+after a given time. Loading and decoding (p5 / ImageDecoder)
+stay in script.js; this only deals in paths, rects and ms.
+===========================================================
+
+Frame sources (a pose's `sticker.frames` in poses.config.js):
+
+  { sheet: path, cols, rows, count?, fps }        sprite sheet, read row by row
+  { sequence: 'dir/name_{n}.png', from, to, pad?, fps }   one file per frame
+  { ..., loop: false }                            stop on the last frame
+
+An animated GIF or WebP as the pose `image` plays with its own
+frame delays; see isAnimatedImagePath.
+*/
+
+(function (root) {
+    'use strict';
+
+    const DEFAULT_FPS = 12;
+
+    /** Cell rects { x, y, w, h } of a cols × rows sprite sheet, row by row, `count` frames at most. */
+    function spriteFrameRects({ cols, rows, count }, imgW, imgH) {
+        const w = imgW / cols;
+        const h = imgH / rows;
+        const n = Math.min(count ?? cols * rows, cols * rows);
+        const rects = [];
+        for (let i = 0; i < n; i++) {
+            rects.push({ x: (i % cols) * w, y: Math.floor(i / cols) * h, w, h });
+        }
+        return rects;
+    }
+
+    /** File paths of a numbered sequence: `{n}` in the pattern becomes from..to, zero-padded to `pad`. */
+    function sequencePaths({ sequence, from = 1, to, pad = 0 }) {
+        const paths = [];
+        for (let n = from; n <= to; n++) {
+            paths.push(sequence.replace('{n}', String(n).padStart(pad, '0')));
+        }
+        return paths;
+    }
+
+    /** Per-frame durations in ms for a frame source with `fps`. */
+    function frameDurations(spec, count) {
+        const fps = spec.fps > 0 ? spec.fps : DEFAULT_FPS;
+        return new Array(count).fill(1000 / fps);
+    }
+
+    /** Index of the frame showing `elapsedMs` after the first one; loops unless `loop` is false. */
+    function frameIndexAt(durations, elapsedMs, loop = true) {
+        const total = durations.reduce((sum, d) => sum + d, 0);
+        if (!durations.length || total <= 0) return 0;
+        if (!loop && elapsedMs >= total) return durations.length - 1;
+        let t = Math.max(0, elapsedMs) % total;
+        for (let i = 0; i < durations.length; i++) {
+            if (t < durations[i]) return i;
+            t -= durations[i];
+        }
+        return durations.length - 1;
+    }
+
+    /** GIF and WebP files may hold several frames and are decoded frame by frame. */
+    function isAnimatedImagePath(path) {
+        return /\.(gif|webp)$/i.test(String(path).split('?')[0]);
+    }
+
+    const api = { DEFAULT_FPS, spriteFrameRects, sequencePaths, frameDurations, frameIndexAt, isAnimatedImagePath };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
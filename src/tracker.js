@@ -0,0 +1,174 @@
+/*
+===========================================================
+PERSON TRACKER
+Gives every participant a persistent track ID. Detections
+are matched to live tracks with an optimal assignment each
+frame; tracks survive short dropouts and are retired after
+a timeout. Loaded as a plain <script> in the browser and
+require()-able from Node for the test suite.
+===========================================================
+*/
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Calculate similarity score between two poses based on keypoint distances
+     * Returns a lower score for more similar poses (distance-based)
+     */
+    function calculatePoseSimilarity(pose1, pose2) {
+        let totalDistance = 0;
+        let numComparisons = 0;
+
+        // Compare key body points that are usually visible and stable
+        const keyPointNames = ["nose", "left_shoulder", "right_shoulder", "left_hip", "right_hip"];
+
+        for (let name of keyPointNames) {
+            const kp1 = pose1.keypoints.find(k => k.name === name);
+            const kp2 = pose2.keypoints.find(k => k.name === name);
+
+            // Only compare if both keypoints exist and are confident
+            if (kp1 && kp2 && kp1.confidence > 0.3 && kp2.confidence > 0.3) {
+                const dx = kp1.x - kp2.x;
+                const dy = kp1.y - kp2.y;
+                totalDistance += Math.sqrt(dx * dx + dy * dy);
+                numComparisons++;
+            }
+        }
+
+        // Return average distance (lower = more similar)
+        return numComparisons > 0 ? totalDistance / numComparisons : Infinity;
+    }
+
+    /**
+     * Optimal assignment (Hungarian / Kuhn-Munkres) for a rectangular cost matrix.
+     * Returns result[row] = assigned column, or -1 when the row has no column.
+     */
+    function solveAssignment(cost) {
+        const rows = cost.length;
+        const cols = rows > 0 ? cost[0].length : 0;
+        if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+        // The solver below needs rows <= cols, so transpose tall matrices
+        if (rows > cols) {
+            const transposed = [];
+            for (let j = 0; j < cols; j++) {
+                transposed[j] = [];
+                for (let i = 0; i < rows; i++) transposed[j][i] = cost[i][j];
+            }
+            const result = new Array(rows).fill(-1);
+            solveAssignment(transposed).forEach((row, col) => {
+                if (row !== -1) result[row] = col;
+            });
+            return result;
+        }
+
+        // Infinite costs (nothing comparable) are clamped so the potentials stay finite
+        const BIG = 1e9;
+        const u = new Array(rows + 1).fill(0);
+        const v = new Array(cols + 1).fill(0);
+        const p = new Array(cols + 1).fill(0);   // p[col] = row assigned to col (1-based, 0 = none)
+        const way = new Array(cols + 1).fill(0);
+
+        for (let i = 1; i <= rows; i++) {
+            p[0] = i;
+            let j0 = 0;
+            const minv = new Array(cols + 1).fill(Infinity);
+            const used = new Array(cols + 1).fill(false);
+            do {
+                used[j0] = true;
+                const i0 = p[j0];
+                let delta = Infinity;
+                let j1 = 0;
+                for (let j = 1; j <= cols; j++) {
+                    if (used[j]) continue;
+                    const cur = Math.min(cost[i0 - 1][j - 1], BIG) - u[i0] - v[j];
+                    if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+                    if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+                }
+                for (let j = 0; j <= cols; j++) {
+                    if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+                    else minv[j] -= delta;
+                }
+                j0 = j1;
+            } while (p[j0] !== 0);
+            do {
+                const j1 = way[j0];
+                p[j0] = p[j1];
+                j0 = j1;
+            } while (j0 !== 0);
+        }
+
+        const result = new Array(rows).fill(-1);
+        for (let j = 1; j <= cols; j++) {
+            if (p[j] !== 0) result[p[j] - 1] = j - 1;
+        }
+        return result;
+    }
+
+    /**
+     * Create a tracker. Options are read on every update, so they can be tuned live:
+     *   maxDist    max average keypoint distance (px) to continue a track
+     *   timeoutMs  keep an unmatched track alive this long before retiring it
+     *   onCreate   optional (track) => void
+     *   onRetire   optional (id, track) => void — garbage-collect per-person state here
+     */
+    function createTracker(options) {
+        // tracks[id] = { id, pose, createdAt, lastSeen }
+        const tracks = {};
+        let nextTrackId = 1;
+
+        /**
+         * Match this frame's detections to live tracks and tag each pose with `trackId`.
+         * Returns the visible poses ordered by track ID.
+         */
+        function update(detections, t) {
+            const live = Object.values(tracks);
+
+            // Cost matrix: [detection][track] = average keypoint distance
+            const cost = detections.map(pose => live.map(track => calculatePoseSimilarity(pose, track.pose)));
+            const assignment = solveAssignment(cost);
+
+            detections.forEach((pose, i) => {
+                const j = assignment[i];
+                let track;
+                if (j !== -1 && cost[i][j] < options.maxDist) {
+                    track = live[j];
+                } else {
+                    track = tracks[nextTrackId] = { id: nextTrackId, pose, createdAt: t, lastSeen: t };
+                    nextTrackId++;
+                    if (options.onCreate) options.onCreate(track);
+                }
+                track.pose = pose;
+                track.lastSeen = t;
+                pose.trackId = track.id;
+            });
+
+            // Retire tracks that stayed unmatched past the timeout
+            for (const track of live) {
+                if (t - track.lastSeen > options.timeoutMs) retire(track.id);
+            }
+
+            return detections.slice().sort((a, b) => a.trackId - b.trackId);
+        }
+
+        /** Drop a track and let the owner garbage-collect its per-person state */
+        function retire(id) {
+            const track = tracks[id];
+            if (!track) return;
+            delete tracks[id];
+            if (options.onRetire) options.onRetire(id, track);
+        }
+
+        /** Retire every live track */
+        function clear() {
+            for (const id of Object.keys(tracks)) retire(Number(id));
+        }
+
+        return { update, retire, clear, tracks };
+    }
+
+    const api = { calculatePoseSimilarity, solveAssignment, createTracker };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else Object.assign(root, api);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPresenceMonitor, demoSlot } = require('../src/attract-mode.js');
+const { createClock } = require('./helpers.js');
+
+function setup() {
+    const clock = createClock(0);
+    const presence = createPresenceMonitor({ now: clock.now, absenceMs: 1000, arriveMs: 200, welcomeMs: 500 });
+    presence.update(0); // start the clock at t = 0
+    // Feed `count` people every 50 ms for `ms`; returns the modes entered
+    const run = (count, ms) => {
+        const entered = [];
+        for (let t = 0; t < ms; t += 50) {
+            clock.advance(50);
+            const mode = presence.update(count);
+            if (mode) entered.push(mode);
+        }
+        return entered;
+    };
+    return { clock, presence, run };
+}
+
+test('the clock is not read until the first update', () => {
+    const clock = createClock(5000);
+    let reads = 0;
+    const presence = createPresenceMonitor({ now: () => { reads += 1; return clock.now(); }, absenceMs: 1000 });
+    assert.equal(reads, 0);
+    assert.equal(presence.mode(), 'present');
+    assert.equal(presence.elapsed(), 0);
+    assert.equal(reads, 0);
+
+    // Absence counts from the first update, not from a clock that was not running
+    assert.equal(presence.update(0), null);
+    clock.advance(999);
+    assert.equal(presence.update(0), null);
+    clock.advance(1);
+    assert.equal(presence.update(0), 'idle');
+});
+
+test('nobody in frame for absenceMs goes idle, once', () => {
+    const { presence, run } = setup();
+    assert.equal(presence.mode(), 'present');
+    assert.deepEqual(run(0, 950), []);
+    assert.deepEqual(run(0, 50), ['idle']);
+    assert.deepEqual(run(0, 3000), []);
+    assert.equal(presence.mode(), 'idle');
+});
+
+test('people coming and going keep the show awake', () => {
+    const { presence, run } = setup();
+    for (let i = 0; i < 5; i++) {
+        assert.deepEqual(run(0, 900), []);
+        assert.deepEqual(run(1, 50), []);
+    }
+    assert.equal(presence.mode(), 'present');
+});
+
+test('the first person to stay brings a welcome, then the show', () => {
+    const { presence, run } = setup();
+    run(0, 1000);
+    assert.deepEqual(run(1, 200), []); // first seen, then 150 ms in frame
+    assert.deepEqual(run(1, 50), ['welcome']);
+    assert.ok(presence.welcomeProgress() < 0.2);
+    assert.deepEqual(run(1, 500), ['present']);
+    assert.equal(presence.welcomeProgress(), 1);
+});
+
+test('a passer-by shorter than arriveMs does not end attract mode', () => {
+    const { presence, run } = setup();
+    run(0, 1000);
+    for (let i = 0; i < 5; i++) {
+        assert.deepEqual(run(1, 150), []);
+        assert.deepEqual(run(0, 50), []);
+    }
+    assert.equal(presence.mode(), 'idle');
+});
+
+test('leaving during the welcome goes idle again after absenceMs', () => {
+    const { run } = setup();
+    run(0, 1000);
+    assert.deepEqual(run(1, 250), ['welcome']);
+    assert.deepEqual(run(0, 1000), ['present', 'idle']);
+});
+
+test('the demo walks through the poses, each sticker leaving before the next', () => {
+    const names = ['star', 'arms_up', 'zigzag'];
+    assert.deepEqual(demoSlot(names, 0, 1000, 200), { name: 'star', index: 0, showing: true });
+    assert.deepEqual(demoSlot(names, 799, 1000, 200), { name: 'star', index: 0, showing: true });
+    assert.deepEqual(demoSlot(names, 800, 1000, 200), { name: 'star', index: 0, showing: false });
+    assert.deepEqual(demoSlot(names, 1000, 1000, 200), { name: 'arms_up', index: 1, showing: true });
+    assert.deepEqual(demoSlot(names, 3500, 1000, 200), { name: 'star', index: 0, showing: true });
+    assert.equal(demoSlot([], 500).name, null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { bodyBounds, clipToBisector, convexHull, coverRect, splitPersonRegions } = require('../src/body-mask.js');
+const { fixturePose, transformPose, withConfidence } = require('./helpers.js');
+
+test('bounds span the confident keypoints plus the margin', () => {
+    const pose = fixturePose('star');
+    const b = bodyBounds(pose.keypoints, { margin: 10 });
+    const xs = pose.keypoints.map(k => k.x);
+    assert.equal(b.minX, Math.min(...xs) - 10);
+    assert.equal(b.maxX, Math.max(...xs) + 10);
+
+    // Unconfident wrists no longer stretch the box
+    const names = ['left_wrist', 'right_wrist', 'left_elbow', 'right_elbow'];
+    const narrower = bodyBounds(withConfidence(pose, names, 0.1).keypoints);
+    assert.ok(narrower.maxX - narrower.minX < b.maxX - b.minX - 20);
+});
+
+test('too few confident keypoints give no bounds', () => {
+    const pose = fixturePose('neutral');
+    const names = pose.keypoints.map(k => k.name).slice(2);
+    assert.equal(bodyBounds(withConfidence(pose, names, 0).keypoints), null);
+});
+
+test('the cover rect keeps the aspect ratio and covers the bounds from an off-centre anchor', () => {
+    const bounds = { minX: 100, minY: 50, maxX: 300, maxY: 450 };
+    const r = coverRect(400, 200, bounds, { x: 180, y: 200 });
+    assert.equal(r.w / r.h, 2);
+    assert.ok(r.x <= bounds.minX && r.x + r.w >= bounds.maxX);
+    assert.ok(r.y <= bounds.minY && r.y + r.h >= bounds.maxY);
+    assert.equal(r.x + r.w / 2, 180);
+    assert.equal(r.y + r.h / 2, 200);
+
+    const half = coverRect(400, 200, bounds, { x: 180, y: 200 }, 0.5);
+    assert.equal(half.w, r.w / 2);
+});
+
+test('the cover rect follows the body at any distance', () => {
+    const near = bodyBounds(fixturePose('arms_out').keypoints);
+    const far = bodyBounds(transformPose(fixturePose('arms_out'), { scale: 0.5 }).keypoints);
+    const anchor = (b) => ({ x: (b.minX + b.maxX) / 2, y: (b.minY + b.maxY) / 2 });
+    const a = coverRect(100, 100, near, anchor(near));
+    const b = coverRect(100, 100, far, anchor(far));
+    assert.ok(Math.abs(b.w - a.w / 2) < 1e-9);
+});
+
+/** Even-odd point-in-polygon test. */
+function inside(poly, p) {
+    let hit = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i], b = poly[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) hit = !hit;
+    }
+    return hit;
+}
+
+test('the convex hull drops interior points', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const hull = convexHull([...square, { x: 5, y: 5 }, { x: 2, y: 7 }, { x: 5, y: 0 }]);
+    assert.equal(hull.length, 4);
+    for (const corner of square) assert.ok(hull.some(p => p.x === corner.x && p.y === corner.y));
+});
+
+test('clipping to a bisector keeps the half nearer its own centre', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const left = clipToBisector(square, { x: 2, y: 5 }, { x: 10, y: 5 });
+    assert.equal(Math.max(...left.map(p => p.x)), 6);
+    assert.equal(Math.min(...left.map(p => p.x)), 0);
+});
+
+test('each person gets a region around their own keypoints', () => {
+    const a = fixturePose('star');
+    const b = transformPose(fixturePose('arms_out'), { dx: 900 });
+    const regions = splitPersonRegions([{ id: 1, keypoints: a.keypoints }, { id: 2, keypoints: b.keypoints }]);
+    assert.deepEqual(Object.keys(regions), ['1', '2']);
+
+    const confident = (pose) => pose.keypoints.filter(k => k.confidence >= 0.3);
+    for (const k of confident(a)) assert.ok(inside(regions[1], k) && !inside(regions[2], k));
+    for (const k of confident(b)) assert.ok(inside(regions[2], k) && !inside(regions[1], k));
+});
+
+test('overlapping people are split along the line between them', () => {
+    const a = fixturePose('arms_out');
+    const b = transformPose(fixturePose('arms_out'), { dx: 120 }); // arms overlap
+    const regions = splitPersonRegions([{ id: 1, keypoints: a.keypoints }, { id: 2, keypoints: b.keypoints }]);
+    const xs = (poly) => poly.map(p => p.x);
+    const hip = (pose) => pose.keypoints.find(k => k.name === 'left_hip');
+    assert.ok(Math.max(...xs(regions[1])) <= Math.min(...xs(regions[2])) + 1e-6);
+    assert.ok(inside(regions[1], hip(a)));
+    assert.ok(inside(regions[2], hip(b)));
+});
+
+test('people without enough confident keypoints get no region', () => {
+    const pose = fixturePose('neutral');
+    const hidden = withConfidence(pose, pose.keypoints.map(k => k.name), 0);
+    assert.deepEqual(splitPersonRegions([{ id: 7, keypoints: hidden.keypoints }]), {});
+});
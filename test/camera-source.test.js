@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    captureConstraints,
+    createCameraStore,
+    displaySize,
+    parseResolution,
+    pickDevice,
+    videoInputs
+} = require('../src/camera-source.js');
+
+/** In-memory stand-in for window.localStorage. */
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (k) => (k in data ? data[k] : null),
+        setItem: (k, v) => { data[k] = String(v); },
+        data
+    };
+}
+
+test('resolutions are WIDTHxHEIGHT', () => {
+    assert.deepEqual(parseResolution('1280x720'), { width: 1280, height: 720 });
+    assert.deepEqual(parseResolution(' 1920x1080 '), { width: 1920, height: 1080 });
+    assert.equal(parseResolution('1280×720p'), null);
+    assert.equal(parseResolution(undefined), null);
+});
+
+test('constraints ask for a size and pin the chosen camera', () => {
+    assert.deepEqual(captureConstraints({ deviceId: 'usb-cam', resolution: '1920x1080' }), {
+        video: { width: { ideal: 1920 }, height: { ideal: 1080 }, deviceId: { exact: 'usb-cam' } },
+        audio: false
+    });
+    const fallback = captureConstraints({ resolution: 'huge' });
+    assert.deepEqual(fallback.video, { width: { ideal: 640 }, height: { ideal: 480 } });
+});
+
+test('only cameras are listed, numbered until they have labels', () => {
+    const inputs = videoInputs([
+        { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+        { kind: 'videoinput', deviceId: 'a', label: '' },
+        { kind: 'videoinput', deviceId: 'b', label: 'Capture Card' }
+    ]);
+    assert.deepEqual(inputs, [{ deviceId: 'a', label: 'Camera 1' }, { deviceId: 'b', label: 'Capture Card' }]);
+    assert.equal(pickDevice(inputs, 'b'), 'b');
+    assert.equal(pickDevice(inputs, 'unplugged'), null);
+    assert.deepEqual(videoInputs(undefined), []);
+});
+
+test('the windowed canvas keeps the source aspect ratio', () => {
+    assert.deepEqual(displaySize(1920, 1080), { width: 640, height: 360 });
+    assert.deepEqual(displaySize(640, 480), { width: 640, height: 480 });
+    assert.deepEqual(displaySize(0, 0), { width: 640, height: 480 });
+});
+
+test('the camera choice survives a reload and ignores junk', () => {
+    const storage = memoryStorage();
+    const store = createCameraStore({ storage });
+    assert.deepEqual(store.load(), { deviceId: null, resolution: '640x480' });
+
+    store.save({ deviceId: 'usb-cam' });
+    store.save({ resolution: '1280x720' });
+    assert.deepEqual(createCameraStore({ storage }).load(), { deviceId: 'usb-cam', resolution: '1280x720' });
+
+    storage.setItem('between-verses.camera', '{"deviceId":7,"resolution":"8000x6000"}');
+    assert.deepEqual(store.load(), { deviceId: null, resolution: '640x480' });
+    storage.setItem('between-verses.camera', 'not json');
+    assert.deepEqual(store.load(), { deviceId: null, resolution: '640x480' });
+});
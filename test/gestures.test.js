@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { armElevation, createGestureRecognizer } = require('../src/gestures.js');
+const { fixturePose } = require('./helpers.js');
+
+// Standing body: shoulders 80 px apart, torso 120 px tall (the unit), arms hanging
+const BODY = {
+    left_shoulder: { x: 280, y: 200 }, right_shoulder: { x: 360, y: 200 },
+    left_hip: { x: 290, y: 320 }, right_hip: { x: 350, y: 320 },
+    left_wrist: { x: 270, y: 330 }, right_wrist: { x: 370, y: 330 }
+};
+
+/** Keypoints for BODY with some points replaced, scaled by `scale` about the origin. */
+function body(changes = {}, scale = 1) {
+    return Object.entries({ ...BODY, ...changes }).map(([name, p]) => ({ name, x: p.x * scale, y: p.y * scale, confidence: 0.9 }));
+}
+
+/** Feed `frame(t)` at ~30 fps from `from` to `to` ms; returns every event. */
+function play(recognizer, frame, from, to, id = 1) {
+    const events = [];
+    for (let t = from; t <= to; t += 33) events.push(...recognizer.update(id, frame(t), t));
+    return events;
+}
+
+const names = events => events.map(e => e.gesture);
+const still = () => body();
+
+test('standing still or holding a static pose fires nothing', () => {
+    const rec = createGestureRecognizer();
+    assert.deepEqual(play(rec, still, 0, 3000), []);
+    const star = fixturePose('star').keypoints;
+    assert.deepEqual(play(rec, () => star, 0, 3000, 2), []);
+});
+
+test('a raised hand swinging side to side is a wave, once per movement', () => {
+    const wave = t => body({ right_wrist: { x: 400 + 40 * Math.sin((t / 1000) * 2 * Math.PI * 2), y: 120 } });
+    const rec = createGestureRecognizer();
+    play(rec, still, 0, 500);
+    const events = play(rec, wave, 533, 2000);
+    assert.equal(names(events).filter(n => n === 'wave').length, 1);
+    assert.equal(events.find(e => e.gesture === 'wave').side, 'right');
+
+    // A raised hand held still is not a wave
+    const held = createGestureRecognizer();
+    assert.deepEqual(play(held, () => body({ right_wrist: { x: 400, y: 120 } }), 0, 3000), []);
+});
+
+test('waves are recognised at any distance from the camera', () => {
+    const wave = t => body({ left_wrist: { x: 250 + 40 * Math.sin((t / 1000) * 2 * Math.PI * 2), y: 120 } }, 0.5);
+    const rec = createGestureRecognizer();
+    assert.ok(names(play(rec, wave, 0, 2000)).includes('wave'));
+});
+
+test('a quick rise and landing is a jump; rising onto tiptoe and staying is not', () => {
+    const lift = (dy) => {
+        const up = {};
+        for (const [name, p] of Object.entries(BODY)) up[name] = { x: p.x, y: p.y - dy };
+        return body(up);
+    };
+    const jump = t => (t >= 1000 && t < 1300 ? lift(60) : still());
+    assert.deepEqual(names(play(createGestureRecognizer(), jump, 0, 2000)), ['jump']);
+
+    const tiptoe = t => (t >= 1000 ? lift(60) : still());
+    assert.deepEqual(play(createGestureRecognizer(), tiptoe, 0, 3000), []);
+});
+
+test('hands apart then together is a clap', () => {
+    const clap = t => (t < 1000
+        ? body({ left_wrist: { x: 220, y: 250 }, right_wrist: { x: 420, y: 250 } })
+        : body({ left_wrist: { x: 318, y: 250 }, right_wrist: { x: 322, y: 250 } }));
+    assert.deepEqual(names(play(createGestureRecognizer(), clap, 0, 1600)), ['clap']);
+
+    // Hands slowly brought together over seconds are not
+    const slow = t => body({ left_wrist: { x: 220 + t / 30, y: 250 }, right_wrist: { x: 420 - t / 30, y: 250 } });
+    assert.deepEqual(play(createGestureRecognizer(), slow, 0, 3000), []);
+});
+
+test('turning side-on and back, or coming back with the shoulders swapped, is turn_around', () => {
+    const shoulders = (half) => ({ left_shoulder: { x: 320 - half, y: 200 }, right_shoulder: { x: 320 + half, y: 200 } });
+    const spin = t => body(t < 1000 || t > 1600 ? {} : shoulders(10));
+    const full = play(createGestureRecognizer(), spin, 0, 2500);
+    assert.deepEqual(names(full), ['turn_around']);
+    assert.equal(full[0].facing, 'front');
+
+    const away = t => body(t < 1000 ? {} : t < 1300 ? shoulders(10) : shoulders(-40));
+    const turned = play(createGestureRecognizer(), away, 0, 2500);
+    assert.deepEqual(names(turned), ['turn_around']);
+    assert.equal(turned[0].facing, 'away');
+});
+
+test('a slow arm sweep is recognised but a quick flick is not', () => {
+    const arm = (deg) => {
+        const a = (deg * Math.PI) / 180;
+        return body({ right_wrist: { x: 360 + 110 * Math.cos(a), y: 200 - 110 * Math.sin(a) } });
+    };
+    // Hanging (-80°) to overhead (+80°) over 1.6 s
+    const sweep = t => arm(Math.max(-80, Math.min(80, -80 + ((t - 500) / 1600) * 160)));
+    const events = play(createGestureRecognizer(), sweep, 0, 3000);
+    assert.deepEqual(names(events), ['arm_sweep']);
+    assert.deepEqual([events[0].side, events[0].direction], ['right', 'up']);
+
+    const flick = t => arm(Math.max(-80, Math.min(80, -80 + ((t - 500) / 300) * 160)));
+    assert.deepEqual(play(createGestureRecognizer(), flick, 0, 3000), []);
+});
+
+test('arm elevation runs from hanging down to straight up', () => {
+    const s = { shoulders: { left: { x: 0, y: 0 } }, wrists: { left: { x: 0, y: 10 } } };
+    assert.equal(armElevation(s, 'left'), -90);
+    s.wrists.left = { x: -10, y: 0 };
+    assert.equal(armElevation(s, 'left'), 0);
+});
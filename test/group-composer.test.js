@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countGroup, evaluateGroup, matchGroupCondition, sortGroupRules } = require('../src/group-composer.js');
+const { keyOfBundle } = require('../src/osc-bundles.js');
+const { POSE_CONFIG } = require('../poses.config.js');
+
+/** People with the given locked poses, ids 1..n. */
+function group(...poses) {
+    return poses.map((pose, i) => ({ id: i + 1, pose }));
+}
+
+test('countGroup tallies present, locked and distinct poses', () => {
+    const counts = countGroup(group('star', 'star', 'neutral', null, 'zigzag'));
+    assert.deepEqual(counts, { present: 5, locked: 3, distinct: 2, byPose: { star: 2, zigzag: 1 } });
+});
+
+test('count conditions honour min and max', () => {
+    const counts = countGroup(group('arms_out', 'arms_out', 'star'));
+    assert.equal(matchGroupCondition({ count: 'arms_out', min: 2 }, counts), true);
+    assert.equal(matchGroupCondition({ count: 'arms_out', min: 3 }, counts), false);
+    assert.equal(matchGroupCondition({ count: 'present', min: 2, max: 3 }, counts), true);
+    assert.equal(matchGroupCondition({ count: 'distinct', max: 1 }, counts), false);
+    assert.equal(matchGroupCondition({ count: 'rounded', max: 0 }, counts), true);
+});
+
+test('everyone needs every person present in the pose', () => {
+    assert.equal(matchGroupCondition({ everyone: 'star' }, countGroup(group('star', 'star'))), true);
+    assert.equal(matchGroupCondition({ everyone: 'star' }, countGroup(group('star', null))), false);
+    assert.equal(matchGroupCondition({ everyone: 'star' }, countGroup([])), false);
+});
+
+test('a solo person never forms a group', () => {
+    for (const pose of ['star', 'arms_out', 'zigzag']) {
+        assert.equal(evaluateGroup(group(pose), POSE_CONFIG), null);
+    }
+});
+
+test('everyone in star outranks the mixed rule', () => {
+    const state = evaluateGroup(group('star', 'star', 'star'), POSE_CONFIG);
+    assert.equal(state.name, 'everyone_star');
+    assert.deepEqual(state.members, [1, 2, 3]);
+
+    // One person still neutral: not everyone, and only one distinct pose
+    assert.equal(evaluateGroup(group('star', 'star', null), POSE_CONFIG), null);
+});
+
+test('two people in arms_out form a pair; only they are members', () => {
+    const state = evaluateGroup(group('arms_out', 'zigzag', 'arms_out'), POSE_CONFIG);
+    assert.equal(state.name, 'pair_arms_out');
+    assert.deepEqual(state.members, [1, 3]);
+});
+
+test('different poses fall through to mixed with every locked person as a member', () => {
+    const state = evaluateGroup(group('zigzag', null, 'rounded'), POSE_CONFIG);
+    assert.equal(state.name, 'mixed');
+    assert.deepEqual(state.members, [1, 3]);
+});
+
+test('group rules are sorted by priority and have bundles distinct from the solo poses', () => {
+    assert.deepEqual(sortGroupRules(POSE_CONFIG).map(r => r.name), ['everyone_star', 'pair_arms_out', 'mixed']);
+    const keys = [...POSE_CONFIG.poses, ...POSE_CONFIG.groups].map(r => keyOfBundle(r.bundle));
+    assert.equal(new Set(keys).size, keys.length);
+    assert.deepEqual(sortGroupRules({}), []);
+});
@@ -0,0 +1,38 @@
+// Shared fixtures and helpers for the headless test suite
+
+const POSE_FIXTURES = require('./fixtures/poses.json');
+
+/** Deep copy of the labelled fixture pose (so tests can mutate it freely). */
+function fixturePose(label) {
+    const fixture = POSE_FIXTURES.find(f => f.label === label);
+    if (!fixture) throw new Error(`No pose fixture labelled ${label}`);
+    return JSON.parse(JSON.stringify(fixture.pose));
+}
+
+/** Scale a pose about the origin and then translate it (simulates distance/resolution). */
+function transformPose(pose, { scale = 1, dx = 0, dy = 0 } = {}) {
+    return {
+        ...pose,
+        keypoints: pose.keypoints.map(k => ({ ...k, x: k.x * scale + dx, y: k.y * scale + dy }))
+    };
+}
+
+/** Replace the confidence of the named keypoints. */
+function withConfidence(pose, names, confidence) {
+    return {
+        ...pose,
+        keypoints: pose.keypoints.map(k => (names.includes(k.name) ? { ...k, confidence } : k))
+    };
+}
+
+/** Manually advanced clock for FSM / animation / debounce timelines. */
+function createClock(start = 0) {
+    let t = start;
+    return {
+        now: () => t,
+        set: (ms) => { t = ms; },
+        advance: (ms) => { t += ms; }
+    };
+}
+
+module.exports = { POSE_FIXTURES, fixturePose, transformPose, withConfidence, createClock };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { keyOfBundle, createBundleSender } = require('../src/osc-bundles.js');
+const { POSE_CONFIG } = require('../poses.config.js');
+const { createClock } = require('./helpers.js');
+
+const bundleFor = (name) => POSE_CONFIG.poses.find(p => p.name === name).bundle;
+
+function setup() {
+    const clock = createClock(10000);
+    const sent = [];
+    const sender = createBundleSender({ now: clock.now, send: b => sent.push(b), debounceMs: 600 });
+    return { clock, sent, sender };
+}
+
+test('keyOfBundle is independent of action order', () => {
+    const bundle = [{ layer: 3, media: 10 }, { layer: 1, media: 8 }];
+    assert.equal(keyOfBundle(bundle), '1:8|3:10');
+    assert.equal(keyOfBundle(bundle.slice().reverse()), '1:8|3:10');
+    assert.deepEqual(bundle[0], { layer: 3, media: 10 }, 'input is not mutated');
+});
+
+test('every configured pose has a distinct bundle', () => {
+    const keys = POSE_CONFIG.poses.map(p => keyOfBundle(p.bundle));
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('sends the first bundle immediately', () => {
+    const { sent, sender } = setup();
+    assert.equal(sender.maybeSend(bundleFor('star')), true);
+    assert.deepEqual(sent, [bundleFor('star')]);
+});
+
+test('drops a repeat of the last bundle even after the debounce window', () => {
+    const { clock, sent, sender } = setup();
+    sender.maybeSend(bundleFor('star'));
+    clock.advance(5000);
+    assert.equal(sender.maybeSend(bundleFor('star').slice().reverse()), false);
+    assert.equal(sent.length, 1);
+});
+
+test('debounces different bundles within the window', () => {
+    const { clock, sent, sender } = setup();
+    sender.maybeSend(bundleFor('star'));
+    clock.advance(599);
+    assert.equal(sender.maybeSend(bundleFor('arms_out')), false);
+    clock.advance(1);
+    assert.equal(sender.maybeSend(bundleFor('arms_out')), true);
+    assert.deepEqual(sent, [bundleFor('star'), bundleFor('arms_out')]);
+});
+
+test('a dropped bundle can be sent once the window has passed', () => {
+    const { clock, sent, sender } = setup();
+    sender.maybeSend(bundleFor('star'));
+    clock.advance(100);
+    sender.maybeSend(bundleFor('zigzag'));
+    clock.advance(600);
+    assert.equal(sender.maybeSend(bundleFor('zigzag')), true);
+    assert.equal(sent.length, 2);
+});
+
+test('reset forgets the last bundle and the debounce window', () => {
+    const { sent, sender } = setup();
+    sender.maybeSend(bundleFor('star'));
+    sender.reset();
+    assert.equal(sender.maybeSend(bundleFor('star')), true);
+    assert.equal(sent.length, 2);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDeliveryQueue } = require('../src/osc-delivery.js');
+const { createClock } = require('./helpers.js');
+
+function setup(overrides = {}) {
+    const clock = createClock(1000);
+    const delivery = createDeliveryQueue({ now: clock.now, maxQueued: 3, ttlMs: 2000, ackTimeoutMs: 1500, ...overrides });
+    return { clock, delivery };
+}
+
+test('wraps payloads with increasing sequence IDs, creation time and TTL', () => {
+    const { clock, delivery } = setup();
+    const a = delivery.wrap({ type: 'osc', actions: [] });
+    clock.advance(10);
+    const b = delivery.wrap({ type: 'ping' }, 500);
+    assert.deepEqual(a, { type: 'osc', actions: [], seq: 1, createdAt: 1000, ttlMs: 2000 });
+    assert.deepEqual(b, { type: 'ping', seq: 2, createdAt: 1010, ttlMs: 500 });
+});
+
+test('the offline queue is bounded and drops the oldest payload', () => {
+    const { delivery } = setup();
+    const envelopes = [1, 2, 3, 4].map(n => delivery.wrap({ type: 'osc', n }));
+    assert.equal(delivery.enqueue(envelopes[0]), null);
+    delivery.enqueue(envelopes[1]);
+    delivery.enqueue(envelopes[2]);
+    assert.equal(delivery.enqueue(envelopes[3]).seq, 1);
+    assert.deepEqual(delivery.status().queued, 3);
+    assert.equal(delivery.status().dropped, 1);
+});
+
+test('stale payloads are not flushed after a long outage', () => {
+    const { clock, delivery } = setup();
+    delivery.enqueue(delivery.wrap({ type: 'osc', pose: 'star' }));
+    clock.advance(1500);
+    delivery.enqueue(delivery.wrap({ type: 'osc', pose: 'zigzag' }));
+    clock.advance(1000);
+
+    const { fresh, stale } = delivery.drain();
+    assert.deepEqual(fresh.map(e => e.pose), ['zigzag']);
+    assert.deepEqual(stale.map(e => e.pose), ['star']);
+    assert.equal(delivery.status().queued, 0);
+    assert.equal(delivery.status().expired, 1);
+});
+
+test('replies are correlated with their request by seq', () => {
+    const { clock, delivery } = setup();
+    const a = delivery.wrap({ type: 'osc' });
+    const b = delivery.wrap({ type: 'osc_raw' });
+    delivery.track(a);
+    delivery.track(b);
+    clock.advance(40);
+
+    const rb = delivery.resolve({ type: 'sent', seq: b.seq, count: 0, errors: [{ index: 0, reason: 'invalid_address' }] });
+    assert.equal(rb.envelope, b);
+    assert.equal(rb.ok, false);
+
+    const ra = delivery.resolve({ type: 'sent', seq: a.seq, count: 1, errors: [] });
+    assert.equal(ra.ok, true);
+    assert.equal(ra.rttMs, 40);
+
+    assert.equal(delivery.resolve({ type: 'sent', seq: a.seq }), null, 'a reply is only matched once');
+    assert.equal(delivery.resolve({ type: 'pong', seq: 99 }), null);
+    const status = delivery.status();
+    assert.deepEqual([status.acked, status.failed, status.pending, status.lastAckAt], [1, 1, 0, 1040]);
+});
+
+test('scene replies accept their payload too', () => {
+    const { delivery } = setup();
+    const [b, c] = ['scene', 'scene'].map(type => delivery.wrap({ type }));
+    for (const envelope of [b, c]) delivery.track(envelope);
+    assert.equal(delivery.resolve({ type: 'relayed', seq: b.seq, count: 1 }).ok, true);
+    assert.equal(delivery.resolve({ type: 'error', seq: c.seq, reason: 'invalid_scene_command' }).ok, false);
+});
+
+test('requests without a reply become overdue after the ack timeout', () => {
+    const { clock, delivery } = setup();
+    const a = delivery.wrap({ type: 'osc' });
+    delivery.track(a);
+    clock.advance(1500);
+    assert.deepEqual(delivery.overdue(), []);
+    clock.advance(1);
+    assert.deepEqual(delivery.overdue(), [a]);
+    assert.equal(delivery.status().pending, 0);
+    assert.equal(delivery.status().unacked, 1);
+});
+
+test('expired replies and abandoned requests are counted', () => {
+    const { delivery } = setup();
+    const a = delivery.wrap({ type: 'osc' });
+    const b = delivery.wrap({ type: 'osc' });
+    delivery.track(a);
+    delivery.track(b);
+    assert.equal(delivery.resolve({ type: 'expired', seq: a.seq }).ok, false);
+    assert.deepEqual(delivery.abandonPending(), [b]);
+    const status = delivery.status();
+    assert.deepEqual([status.expired, status.unacked, status.pending], [1, 1, 0]);
+});
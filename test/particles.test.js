@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMotionTracker, createParticleSystem, emissionRate } = require('../src/particles.js');
+const { createClock } = require('./helpers.js');
+
+function setup(options = {}) {
+    const clock = createClock();
+    let seed = 0;
+    const system = createParticleSystem({ now: clock.now, random: () => (seed = (seed + 0.37) % 1), ...options });
+    return { clock, system };
+}
+
+test('emission ramps with joint speed between the thresholds', () => {
+    const opts = { minSpeed: 1, maxSpeed: 5, maxRate: 40 };
+    assert.equal(emissionRate(0.5, opts), 0);
+    assert.equal(emissionRate(3, opts), 20);
+    assert.equal(emissionRate(50, opts), 40);
+});
+
+test('joint velocity is measured in shoulder widths per second at any distance', () => {
+    const near = createMotionTracker({ smoothing: 0 });
+    const far = createMotionTracker({ smoothing: 0 });
+    near.update(1, 'left_wrist', 0, 0, 0, 100);
+    far.update(1, 'left_wrist', 0, 0, 0, 50);
+    const a = near.update(1, 'left_wrist', 200, 0, 500, 100);
+    const b = far.update(1, 'left_wrist', 100, 0, 500, 50);
+    assert.equal(a.speed, 4);
+    assert.equal(b.speed, 4);
+
+    // Smoothing keeps part of the previous velocity
+    const smooth = createMotionTracker({ smoothing: 0.5 });
+    smooth.update(1, 'left_ankle', 0, 0, 0, 100);
+    assert.equal(smooth.update(1, 'left_ankle', 100, 0, 1000, 100).vx, 0.5);
+});
+
+test('slow joints emit nothing and fractional particles carry over between frames', () => {
+    const { system } = setup({ minSpeed: 1, maxSpeed: 2, maxRate: 30 });
+    assert.equal(system.emit('1:left_wrist', 'petals', 0, 0, 100, { vx: 0, vy: 0, speed: 0.5 }, 1000), 0);
+
+    const fast = { vx: 3, vy: 0, speed: 3 };
+    let total = 0;
+    for (let i = 0; i < 10; i++) total += system.emit('1:left_wrist', 'petals', 0, 0, 100, fast, 10);
+    assert.equal(total, 3, '30 / s over 100 ms in 10 ms frames');
+    assert.equal(system.particles.length, 3);
+});
+
+test('the budget drops the oldest particles first', () => {
+    const { clock, system } = setup({ budget: 5 });
+    system.burst('petals', 0, 0, 100, 4);
+    clock.set(10);
+    system.burst('birds', 0, 0, 100, 3);
+    assert.equal(system.particles.length, 5);
+    assert.deepEqual(system.particles.map(p => p.kind), ['petals', 'petals', 'birds', 'birds', 'birds']);
+});
+
+test('particles fade out and disappear after their lifetime', () => {
+    const { clock, system } = setup({ lifetimeMs: 1000 });
+    system.burst('petals', 0, 0, 100, 10);
+    const longest = Math.max(...system.particles.map(p => p.life));
+    assert.ok(longest <= 1250);
+
+    clock.set(300);
+    system.update(300);
+    const p = system.particles[0];
+    assert.ok(system.alphaOf(p) > 0 && system.alphaOf(p) < 1);
+
+    clock.set(longest);
+    system.update(longest - 300);
+    assert.equal(system.particles.length, 0);
+});
+
+test('petals fall and birds take off', () => {
+    const { clock, system } = setup({ lifetimeMs: 10000 });
+    system.burst('petals', 0, 0, 100, 20);
+    system.burst('birds', 0, 0, 100, 20);
+    for (let t = 16; t <= 3000; t += 16) {
+        clock.set(t);
+        system.update(16);
+    }
+    const meanY = kind => {
+        const list = system.particles.filter(p => p.kind === kind);
+        return list.reduce((sum, p) => sum + p.y, 0) / list.length;
+    };
+    assert.ok(meanY('petals') > 0);
+    assert.ok(meanY('birds') < 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeState, sortPoseRules } = require('../src/pose-classifier.js');
+const { extractPoseFeatures, jointAngle } = require('../src/pose-features.js');
+const { POSE_CONFIG } = require('../poses.config.js');
+const { POSE_FIXTURES, fixturePose, transformPose, withConfidence } = require('./helpers.js');
+
+test('fixtures cover all seven poses', () => {
+    const labels = POSE_FIXTURES.map(f => f.label).sort();
+    const expected = [...POSE_CONFIG.poses.map(p => p.name), 'neutral'].sort();
+    assert.deepEqual(labels, expected);
+});
+
+for (const { label } of POSE_FIXTURES) {
+    test(`classifies the ${label} fixture`, () => {
+        const result = analyzeState(fixturePose(label), POSE_CONFIG);
+        assert.equal(result.pose, label);
+        assert.ok(result.score >= 0.6, `score ${result.score}`);
+        assert.ok(result.margin >= 0.05, `margin ${result.margin}`);
+    });
+
+    test(`classifies the ${label} fixture at any distance and resolution`, () => {
+        for (const t of [{ scale: 0.4, dx: 30 }, { scale: 2, dy: -80 }, { scale: 1280 / 640, dx: 0 }]) {
+            const result = analyzeState(transformPose(fixturePose(label), t), POSE_CONFIG);
+            assert.equal(result.pose, label, JSON.stringify(t));
+        }
+    });
+}
+
+test('low-confidence wrists fall back to a confident neutral', () => {
+    const pose = withConfidence(fixturePose('arms_out'), ['left_wrist'], 0.1);
+    assert.deepEqual(analyzeState(pose, POSE_CONFIG), { pose: 'neutral', score: 1, margin: 1, scores: {} });
+});
+
+test('star needs confident ankles', () => {
+    const pose = withConfidence(fixturePose('star'), ['left_ankle', 'right_ankle'], 0.1);
+    const result = analyzeState(pose, POSE_CONFIG);
+    assert.equal(result.scores.star, 0);
+    assert.notEqual(result.pose, 'star');
+});
+
+test('higher-priority pose wins over a lower-priority pose that also fits', () => {
+    // The star fixture also satisfies every arms_up condition
+    const result = analyzeState(fixturePose('star'), POSE_CONFIG);
+    assert.ok(result.scores.arms_up > 0.5);
+    assert.equal(result.pose, 'star');
+    assert.equal(result.margin, result.score);
+});
+
+/** Straight arms at the given shoulder abduction (degrees from the shoulder→hip line). */
+function armsAtAbduction(pose, degrees) {
+    const kp = Object.fromEntries(pose.keypoints.map(k => [k.name, k]));
+    for (const side of ['left', 'right']) {
+        const s = kp[`${side}_shoulder`], h = kp[`${side}_hip`];
+        const len = Math.hypot(h.x - s.x, h.y - s.y);
+        const dx = (h.x - s.x) / len, dy = (h.y - s.y) / len;
+        // Left arms rotate toward -x (image left), right arms toward +x
+        const a = (side === 'left' ? 1 : -1) * degrees * Math.PI / 180;
+        const ux = dx * Math.cos(a) - dy * Math.sin(a);
+        const uy = dx * Math.sin(a) + dy * Math.cos(a);
+        Object.assign(kp[`${side}_elbow`], { x: s.x + 60 * ux, y: s.y + 60 * uy });
+        Object.assign(kp[`${side}_wrist`], { x: s.x + 120 * ux, y: s.y + 120 * uy });
+    }
+    return pose;
+}
+
+test('frames on the edge between two poses score as borderline', () => {
+    // Raising T-pose arms tips over into side_arms at about 113° of abduction
+    const clear = analyzeState(armsAtAbduction(fixturePose('arms_out'), 95), POSE_CONFIG);
+    assert.equal(clear.pose, 'arms_out');
+    assert.ok(clear.margin > 0.9);
+
+    // side_arms (higher priority) only just misses, so arms_out wins by a smaller margin
+    const before = analyzeState(armsAtAbduction(fixturePose('arms_out'), 112), POSE_CONFIG);
+    assert.equal(before.pose, 'arms_out');
+    assert.ok(before.scores.side_arms > 0.45 && before.scores.side_arms < 0.5);
+    assert.ok(before.margin < 0.3);
+
+    // side_arms only just matches: a score the FSM quality gate rejects
+    const after = analyzeState(armsAtAbduction(fixturePose('arms_out'), 113), POSE_CONFIG);
+    assert.equal(after.pose, 'side_arms');
+    assert.ok(after.score < 0.6);
+});
+
+test('rules are evaluated in ascending priority', () => {
+    const names = sortPoseRules(POSE_CONFIG).map(r => r.name);
+    assert.deepEqual(names, ['star', 'arms_up', 'side_arms', 'zigzag', 'arms_out', 'rounded']);
+});
+
+test('features are expressed in shoulder widths around the shoulder midpoint', () => {
+    const f = extractPoseFeatures(fixturePose('arms_out'));
+    assert.deepEqual(f.points.shoulder_mid, { x: 0, y: 0, confidence: 0.9 });
+    assert.equal(f.points.left_shoulder.x, -0.5);
+    assert.equal(f.torsoPerSw, 1.5);
+    assert.ok(f.values.left_elbow_angle > 170);
+    assert.ok(f.values.left_shoulder_abduction > 80 && f.values.left_shoulder_abduction < 100);
+});
+
+test('jointAngle measures the angle at the middle point', () => {
+    assert.equal(jointAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }), 90);
+    assert.equal(jointAngle({ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 }), 180);
+    assert.ok(Number.isNaN(jointAngle({ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 })));
+});
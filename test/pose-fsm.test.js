@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPoseFSM } = require('../src/pose-fsm.js');
+const { createClock } = require('./helpers.js');
+
+const TIMINGS = { dwellMs: 400, minShowMs: 1000, cooldownMs: 400, graceMs: 250, minScore: 0.6, minMargin: 0.05 };
+
+function setup(overrides = {}) {
+    const clock = createClock();
+    const fsm = createPoseFSM({ now: clock.now, ...TIMINGS, ...overrides });
+    return { clock, fsm };
+}
+
+/** Feed the same detection every `stepMs` from `from` to `to` (inclusive); returns the last locked pose. */
+function hold(fsm, clock, pose, from, to, info = {}, stepMs = 50) {
+    let locked;
+    for (let t = from; t <= to; t += stepMs) {
+        clock.set(t);
+        locked = fsm.update(1, pose, info);
+    }
+    return locked;
+}
+
+test('locks only after the dwell time', () => {
+    const { clock, fsm } = setup();
+    assert.equal(hold(fsm, clock, 'star', 0, 350), null);
+    assert.equal(fsm.get(1).phase, 'candidate');
+    assert.equal(hold(fsm, clock, 'star', 400, 400), 'star');
+    assert.equal(fsm.get(1).phase, 'locked');
+});
+
+test('switching candidates restarts the dwell', () => {
+    const { clock, fsm } = setup();
+    hold(fsm, clock, 'star', 0, 300);
+    assert.equal(hold(fsm, clock, 'arms_up', 350, 700), null);
+    assert.equal(hold(fsm, clock, 'arms_up', 750, 750), 'arms_up');
+});
+
+test('a lost candidate returns to idle after the grace period', () => {
+    const { clock, fsm } = setup();
+    hold(fsm, clock, 'star', 0, 0);
+    clock.set(200);
+    fsm.update(1, null);
+    assert.equal(fsm.get(1).phase, 'candidate');
+    clock.set(260);
+    fsm.update(1, null);
+    assert.equal(fsm.get(1).phase, 'idle');
+});
+
+test('keeps the lock for the minimum show time even if the pose changes', () => {
+    const { clock, fsm } = setup();
+    hold(fsm, clock, 'star', 0, 400);
+    // Lock at 400: min show lasts until 1400, plus grace until 1650
+    assert.equal(hold(fsm, clock, 'neutral', 450, 1600), 'star');
+    assert.equal(hold(fsm, clock, 'neutral', 1650, 1650), null);
+    assert.equal(fsm.get(1).phase, 'cooldown');
+});
+
+test('holding the locked pose keeps it locked indefinitely', () => {
+    const { clock, fsm } = setup();
+    assert.equal(hold(fsm, clock, 'arms_out', 0, 10000), 'arms_out');
+});
+
+test('ignores re-triggers during cooldown', () => {
+    const { clock, fsm } = setup();
+    hold(fsm, clock, 'star', 0, 400);
+    hold(fsm, clock, 'neutral', 450, 1650); // released at 1650, cooldown until 2050
+    hold(fsm, clock, 'star', 1700, 2000);
+    assert.equal(fsm.get(1).phase, 'cooldown');
+    clock.set(2050);
+    fsm.update(1, 'star');
+    assert.equal(fsm.get(1).phase, 'idle');
+    // Needs a full dwell again from idle
+    assert.equal(hold(fsm, clock, 'star', 2100, 2450), null);
+    assert.equal(hold(fsm, clock, 'star', 2500, 2500), 'star');
+});
+
+test('borderline scores or margins never lock', () => {
+    const { clock, fsm } = setup();
+    assert.equal(hold(fsm, clock, 'star', 0, 2000, { conf: 0.55, margin: 0.5 }), null);
+    assert.equal(fsm.get(1).phase, 'idle');
+
+    const second = setup();
+    hold(second.fsm, second.clock, 'star', 0, 100, { conf: 0.9, margin: 0.5 });
+    assert.equal(hold(second.fsm, second.clock, 'star', 150, 2000, { conf: 0.9, margin: 0.01 }), null);
+    assert.equal(second.fsm.get(1).phase, 'candidate');
+});
+
+test('options are read live', () => {
+    const options = { now: () => 0, ...TIMINGS };
+    const fsm = createPoseFSM(options);
+    const clock = createClock();
+    options.now = clock.now;
+    options.dwellMs = 100;
+    assert.equal(hold(fsm, clock, 'star', 0, 100), 'star');
+});
+
+test('people are independent and can be deleted', () => {
+    const { clock, fsm } = setup();
+    clock.set(0);
+    fsm.update(1, 'star');
+    fsm.update(2, 'rounded');
+    clock.set(400);
+    assert.equal(fsm.update(1, 'star'), 'star');
+    assert.equal(fsm.update(2, 'rounded'), 'rounded');
+    fsm.delete(1);
+    assert.equal(fsm.get(1), undefined);
+    assert.equal(fsm.get(2).lockedPose, 'rounded');
+});
+
+test('transitions are reported with their durations', () => {
+    const events = [];
+    const { clock, fsm } = setup({ onTransition: (id, event) => events.push({ id, ...event }) });
+    hold(fsm, clock, 'arms_up', 0, 100);
+    hold(fsm, clock, 'star', 150, 550);
+    hold(fsm, clock, 'neutral', 600, 2000);
+    assert.deepEqual(events.slice(0, 4), [
+        { id: 1, type: 'candidate', pose: 'arms_up' },
+        { id: 1, type: 'candidate', pose: 'star' },
+        { id: 1, type: 'locked', pose: 'star', dwellMs: 400 },
+        { id: 1, type: 'released', pose: 'star', heldMs: 1250 }
+    ]);
+});
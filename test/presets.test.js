@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPresetStore, parsePresetFile, sanitizePresetValues, serializePreset } = require('../src/presets.js');
+
+const TUNABLES = [
+    { key: 'POSE_DWELL_MS', type: 'range', min: 0, max: 2000 },
+    { key: 'SMOOTH_POS', type: 'range', min: 0, max: 0.98 },
+    { key: 'LINECOLOR', type: 'color' },
+];
+
+/** In-memory stand-in for window.localStorage. */
+function memoryStorage() {
+    const data = {};
+    return {
+        getItem: (k) => (k in data ? data[k] : null),
+        setItem: (k, v) => { data[k] = String(v); },
+        data
+    };
+}
+
+test('sanitize keeps known settings, clamps ranges and validates colours', () => {
+    const clean = sanitizePresetValues({
+        POSE_DWELL_MS: 5000, SMOOTH_POS: -1, LINECOLOR: '#FFAA00', UNKNOWN: 1
+    }, TUNABLES);
+    assert.deepEqual(clean, { POSE_DWELL_MS: 2000, SMOOTH_POS: 0, LINECOLOR: '#ffaa00' });
+
+    assert.deepEqual(sanitizePresetValues({ POSE_DWELL_MS: '400', LINECOLOR: 'yellow' }, TUNABLES), {});
+    assert.deepEqual(sanitizePresetValues(null, TUNABLES), {});
+});
+
+test('an exported preset imports back unchanged', () => {
+    const values = { POSE_DWELL_MS: 550, SMOOTH_POS: 0.7, LINECOLOR: '#08f2db' };
+    const parsed = parsePresetFile(serializePreset('venue-a', values), TUNABLES);
+    assert.deepEqual(parsed, { 'venue-a': values });
+});
+
+test('a collection file imports every named preset', () => {
+    const text = JSON.stringify({ presets: { bright: { SMOOTH_POS: 0.5 }, ' dim ': { SMOOTH_POS: 0.9 }, '': {} } });
+    assert.deepEqual(parsePresetFile(text, TUNABLES), { bright: { SMOOTH_POS: 0.5 }, dim: { SMOOTH_POS: 0.9 } });
+});
+
+test('files without presets are rejected', () => {
+    assert.throws(() => parsePresetFile('{"values":{}}', TUNABLES), /No presets/);
+    assert.throws(() => parsePresetFile('not json', TUNABLES), SyntaxError);
+});
+
+test('the store saves, lists and removes presets in storage', () => {
+    const storage = memoryStorage();
+    const store = createPresetStore({ storage });
+    store.save('zurich', { SMOOTH_POS: 0.8 });
+    store.save('basel', { SMOOTH_POS: 0.6 });
+    assert.deepEqual(store.list(), ['basel', 'zurich']);
+    assert.deepEqual(store.get('zurich'), { SMOOTH_POS: 0.8 });
+
+    // A second store on the same storage (page reload) sees the same presets
+    assert.deepEqual(createPresetStore({ storage }).list(), ['basel', 'zurich']);
+
+    store.remove('basel');
+    assert.deepEqual(store.list(), ['zurich']);
+    assert.equal(store.get('basel'), null);
+});
+
+test('corrupt storage reads as no presets', () => {
+    const storage = memoryStorage();
+    storage.setItem('between-verses.presets', '{oops');
+    assert.deepEqual(createPresetStore({ storage }).list(), []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRenderFollower, createRenderPublisher, isRenderState } = require('../src/render-sync.js');
+const { createClock, fixturePose } = require('./helpers.js');
+
+/** A render state from `source` with the given person IDs. */
+function frame(n, ids, extra = {}, source = 'control-a') {
+    const people = ids.map(id => ({ id, keypoints: fixturePose('star').keypoints, locked: 'star' }));
+    return { type: 'render_state', source, frame: n, people, ...extra };
+}
+
+function setup() {
+    const clock = createClock(0);
+    const follower = createRenderFollower({ now: clock.now, staleMs: 1000 });
+    return { clock, follower };
+}
+
+test('only render states with a source, a frame number and people count', () => {
+    assert.equal(isRenderState(frame(1, [1])), true);
+    assert.equal(isRenderState({ ...frame(1, [1]), type: 'scene' }), false);
+    assert.equal(isRenderState({ ...frame(1, [1]), people: null }), false);
+    assert.equal(isRenderState({ type: 'render_state', people: [] }), false);
+    assert.equal(isRenderState(null), false);
+});
+
+test('the publisher paces frames, camera frames and masks separately', () => {
+    const clock = createClock(0);
+    const publisher = createRenderPublisher({ now: clock.now, frameMs: 33, videoMs: 66, maskMs: 200 });
+    const sent = { frame: 0, video: 0, mask: 0 };
+    for (let t = 0; t < 1000; t += 16) {
+        clock.set(t);
+        if (!publisher.due('frame')) continue;
+        sent.frame += 1;
+        for (const kind of ['video', 'mask']) if (publisher.due(kind)) sent[kind] += 1;
+    }
+    assert.deepEqual(sent, { frame: 21, video: 11, mask: 5 });
+    assert.equal(publisher.frame(), 21);
+});
+
+test('people missing from the next frame are reported once', () => {
+    const { follower } = setup();
+    assert.deepEqual(follower.receive(frame(1, [1, 2, 3])), { departed: [] });
+    assert.deepEqual(follower.receive(frame(2, [1, 3, 4])), { departed: [2] });
+    assert.deepEqual(follower.receive(frame(3, [1, 3, 4])), { departed: [] });
+    assert.equal(follower.person(4).locked, 'star');
+    assert.equal(follower.person(2), null);
+});
+
+test('late frames and a second source are ignored until the first goes quiet', () => {
+    const { clock, follower } = setup();
+    follower.receive(frame(5, [1]));
+    assert.equal(follower.receive(frame(4, [1, 2])), null);
+    assert.equal(follower.receive(frame(9, [7], {}, 'control-b')), null);
+
+    clock.advance(1001);
+    assert.equal(follower.stale(), true);
+    assert.deepEqual(follower.receive(frame(1, [7], {}, 'control-b')), { departed: [1] });
+    assert.equal(follower.state().source, 'control-b');
+    assert.equal(follower.receive(frame(6, [1])), null);
+});
+
+test('a silent source lets everyone go, once', () => {
+    const { clock, follower } = setup();
+    follower.receive(frame(1, [1, 2]));
+    clock.advance(900);
+    assert.deepEqual(follower.expire(), []);
+    clock.advance(200);
+    assert.deepEqual(follower.expire(), [1, 2]);
+    assert.deepEqual(follower.expire(), []);
+    assert.equal(follower.state().people.length, 0);
+});
+
+test('events are handed over once and the attract clock runs between frames', () => {
+    const { clock, follower } = setup();
+    assert.deepEqual(follower.attract(), { mode: 'present', elapsedMs: 0, welcomeProgress: 1 });
+
+    const wave = { type: 'gesture', person: 1, gesture: 'wave', side: 'left' };
+    follower.receive(frame(1, [1], { events: [wave], attract: { mode: 'welcome', elapsedMs: 500, welcomeMs: 2000 } }));
+    follower.receive(frame(2, [1], { events: [], attract: { mode: 'welcome', elapsedMs: 540, welcomeMs: 2000 } }));
+    assert.deepEqual(follower.takeEvents(), [wave]);
+    assert.deepEqual(follower.takeEvents(), []);
+
+    clock.advance(460);
+    assert.deepEqual(follower.attract(), { mode: 'welcome', elapsedMs: 1000, welcomeProgress: 0.5 });
+    clock.advance(5000);
+    assert.equal(follower.attract().welcomeProgress, 1);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    bundleToRow, effectiveLayers, remapBundleLayers, resolveShowConfig, rowToBundle, withPoseBundles
+} = require('../src/show-config.js');
+const { LAYERS, POSE_CONFIG } = require('../poses.config.js');
+
+const star = () => POSE_CONFIG.poses.find(p => p.name === 'star');
+
+test('an empty show config keeps everything from poses.config.js', () => {
+    const resolved = resolveShowConfig(POSE_CONFIG, null, LAYERS);
+    assert.equal(resolved.poses.star.image, star().image);
+    assert.deepEqual(resolved.poses.star.bundle, star().bundle);
+    assert.deepEqual(resolved.timings, {});
+    assert.deepEqual(Object.keys(resolved.groups), POSE_CONFIG.groups.map(g => g.name));
+});
+
+test('pose overrides replace the image and bundle of that pose only', () => {
+    const bundle = [{ layer: 1, media: 19 }];
+    const resolved = resolveShowConfig(POSE_CONFIG, {
+        poses: { star: { image: './generated/outline/Cathedral.png', bundle } },
+        timings: { POSE_DWELL_MS: 500 }
+    }, LAYERS);
+    assert.equal(resolved.poses.star.image, './generated/outline/Cathedral.png');
+    assert.deepEqual(resolved.poses.star.bundle, bundle);
+    assert.deepEqual(resolved.poses.zigzag.bundle, POSE_CONFIG.poses.find(p => p.name === 'zigzag').bundle);
+    assert.deepEqual(resolved.timings, { POSE_DWELL_MS: 500 });
+});
+
+test('the layer map renumbers config bundles by layer name', () => {
+    const moved = remapBundleLayers(
+        [{ layer: LAYERS.BIRD_A, media: 1 }, { layer: LAYERS.FLOWER_A1, media: 8 }, { layer: 42, media: 3 }],
+        LAYERS,
+        { BIRD_A: 10 }
+    );
+    assert.deepEqual(moved, [{ layer: 10, media: 1 }, { layer: LAYERS.FLOWER_A1, media: 8 }, { layer: 42, media: 3 }]);
+
+    // Pose, group, gesture, scene and attract bundles from the config follow the map; show-config bundles do not
+    const own = [{ layer: LAYERS.BIRD_A, media: 2 }];
+    const resolved = resolveShowConfig(POSE_CONFIG, { layers: { BIRD_A: 10 }, poses: { zigzag: { bundle: own } } }, LAYERS);
+    assert.ok(resolved.poses.star.bundle.some(a => a.layer === 10));
+    assert.ok(!resolved.poses.star.bundle.some(a => a.layer === LAYERS.BIRD_A));
+    assert.ok(Object.values(resolved.groups).flat().every(a => a.layer !== LAYERS.BIRD_A));
+    assert.ok(Object.values(resolved.gestures).flat().every(a => a.layer !== LAYERS.BIRD_A));
+    assert.deepEqual(resolved.scenes.guided.bundles.star.map(a => a.layer), [LAYERS.FLOWER_A1, 10]);
+    assert.ok(resolved.scenes.finale.cue.some(a => a.layer === 10));
+    assert.ok(resolved.attract.bundle.some(a => a.layer === 10));
+    assert.ok(resolved.attract.welcome.some(a => a.layer === 10));
+    assert.deepEqual(resolved.poses.zigzag.bundle, own);
+});
+
+test('editor rows round-trip a bundle through layer-name cells', () => {
+    const layerIndex = effectiveLayers(LAYERS, { BIRD_B: 9 });
+    assert.equal(layerIndex.BIRD_B, 9);
+    assert.equal(layerIndex.BIRD_A, LAYERS.BIRD_A);
+
+    const extra = { layer: 42, media: 3 };
+    const row = bundleToRow([{ layer: 9, media: 5 }, { layer: LAYERS.FLOWER_A1, media: 8 }, extra], layerIndex);
+    assert.deepEqual(row, { cells: { BIRD_B: 5, FLOWER_A1: 8 }, extras: [extra] });
+
+    row.cells.FLOWER_A1 = null; // cleared in the editor
+    row.cells.BIRD_A = 2;
+    assert.deepEqual(rowToBundle(row, layerIndex), [{ layer: LAYERS.BIRD_A, media: 2 }, { layer: 9, media: 5 }, extra]);
+});
+
+test('saving editor bundles keeps only real overrides', () => {
+    const current = { layers: {}, poses: { star: { image: './generated/outline/Cathedral.png', bundle: [{ layer: 1, media: 19 }] } }, timings: { IN_MS: 300 } };
+
+    // star back to its config bundle (any order): the bundle override goes, the image stays
+    const reverted = withPoseBundles(current, POSE_CONFIG, LAYERS, { star: star().bundle.slice().reverse() });
+    assert.deepEqual(reverted.poses, { star: { image: './generated/outline/Cathedral.png' } });
+    assert.deepEqual(reverted.timings, { IN_MS: 300 });
+
+    const changed = withPoseBundles(current, POSE_CONFIG, LAYERS, { zigzag: [{ layer: 2, media: 10 }] });
+    assert.deepEqual(changed.poses.zigzag, { bundle: [{ layer: 2, media: 10 }] });
+
+    const untouched = withPoseBundles({ layers: {}, poses: {} }, POSE_CONFIG, LAYERS, { rounded: POSE_CONFIG.poses.find(p => p.name === 'rounded').bundle });
+    assert.deepEqual(untouched.poses, {});
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createShowSequencer, sceneBundles, scenePoseConfig } = require('../src/show-sequencer.js');
+const { analyzeState } = require('../src/pose-classifier.js');
+const { POSE_CONFIG } = require('../poses.config.js');
+const { createClock, fixturePose } = require('./helpers.js');
+
+const SCENES = [
+    { name: 'attract', until: [{ count: 'present', min: 1 }] },
+    { name: 'open_play', durationMs: 1000 },
+    { name: 'guided', minMs: 500, until: [{ everyone: 'star' }] },
+    { name: 'finale', durationMs: 2000, next: 'open_play' }
+];
+
+/** People with the given locked poses, ids 1..n. */
+function group(...poses) {
+    return poses.map((pose, i) => ({ id: i + 1, pose }));
+}
+
+function setup(scenes = SCENES) {
+    const clock = createClock(0);
+    const sequencer = createShowSequencer({ scenes, now: clock.now });
+    return { clock, sequencer };
+}
+
+test('the show starts at the first scene, or a named one', () => {
+    const { sequencer } = setup();
+    assert.equal(sequencer.current(), null);
+    assert.equal(sequencer.update(group('star')), null);
+    assert.equal(sequencer.start().name, 'attract');
+    assert.equal(sequencer.start('guided').name, 'guided');
+    assert.equal(sequencer.start('missing'), null);
+    assert.equal(sequencer.current().name, 'guided');
+});
+
+test('until conditions end a scene as soon as they hold', () => {
+    const { sequencer } = setup();
+    sequencer.start();
+    assert.equal(sequencer.update([]), null);
+    assert.equal(sequencer.update(group(null)).name, 'open_play');
+});
+
+test('durationMs ends a scene on time', () => {
+    const { clock, sequencer } = setup();
+    sequencer.start('open_play');
+    clock.advance(999);
+    assert.equal(sequencer.update(group('star')), null);
+    clock.advance(1);
+    assert.equal(sequencer.update(group('star')).name, 'guided');
+    assert.equal(sequencer.elapsed(), 0);
+});
+
+test('minMs holds the until conditions back', () => {
+    const { clock, sequencer } = setup();
+    sequencer.start('guided');
+    clock.advance(400);
+    assert.equal(sequencer.update(group('star', 'star')), null);
+    clock.advance(100);
+    assert.equal(sequencer.update(group('star', 'zigzag')), null);
+    assert.equal(sequencer.update(group('star', 'star')).name, 'finale');
+});
+
+test('next follows the scene order, wraps around and honours `next`', () => {
+    const { sequencer } = setup();
+    sequencer.start();
+    assert.deepEqual([1, 2, 3, 4].map(() => sequencer.next().name), ['open_play', 'guided', 'finale', 'open_play']);
+    sequencer.start('attract');
+    assert.equal(sequencer.previous().name, 'finale');
+    assert.equal(sequencer.goTo('guided').name, 'guided');
+    assert.equal(sequencer.goTo('nowhere'), null);
+    assert.equal(sequencer.current().name, 'guided');
+});
+
+test('the operator moving on restarts the scene clock', () => {
+    const { clock, sequencer } = setup();
+    sequencer.start('open_play');
+    clock.advance(900);
+    sequencer.goTo('open_play');
+    clock.advance(900);
+    assert.equal(sequencer.update([]), null);
+});
+
+test('a scene only lets its own poses lock', () => {
+    const attract = scenePoseConfig(POSE_CONFIG, { name: 'attract', poses: [] });
+    const guided = scenePoseConfig(POSE_CONFIG, { name: 'guided', poses: ['star'] });
+    const star = fixturePose('star');
+
+    assert.equal(analyzeState(star, POSE_CONFIG).pose, 'star');
+    assert.equal(analyzeState(star, guided).pose, 'star');
+    assert.equal(analyzeState(star, attract).pose, 'neutral');
+    assert.equal(analyzeState(fixturePose('zigzag'), guided).pose, 'neutral');
+    assert.equal(scenePoseConfig(POSE_CONFIG, { name: 'open_play' }), POSE_CONFIG);
+});
+
+test('scene bundles override and silence pose bundles', () => {
+    const base = { star: [{ layer: 1, media: 8 }], zigzag: [{ layer: 2, media: 9 }] };
+    const bundles = sceneBundles(base, { bundles: { star: [{ layer: 1, media: 19 }], zigzag: [] } });
+    assert.deepEqual(bundles, { star: [{ layer: 1, media: 19 }] });
+    assert.deepEqual(sceneBundles(base, null), base);
+    assert.deepEqual(base.zigzag, [{ layer: 2, media: 9 }]);
+});
+
+test('the configured show runs attract → open play → guided → finale → attract', () => {
+    const { clock, sequencer } = setup(POSE_CONFIG.scenes);
+    const seen = [sequencer.start().name];
+    const step = (people) => {
+        for (let t = 0; t < 200000; t += 1000) {
+            clock.advance(1000);
+            const scene = sequencer.update(people);
+            if (scene) return seen.push(scene.name);
+        }
+        assert.fail(`stuck in ${sequencer.current().name}`);
+    };
+    step(group(null));
+    step(group('star'));
+    step(group('star', 'star'));
+    step([]);
+    assert.deepEqual(seen, ['attract', 'open_play', 'guided', 'finale', 'attract']);
+    for (const scene of POSE_CONFIG.scenes) {
+        for (const name of scene.poses ?? []) assert.ok(POSE_CONFIG.poses.some(p => p.name === name), name);
+        if (scene.stickerTheme) assert.ok(POSE_CONFIG.stickerThemes[scene.stickerTheme], scene.stickerTheme);
+    }
+});
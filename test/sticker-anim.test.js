@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStickerAnimator, cubicBezier, resolveEasing, sampleTrack, REST_TRANSFORM } = require('../src/sticker-anim.js');
+const { createClock } = require('./helpers.js');
+
+function setup() {
+    const clock = createClock();
+    const anim = createStickerAnimator({
+        now: clock.now,
+        selectImage: pose => `${pose}.png`,
+        inMs: 440, outMs: 220, inStart: 0.58, inEnd: 1.0, outEnd: 0.76
+    });
+    return { clock, anim };
+}
+
+test('pops in from the start scale and settles at 1', () => {
+    const { clock, anim } = setup();
+    let A = anim.update(1, 'star');
+    assert.equal(A.phase, 'in');
+    assert.equal(A.scale, 0.58);
+    assert.equal(A.currentImage, 'star.png');
+
+    clock.set(220);
+    A = anim.update(1, 'star');
+    assert.ok(A.scale > 0.58 + (1 - 0.58) / 2, 'easeOutQuad is past halfway at half time');
+
+    clock.set(440);
+    A = anim.update(1, 'star');
+    assert.equal(A.phase, 'steady');
+    assert.equal(A.scale, 1);
+});
+
+test('pops out and hides once the lock is released', () => {
+    const { clock, anim } = setup();
+    anim.update(1, 'star');
+    clock.set(500);
+    anim.update(1, 'star');
+
+    clock.set(600);
+    let A = anim.update(1, null);
+    assert.equal(A.phase, 'out');
+    assert.equal(A.currentImage, 'star.png', 'image stays visible while animating out');
+
+    clock.set(820);
+    A = anim.update(1, null);
+    assert.equal(A.phase, 'hidden');
+    assert.equal(A.currentImage, null);
+});
+
+test('neutral never shows a sticker', () => {
+    const { anim } = setup();
+    assert.equal(anim.update(1, 'neutral').phase, 'hidden');
+});
+
+test('switching poses restarts the pop-in with the new image', () => {
+    const { clock, anim } = setup();
+    anim.update(1, 'star');
+    clock.set(1000);
+    anim.update(1, 'star');
+    clock.set(1100);
+    const A = anim.update(1, 'rounded');
+    assert.equal(A.phase, 'in');
+    assert.equal(A.currentImage, 'rounded.png');
+    assert.equal(A.scale, 0.58);
+});
+
+function choreographed(choreography) {
+    const clock = createClock();
+    const anim = createStickerAnimator({
+        now: clock.now,
+        selectImage: pose => `${pose}.png`,
+        selectChoreography: pose => choreography[pose]
+    });
+    return { clock, anim };
+}
+
+test('keyframes without a value for a property leave it at rest', () => {
+    const track = { ease: 'linear', keys: [{ at: 0, opacity: 0 }, { at: 0.5, rotate: 90 }] };
+    assert.deepEqual(sampleTrack(track, 0, REST_TRANSFORM), { x: 0, y: 0, rotate: 0, scale: 1, opacity: 0 });
+    const mid = sampleTrack(track, 0.25, REST_TRANSFORM);
+    assert.equal(mid.rotate, 45);
+    assert.equal(mid.opacity, 0.25);
+    assert.equal(sampleTrack(track, 0.75, REST_TRANSFORM).rotate, 45, 'back to rest after the last key');
+    assert.deepEqual(sampleTrack(track, 1, REST_TRANSFORM), REST_TRANSFORM);
+});
+
+test('easings come from names, bezier arrays or a per-key override', () => {
+    assert.equal(resolveEasing('easeOutQuad')(0.5), 0.75);
+    const ease = cubicBezier(0.42, 0, 0.58, 1);
+    assert.ok(Math.abs(ease(0.5) - 0.5) < 1e-6);
+    assert.ok(ease(0.2) < 0.2 && ease(0.8) > 0.8);
+    assert.ok(resolveEasing('easeOutBack')(0.6) > 1, 'back easing overshoots');
+
+    const track = { ease: 'linear', keys: [{ at: 1, x: 1, ease: 'easeInQuad' }] };
+    assert.equal(sampleTrack(track, 0.5, REST_TRANSFORM).x, 0.25);
+});
+
+test('per-pose enter keyframes replace the default pop-in', () => {
+    const { clock, anim } = choreographed({
+        star: { enter: { ms: 400, ease: 'linear', keys: [{ at: 0, y: -1, rotate: -20, opacity: 0 }] } }
+    });
+    let A = anim.update(1, 'star');
+    assert.deepEqual(A.transform, { x: 0, y: -1, rotate: -20, scale: 1, opacity: 0 });
+    clock.set(200);
+    A = anim.update(1, 'star');
+    assert.equal(A.transform.rotate, -10);
+    assert.equal(A.transform.opacity, 0.5);
+    clock.set(400);
+    A = anim.update(1, 'star');
+    assert.equal(A.phase, 'steady');
+    assert.deepEqual(A.transform, REST_TRANSFORM);
+
+    // Poses without choreography keep the default pop-in
+    assert.equal(anim.update(2, 'rounded').scale, 0.58);
+});
+
+test('the idle loop plays on top of the rest pose while locked', () => {
+    const { clock, anim } = choreographed({
+        star: {
+            enter: { ms: 100, keys: [{ at: 1, scale: 1.2 }] },
+            idle: { ms: 1000, ease: 'linear', keys: [{ at: 0.5, rotate: 10, scale: 1.1 }, { at: 1, rotate: 0, scale: 1 }] }
+        }
+    });
+    anim.update(1, 'star');
+    clock.set(100);
+    assert.equal(anim.update(1, 'star').scale, 1.2);
+    clock.set(600);
+    let A = anim.update(1, 'star');
+    assert.equal(A.transform.rotate, 10);
+    assert.ok(Math.abs(A.scale - 1.32) < 1e-9, 'idle scale multiplies the rest scale');
+    clock.set(1600);
+    A = anim.update(1, 'star');
+    assert.equal(A.transform.rotate, 10, 'loops');
+});
+
+test('the exit starts from wherever the sticker is and ends on its keyframes', () => {
+    const { clock, anim } = choreographed({
+        star: {
+            enter: { ms: 200, ease: 'linear', keys: [{ at: 0, x: -2 }] },
+            exit: { ms: 100, ease: 'linear', keys: [{ at: 1, opacity: 0, x: 2 }] }
+        }
+    });
+    anim.update(1, 'star');
+    clock.set(100);
+    assert.equal(anim.update(1, 'star').transform.x, -1);
+
+    let A = anim.update(1, null); // released half-way through the enter
+    assert.equal(A.phase, 'out');
+    assert.equal(A.transform.x, -1);
+    clock.set(150);
+    A = anim.update(1, null);
+    assert.equal(A.transform.x, 0.5);
+    assert.equal(A.transform.opacity, 0.5);
+    clock.set(200);
+    assert.equal(anim.update(1, null).phase, 'hidden');
+});
+
+test('one-shot effects play on top of the current phase and then stop', () => {
+    const { clock, anim } = choreographed({});
+    assert.equal(anim.playEffect(1, { ms: 100, keys: [] }), false, 'nothing showing yet');
+
+    anim.update(1, 'star');
+    clock.set(500);
+    anim.update(1, 'star');
+    assert.ok(anim.playEffect(1, { ms: 400, ease: 'linear', keys: [{ at: 0.5, rotate: 180, y: -1 }, { at: 1, rotate: 360, y: 0 }] }));
+    clock.set(700);
+    let A = anim.update(1, 'star');
+    assert.equal(A.transform.rotate, 180);
+    assert.equal(A.transform.y, -1);
+    clock.set(900);
+    A = anim.update(1, 'star');
+    assert.equal(A.effect, null);
+    assert.deepEqual(A.transform, REST_TRANSFORM);
+});
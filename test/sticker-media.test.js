@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { frameDurations, frameIndexAt, isAnimatedImagePath, sequencePaths, spriteFrameRects } = require('../src/sticker-media.js');
+
+test('sprite sheet cells are read row by row and stop at count', () => {
+    const rects = spriteFrameRects({ cols: 4, rows: 2, count: 6 }, 400, 200);
+    assert.equal(rects.length, 6);
+    assert.deepEqual(rects[0], { x: 0, y: 0, w: 100, h: 100 });
+    assert.deepEqual(rects[5], { x: 100, y: 100, w: 100, h: 100 });
+    assert.equal(spriteFrameRects({ cols: 2, rows: 2 }, 10, 10).length, 4);
+});
+
+test('image sequences expand the frame number with padding', () => {
+    assert.deepEqual(
+        sequencePaths({ sequence: './generated/anim/star_{n}.png', from: 8, to: 10, pad: 3 }),
+        ['./generated/anim/star_008.png', './generated/anim/star_009.png', './generated/anim/star_010.png']
+    );
+});
+
+test('frames advance with their durations and loop unless told not to', () => {
+    const durations = frameDurations({ fps: 10 }, 3);
+    assert.deepEqual(durations, [100, 100, 100]);
+    assert.equal(frameIndexAt(durations, 0), 0);
+    assert.equal(frameIndexAt(durations, 250), 2);
+    assert.equal(frameIndexAt(durations, 320), 0);
+    assert.equal(frameIndexAt(durations, 320, false), 2);
+    assert.equal(frameIndexAt([40, 200], 100), 1, 'uneven GIF delays');
+});
+
+test('only GIF and WebP files are treated as animated images', () => {
+    assert.ok(isAnimatedImagePath('./generated/anim/Star.GIF'));
+    assert.ok(isAnimatedImagePath('./generated/anim/star.webp?v=2'));
+    assert.ok(!isAnimatedImagePath('./generated/Cathedral.png'));
+});
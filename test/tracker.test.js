@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTracker, solveAssignment } = require('../src/tracker.js');
+const { fixturePose, transformPose } = require('./helpers.js');
+
+/** A neutral person whose body is centred around x (capture pixels). */
+function personAt(x, y = 0) {
+    return transformPose(fixturePose('neutral'), { dx: x - 320, dy: y });
+}
+
+function setup() {
+    const retired = [];
+    const tracker = createTracker({ maxDist: 200, timeoutMs: 1000, onRetire: id => retired.push(id) });
+    return { tracker, retired };
+}
+
+test('solveAssignment finds the optimal (not greedy) matching', () => {
+    // Greedy row-by-row picks (0,0)=1 then (1,1)=100 → 101; optimal is 2 + 3 = 5
+    assert.deepEqual(solveAssignment([[1, 2], [3, 100]]), [1, 0]);
+    assert.deepEqual(solveAssignment([[4, 1, 3], [2, 0, 5], [3, 2, 2]]), [1, 0, 2]);
+});
+
+test('solveAssignment handles rectangular, empty and infinite matrices', () => {
+    assert.deepEqual(solveAssignment([[1, 10], [10, 1], [5, 5]]), [0, 1, -1]);
+    assert.deepEqual(solveAssignment([[7, 1, 9]]), [1]);
+    assert.deepEqual(solveAssignment([]), []);
+    assert.deepEqual(solveAssignment([[], []]), [-1, -1]);
+    assert.deepEqual(solveAssignment([[Infinity, 3], [2, Infinity]]), [1, 0]);
+});
+
+test('keeps IDs stable when detection order shuffles', () => {
+    const { tracker } = setup();
+    const first = tracker.update([personAt(100), personAt(500)], 0);
+    assert.deepEqual(first.map(p => p.trackId), [1, 2]);
+
+    const next = tracker.update([personAt(505), personAt(110)], 33);
+    assert.equal(next[0].keypoints[0].x, 110 - 320 + 320);
+    assert.deepEqual(next.map(p => p.trackId), [1, 2]);
+});
+
+test('someone leaving does not change the identity of the others', () => {
+    const { tracker } = setup();
+    tracker.update([personAt(100), personAt(320), personAt(540)], 0);
+    const after = tracker.update([personAt(102), personAt(538)], 33);
+    assert.deepEqual(after.map(p => p.trackId), [1, 3]);
+});
+
+test('tracks survive short dropouts and retire after the timeout', () => {
+    const { tracker, retired } = setup();
+    tracker.update([personAt(100), personAt(500)], 0);
+
+    // Person 2 drops out for 800ms and comes back
+    tracker.update([personAt(100)], 400);
+    const back = tracker.update([personAt(100), personAt(495)], 800);
+    assert.deepEqual(back.map(p => p.trackId), [1, 2]);
+    assert.deepEqual(retired, []);
+
+    // Person 2 gone for longer than the timeout → retired, a returner gets a new ID
+    tracker.update([personAt(100)], 1500);
+    tracker.update([personAt(100)], 1900);
+    assert.deepEqual(retired, [2]);
+    const returned = tracker.update([personAt(100), personAt(500)], 2000);
+    assert.deepEqual(returned.map(p => p.trackId), [1, 3]);
+});
+
+test('a retired track hands over its lifetime', () => {
+    const stays = [];
+    const tracker = createTracker({
+        maxDist: 200,
+        timeoutMs: 1000,
+        onRetire: (id, track) => stays.push([id, track.lastSeen - track.createdAt])
+    });
+    tracker.update([personAt(100)], 500);
+    tracker.update([personAt(100)], 4500);
+    tracker.update([], 6000);
+    assert.deepEqual(stays, [[1, 4000]]);
+});
+
+test('a detection too far from every track opens a new track', () => {
+    const { tracker } = setup();
+    tracker.update([personAt(100)], 0);
+    const jumped = tracker.update([personAt(500)], 33);
+    assert.deepEqual(jumped.map(p => p.trackId), [2]);
+});
+
+test('crossing people keep their IDs under optimal assignment', () => {
+    const { tracker } = setup();
+    tracker.update([personAt(250), personAt(390)], 0);
+    // Both step 60px toward each other: each is still closest to its own track
+    const crossed = tracker.update([personAt(330), personAt(310)], 33);
+    const byX = Object.fromEntries(crossed.map(p => [p.keypoints[0].x, p.trackId]));
+    assert.equal(byX[310], 1);
+    assert.equal(byX[330], 2);
+});
+
+test('clear retires every live track', () => {
+    const { tracker, retired } = setup();
+    tracker.update([personAt(100), personAt(500)], 0);
+    tracker.clear();
+    assert.deepEqual(retired.sort(), [1, 2]);
+    assert.deepEqual(Object.keys(tracker.tracks), []);
+});